@@ -49,6 +49,10 @@ const taskRoutes = require('./routes/taskRoutes');
 const teamRoutes = require('./routes/teamRoutes');
 const activityRoutes = require('./routes/activityRoutes'); 
 const notificationRoutes = require('./routes/notificationRoutes');
+const timeRoutes = require('./routes/timeRoutes');
+const sprintRoutes = require('./routes/sprintRoutes');
+const boardTemplateRoutes = require('./routes/boardTemplateRoutes');
+const publicRoutes = require('./routes/publicRoutes');
 const { errorHandler } = require('./middleware/errorMiddleware');
 
 const app = express();
@@ -115,6 +119,10 @@ app.use('/api/columns', columnRoutes);
 app.use('/api/tasks', taskRoutes);
 app.use('/api/activities', activityRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/time', timeRoutes);
+app.use('/api/sprints', sprintRoutes);
+app.use('/api/board-templates', boardTemplateRoutes);
+app.use('/api/public', publicRoutes);
 
 app.use(errorHandler);
 
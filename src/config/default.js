@@ -1,4 +1,5 @@
 require('dotenv').config();
+const path = require('path');
 
 module.exports = {
     PORT: process.env.PORT || 3000,
@@ -8,5 +9,37 @@ module.exports = {
     JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || '30d',
     EMAIL_USER: process.env.EMAIL_USER,
     EMAIL_PASS: process.env.EMAIL_PASS,
-    FRONTEND_URL: process.env.FRONTEND_URL || 'http://localhost:3000'
+    FRONTEND_URL: process.env.FRONTEND_URL || 'http://localhost:3000',
+    REMINDERS_ENABLED: process.env.REMINDERS_ENABLED !== 'false',
+    REMINDER_SCAN_INTERVAL_MINUTES: parseInt(process.env.REMINDER_SCAN_INTERVAL_MINUTES, 10) || 15,
+    // Hours before the due date at which "due soon" reminders go out, e.g. "24,1"
+    REMINDER_WINDOWS_HOURS: (process.env.REMINDER_WINDOWS_HOURS || '24,1')
+        .split(',')
+        .map(Number)
+        .filter(hours => hours > 0),
+    // Overdue tasks older than this are not reminded about
+    REMINDER_OVERDUE_LOOKBACK_DAYS: parseInt(process.env.REMINDER_OVERDUE_LOOKBACK_DAYS, 10) || 7,
+    // Archived boards are permanently deleted this many days after archiving; 0 keeps them forever
+    BOARD_ARCHIVE_PURGE_DAYS: Number(process.env.BOARD_ARCHIVE_PURGE_DAYS || 30),
+    BOARD_PURGE_SCAN_INTERVAL_MINUTES: parseInt(process.env.BOARD_PURGE_SCAN_INTERVAL_MINUTES, 10) || 60,
+    // Trashed tasks and columns are permanently deleted this many days after deletion; 0 keeps them forever
+    TRASH_RETENTION_DAYS: Number(process.env.TRASH_RETENTION_DAYS || 30),
+    TRASH_PURGE_SCAN_INTERVAL_MINUTES: parseInt(process.env.TRASH_PURGE_SCAN_INTERVAL_MINUTES, 10) || 60,
+    // Attachment storage: 'local' (default) or 's3' for any S3-compatible service
+    STORAGE_DRIVER: process.env.STORAGE_DRIVER || 'local',
+    UPLOAD_DIR: process.env.UPLOAD_DIR || path.join(__dirname, '../../uploads'),
+    ATTACHMENT_MAX_SIZE_MB: parseInt(process.env.ATTACHMENT_MAX_SIZE_MB, 10) || 10,
+    ATTACHMENT_ALLOWED_TYPES: (process.env.ATTACHMENT_ALLOWED_TYPES ||
+        'image/png,image/jpeg,image/gif,image/webp,application/pdf,text/plain,text/csv,' +
+        'application/msword,application/vnd.openxmlformats-officedocument.wordprocessingml.document,' +
+        'application/vnd.ms-excel,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet,' +
+        'application/zip')
+        .split(',')
+        .map(type => type.trim()),
+    S3_BUCKET: process.env.S3_BUCKET,
+    S3_REGION: process.env.S3_REGION || 'us-east-1',
+    // Set for S3 stand-ins such as MinIO or LocalStack, e.g. http://localhost:9000
+    S3_ENDPOINT: process.env.S3_ENDPOINT,
+    S3_ACCESS_KEY_ID: process.env.S3_ACCESS_KEY_ID,
+    S3_SECRET_ACCESS_KEY: process.env.S3_SECRET_ACCESS_KEY
 };
\ No newline at end of file
@@ -2,6 +2,7 @@ const Activity = require('../models/Activity');
 const Team = require('../models/Team');
 const Board = require('../models/Board');
 const Task = require('../models/Task');
+const { checkBoardPermission, sendPermissionDenied } = require('../services/boardPermissionService');
 const mongoose = require('mongoose');
 
 
@@ -119,16 +120,9 @@ const getBoardActivityFeed = async (req, res) => {
       });
     }
     
-    // Check if user is in the team that owns the board
-    const isTeamMember = board.team.members.some(
-      member => member.user.toString() === req.user.id
-    );
-    
-    if (!isTeamMember) {
-      return res.status(403).json({
-        success: false,
-        message: 'You do not have access to this board'
-      });
+    const access = await checkBoardPermission(board, req.user.id, 'viewer');
+    if (!access.allowed) {
+      return sendPermissionDenied(res, access, 'You do not have access to this board');
     }
     
     const options = {
@@ -178,16 +172,9 @@ const getTaskActivityFeed = async (req, res) => {
       });
     }
     
-    // Check if user is in the team that owns the board
-    const isTeamMember = board.team.members.some(
-      member => member.user.toString() === req.user.id
-    );
-    
-    if (!isTeamMember) {
-      return res.status(403).json({
-        success: false,
-        message: 'You do not have access to this task'
-      });
+    const access = await checkBoardPermission(board, req.user.id, 'viewer');
+    if (!access.allowed) {
+      return sendPermissionDenied(res, access, 'You do not have access to this task');
     }
     
     const options = {
@@ -195,15 +182,14 @@ const getTaskActivityFeed = async (req, res) => {
       page: parseInt(req.query.page) || 1
     };
     
-    // Get activities for this task
-    const activities = await Activity.find({ task: taskId })
+    // Get activities for this task, including comment and label changes
+    const activities = await Activity.find({ taskId })
       .sort({ createdAt: -1 })
       .skip((options.page - 1) * options.limit)
       .limit(options.limit)
-      .populate('user', 'name username email avatar')
-      .populate('targetUser', 'name username email avatar');
+      .populate('user', 'name username email avatar');
     
-    const total = await Activity.countDocuments({ task: taskId });
+    const total = await Activity.countDocuments({ taskId });
     
     res.status(200).json({
       success: true,
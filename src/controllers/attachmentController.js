@@ -0,0 +1,277 @@
+const mongoose = require('mongoose');
+const Attachment = require('../models/Attachment');
+const Board = require('../models/Board');
+const Activity = require('../models/Activity');
+const { loadTaskWithAccess, checkBoardPermission } = require('../services/boardPermissionService');
+const { storeAttachment, removeAttachmentFiles } = require('../services/attachmentService');
+const { getStorage } = require('../services/storage');
+
+const logAttachmentActivity = async (req, task, action, description, attachment) => {
+  try {
+    await Activity.create({
+      user: req.user.id,
+      action,
+      taskId: task._id,
+      boardId: task.board,
+      columnId: task.column,
+      teamId: task.team,
+      description,
+      metadata: {
+        taskTitle: task.title,
+        attachmentId: attachment._id,
+        fileName: attachment.originalName,
+        size: attachment.size
+      }
+    });
+  } catch (activityError) {
+    console.error('Activity logging error:', activityError);
+  }
+};
+
+const findTaskAttachment = async (task, attachmentId) => {
+  if (!mongoose.Types.ObjectId.isValid(attachmentId)) return null;
+  return Attachment.findOne({ _id: attachmentId, task: task._id });
+};
+
+const sendAttachmentNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Attachment not found'
+});
+
+/**
+ * Shape an attachment for API responses without exposing storage keys
+ */
+const formatAttachment = (attachment) => {
+  const { storageKey, thumbnailKey, driver, ...rest } = attachment.toObject();
+  return {
+    ...rest,
+    hasThumbnail: !!thumbnailKey
+  };
+};
+
+/**
+ * List a task's attachments, newest first
+ * @route GET /api/tasks/:id/attachments
+ */
+const getTaskAttachments = async (req, res) => {
+  try {
+    const task = await loadTaskWithAccess(req, res, 'viewer');
+    if (!task) return;
+
+    const attachments = await Attachment.find({ task: task._id })
+      .populate('uploadedBy', 'name username avatar')
+      .sort({ createdAt: -1 });
+
+    return res.status(200).json({
+      success: true,
+      count: attachments.length,
+      data: attachments.map(formatAttachment)
+    });
+  } catch (error) {
+    console.error('Get task attachments error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while fetching attachments',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Check the user may add attachments to the task before multer reads the
+ * upload, so users without access never get a file buffered. Sets `req.task`.
+ */
+const authorizeAttachmentUpload = async (req, res, next) => {
+  try {
+    const task = await loadTaskWithAccess(req, res, 'member', 'You do not have permission to add attachments to this task');
+    if (!task) return;
+
+    req.task = task;
+    next();
+  } catch (error) {
+    console.error('Authorize attachment upload error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while uploading attachment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Upload a file to a task (multipart field `file`)
+ * @route POST /api/tasks/:id/attachments
+ */
+const uploadTaskAttachment = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'A file is required in the "file" field'
+      });
+    }
+
+    // Loaded and authorized by authorizeAttachmentUpload before the file was read
+    const { task } = req;
+
+    const attachment = await storeAttachment(task, req.file, req.user.id);
+    await attachment.populate('uploadedBy', 'name username avatar').execPopulate();
+
+    await logAttachmentActivity(
+      req,
+      task,
+      'added_attachment',
+      `Attached "${attachment.originalName}" to task "${task.title}"`,
+      attachment
+    );
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`board:${task.board}`).emit('attachment:added', {
+        taskId: task._id,
+        attachment: formatAttachment(attachment)
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: 'Attachment uploaded successfully',
+      data: formatAttachment(attachment)
+    });
+  } catch (error) {
+    console.error('Upload attachment error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while uploading attachment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Download an attachment, or its image thumbnail with `?thumbnail=true`
+ * @route GET /api/tasks/:id/attachments/:attachmentId/download
+ */
+const downloadTaskAttachment = async (req, res) => {
+  try {
+    const { attachmentId } = req.params;
+    const wantsThumbnail = req.query.thumbnail === 'true';
+
+    const task = await loadTaskWithAccess(req, res, 'viewer');
+    if (!task) return;
+
+    const attachment = await findTaskAttachment(task, attachmentId);
+    if (!attachment) return sendAttachmentNotFound(res);
+
+    if (wantsThumbnail && !attachment.thumbnailKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'This attachment has no thumbnail'
+      });
+    }
+
+    const key = wantsThumbnail ? attachment.thumbnailKey : attachment.storageKey;
+    const stream = await getStorage(attachment.driver).getStream(key);
+    if (!stream) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment file is missing from storage'
+      });
+    }
+
+    if (wantsThumbnail) {
+      res.type('image/png');
+    } else {
+      res.attachment(attachment.originalName);
+      res.type(attachment.mimeType);
+      res.set('Content-Length', String(attachment.size));
+    }
+
+    stream.on('error', (streamError) => {
+      console.error('Attachment stream error:', streamError);
+      if (!res.headersSent) {
+        res.status(500).json({
+          success: false,
+          message: 'Server error while downloading attachment'
+        });
+      } else {
+        res.destroy(streamError);
+      }
+    });
+
+    return stream.pipe(res);
+  } catch (error) {
+    console.error('Download attachment error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while downloading attachment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Delete an attachment. Uploaders can delete their own files; board admins can delete any.
+ * @route DELETE /api/tasks/:id/attachments/:attachmentId
+ */
+const deleteTaskAttachment = async (req, res) => {
+  try {
+    const { attachmentId } = req.params;
+
+    const task = await loadTaskWithAccess(req, res, 'member', 'You do not have permission to remove attachments from this task');
+    if (!task) return;
+
+    const attachment = await findTaskAttachment(task, attachmentId);
+    if (!attachment) return sendAttachmentNotFound(res);
+
+    if (attachment.uploadedBy.toString() !== req.user.id) {
+      const board = await Board.findById(task.board);
+      const access = await checkBoardPermission(board, req.user.id, 'admin');
+      if (!access.allowed) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the uploader or a board admin can delete this attachment'
+        });
+      }
+    }
+
+    await removeAttachmentFiles(attachment);
+    await attachment.deleteOne();
+
+    await logAttachmentActivity(
+      req,
+      task,
+      'deleted_attachment',
+      `Removed attachment "${attachment.originalName}" from task "${task.title}"`,
+      attachment
+    );
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`board:${task.board}`).emit('attachment:deleted', {
+        taskId: task._id,
+        attachmentId: attachment._id
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Attachment deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete attachment error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while deleting attachment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  authorizeAttachmentUpload,
+  getTaskAttachments,
+  uploadTaskAttachment,
+  downloadTaskAttachment,
+  deleteTaskAttachment
+};
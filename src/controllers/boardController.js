@@ -3,10 +3,28 @@ const Board = require('../models/Board');
 const Team = require('../models/Team');
 const Column = require('../models/Column');
 const Task = require('../models/Task');
+const CustomField = require('../models/CustomField');
 const User = require('../models/User');
 const Notification = require('../models/Notification');
 const Activity = require('../models/Activity');
 const { logBoardActivity } = require('../services/activityService');
+const {
+  checkBoardPermission,
+  sendPermissionDenied,
+  getBoardRole,
+  getTeamRole,
+  getAccessibleBoardsFilter
+} = require('../services/boardPermissionService');
+const { getPointScale, parseEstimationSettings } = require('../services/estimateService');
+const { parseWipLimit, getWipStatus } = require('../services/wipService');
+const { parseStatusCategory } = require('../services/columnStatusService');
+const { parseSwimlaneSettings, groupTasksByLane } = require('../services/swimlaneService');
+const { findTemplateForUser, getTemplateBoardSettings, applyBoardTemplate } = require('../services/boardTemplateService');
+const { duplicateBoard: copyBoard } = require('../services/boardCloneService');
+const { getPurgeDate, applyArchivedFilter, purgeBoard } = require('../services/boardArchiveService');
+const { trashColumn, getTrashExpiry } = require('../services/trashService');
+
+const BOARD_MEMBER_ROLES = ['admin', 'member', 'viewer'];
 
 /**
  * Create a new board
@@ -14,7 +32,7 @@ const { logBoardActivity } = require('../services/activityService');
  */
 const createBoard = async (req, res) => {
   try {
-    const { title, description, teamId } = req.body;
+    const { title, description, teamId, templateId } = req.body;
 
     // Validate required fields
     if (!title) {
@@ -24,30 +42,48 @@ const createBoard = async (req, res) => {
       });
     }
 
+    let template = null;
+    if (templateId) {
+      const result = await findTemplateForUser(templateId, req.user.id);
+      if (result.error) {
+        return res.status(result.status).json({
+          success: false,
+          message: result.error
+        });
+      }
+      template = result.template;
+    }
+
     // Create the board
     const board = await Board.create({
       title,
-      description: description || '',
+      description: description || (template && template.settings && template.settings.description) || '',
       team: teamId || null,
       createdBy: req.user.id,
-      members: [{ user: req.user.id, role: 'admin' }]
+      members: [{ user: req.user.id, role: 'admin', addedBy: req.user.id }],
+      ...(template && getTemplateBoardSettings(template))
     });
 
-    // Create default columns with proper validation
-    const defaultColumns = [
-      { title: 'To Do', board: board._id, order: 0 },
-      { title: 'In Progress', board: board._id, order: 1 },
-      { title: 'Done', board: board._id, order: 2 }
-    ];
-
-    // Make sure all columns have titles
-    for (const column of defaultColumns) {
-      if (!column.title) {
-        throw new Error('Default column must have a title');
+    if (template) {
+      // Columns, labels, custom fields, swimlanes and starter tasks come from the template
+      await applyBoardTemplate(board, template, req.user.id);
+    } else {
+      // Create default columns with proper validation
+      const defaultColumns = [
+        { title: 'To Do', board: board._id, order: 0 },
+        { title: 'In Progress', board: board._id, order: 1 },
+        { title: 'Done', board: board._id, order: 2 }
+      ];
+
+      // Make sure all columns have titles
+      for (const column of defaultColumns) {
+        if (!column.title) {
+          throw new Error('Default column must have a title');
+        }
       }
-    }
 
-    await Column.insertMany(defaultColumns);
+      await Column.insertMany(defaultColumns);
+    }
 
     // Fetch the populated board
     const populatedBoard = await Board.findById(board._id)
@@ -65,7 +101,10 @@ const createBoard = async (req, res) => {
       boardId: board._id,
       teamId: teamId || null,
       description: `Created board "${title}"`,
-      metadata: { boardTitle: title }
+      metadata: {
+        boardTitle: title,
+        ...(template && { templateId: template._id || template.key, templateName: template.name })
+      }
     });
 
     return res.status(201).json({
@@ -89,12 +128,8 @@ const createBoard = async (req, res) => {
 // Get all boards
 const getBoards = async (req, res) => {
   try {
-    const boards = await Board.find({
-      $or: [
-        { createdBy: req.user.id },
-        { 'members.user': req.user.id }
-      ]
-    })
+    const filter = applyArchivedFilter(await getAccessibleBoardsFilter(req.user.id), req.query.includeArchived);
+    const boards = await Board.find(filter)
       .populate('team', 'name')
       .populate('createdBy', 'username email')
       .sort({ updatedAt: -1 });
@@ -128,17 +163,6 @@ const getBoardById = async (req, res) => {
 
     console.log(`Getting board with ID: ${id} for user ${userId}`);
 
-    // First let's check if the board exists at all
-    const boardExists = await Board.exists({ _id: id });
-    if (!boardExists) {
-      console.log(`Board with ID ${id} does not exist in the database`);
-      return res.status(404).json({
-        success: false,
-        message: 'Board not found in database'
-      });
-    }
-
-    // If board exists, get full details
     const board = await Board.findOne({ _id: id, deleted: { $ne: true } })
       .populate('createdBy', 'name username avatar')
       .populate('members.user', 'name username avatar email')
@@ -151,48 +175,9 @@ const getBoardById = async (req, res) => {
       });
     }
 
-    // Log board and permission details for debugging
-    console.log('BOARD FOUND:', {
-      id: board._id,
-      title: board.title,
-      createdBy: board.createdBy ? board.createdBy._id : 'unknown',
-      team: board.team ? board.team._id : 'none',
-      memberCount: board.members ? board.members.length : 0
-    });
-
-    // More permissive check - include creator, direct members, and team members
-    const isCreator = board.createdBy && board.createdBy._id.toString() === userId;
-    const isBoardMember = board.members && board.members.some(m => 
-      m.user && (m.user._id || m.user).toString() === userId
-    );
-    
-    let isTeamMember = false;
-    if (board.team) {
-      const team = await Team.findById(board.team);
-      isTeamMember = team && (
-        team.owner?.toString() === userId || 
-        team.admins?.some(id => id.toString() === userId) ||
-        team.members?.some(m => {
-          const memberId = m.user ? m.user.toString() : m.toString();
-          return memberId === userId;
-        })
-      );
-    }
-
-    // Log permission results
-    console.log('PERMISSION CHECK:', {
-      userId,
-      isCreator,
-      isBoardMember,
-      isTeamMember,
-      hasAccess: isCreator || isBoardMember || isTeamMember
-    });
-
-    if (!isCreator && !isBoardMember && !isTeamMember) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to access this board'
-      });
+    const access = await checkBoardPermission(board, userId, 'viewer');
+    if (!access.allowed) {
+      return sendPermissionDenied(res, access);
     }
 
     // Add columns for this board with better error handling
@@ -205,11 +190,23 @@ const getBoardById = async (req, res) => {
       // Continue execution even if columns fetch fails
     }
 
+    const customFields = await CustomField.find({ board: id }).sort({ position: 1, createdAt: 1 });
+
+    const tasks = await Task.find({ board: id, column: { $in: columns.map(column => column._id) } })
+      .populate('assignees', 'name username avatar')
+      .populate('labels', 'name color')
+      .sort({ order: 1 });
+
     return res.status(200).json({
       success: true,
       data: {
         ...board._doc,
-        columns: columns || []
+        columns: columns || [],
+        customFields,
+        swimlanes: await groupTasksByLane(board, columns, tasks),
+        userRole: access.role,
+        pointScale: getPointScale(board),
+        purgeAt: getPurgeDate(board)
       }
     });
   } catch (error) {
@@ -226,7 +223,7 @@ const getBoardById = async (req, res) => {
 const updateBoard = async (req, res) => {
   try {
     const boardId = req.params.id;
-    const { title, description, backgroundColor, colorScheme, image } = req.body;
+    const { title, description, backgroundColor, colorScheme, image, estimation, wipLimitMode, swimlanes } = req.body;
     
     // Find board
     const board = await Board.findById(boardId);
@@ -238,14 +235,43 @@ const updateBoard = async (req, res) => {
       });
     }
     
-    // Check ownership
-    if (board.createdBy.toString() !== req.user.id) {
-      return res.status(403).json({
+    // Board settings can be changed by board admins
+    const access = await checkBoardPermission(board, req.user.id, 'admin');
+    if (!access.allowed) {
+      return sendPermissionDenied(res, access, 'Not authorized to update this board');
+    }
+    
+    if (wipLimitMode !== undefined && !['reject', 'flag'].includes(wipLimitMode)) {
+      return res.status(400).json({
         success: false,
-        message: 'Not authorized to update this board'
+        message: 'WIP limit mode must be reject or flag'
       });
     }
     
+    let estimationSettings;
+    if (estimation !== undefined) {
+      const parsed = parseEstimationSettings(estimation, board.estimation || {});
+      if (parsed.error) {
+        return res.status(400).json({
+          success: false,
+          message: parsed.error
+        });
+      }
+      estimationSettings = parsed.value;
+    }
+    
+    let swimlaneSettings;
+    if (swimlanes !== undefined) {
+      const parsed = await parseSwimlaneSettings(swimlanes, board);
+      if (parsed.error) {
+        return res.status(400).json({
+          success: false,
+          message: parsed.error
+        });
+      }
+      swimlaneSettings = parsed.value;
+    }
+    
     // Find and update the board
     const updatedBoard = await Board.findByIdAndUpdate(
       boardId,
@@ -254,7 +280,10 @@ const updateBoard = async (req, res) => {
         ...(description && { description }),
         ...(backgroundColor && { backgroundColor }),
         ...(colorScheme && { colorScheme }),
-        ...(image && { image })
+        ...(image && { image }),
+        ...(estimationSettings && { estimation: estimationSettings }),
+        ...(wipLimitMode && { wipLimitMode }),
+        ...(swimlaneSettings && { swimlanes: swimlaneSettings })
       },
       { new: true, runValidators: true }
     ).populate('team', 'name avatar')
@@ -284,6 +313,11 @@ const updateBoard = async (req, res) => {
 
 // Delete board
 const deleteBoard = async (req, res) => {
+  // Deleting archives the board; it is purged later unless restored
+  if (req.query.permanent !== 'true') {
+    return archiveBoard(req, res);
+  }
+  
   try {
     const boardId = req.params.id;
     
@@ -306,19 +340,21 @@ const deleteBoard = async (req, res) => {
       });
     }
     
-    if (board.createdBy.toString() !== req.user.id) {
-      return res.status(403).json({
+    const access = await checkBoardPermission(board, req.user.id, 'owner', { write: false });
+    if (!access.allowed) {
+      return sendPermissionDenied(res, access, 'Not authorized to delete this board');
+    }
+    
+    if (!board.archived) {
+      return res.status(409).json({
         success: false,
-        message: 'Not authorized to delete this board'
+        message: 'Archive the board before deleting it permanently'
       });
     }
     
-    // Use findByIdAndDelete for a more reliable operation
-    await Board.findByIdAndDelete(boardId);
-    
-    // Additionally, you might want to delete related columns and tasks
-    const deletedColumns = await Column.deleteMany({ board: boardId });
-    console.log(`Deleted ${deletedColumns.deletedCount} columns`);
+    // Remove the board with its columns, tasks and everything attached to them
+    const { taskCount } = await purgeBoard(board._id);
+    console.log(`Deleted board ${boardId} with ${taskCount} tasks`);
     
     // Log activity
     await logBoardActivity(
@@ -343,6 +379,159 @@ const deleteBoard = async (req, res) => {
   }
 };
 
+/**
+ * Archive a board: it drops out of board lists but stays readable until it
+ * is restored or purged after BOARD_ARCHIVE_PURGE_DAYS
+ * @route PATCH /api/boards/:id/archive
+ */
+const archiveBoard = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid board ID format'
+      });
+    }
+
+    const board = await Board.findById(req.params.id);
+    if (!board) {
+      return res.status(404).json({
+        success: false,
+        message: 'Board not found'
+      });
+    }
+
+    const access = await checkBoardPermission(board, req.user.id, 'admin', { write: false });
+    if (!access.allowed) {
+      return sendPermissionDenied(res, access, 'Only board admins can archive this board');
+    }
+
+    if (board.archived) {
+      return res.status(400).json({
+        success: false,
+        message: 'Board is already archived'
+      });
+    }
+
+    board.archived = true;
+    board.archivedAt = new Date();
+    board.archivedBy = req.user.id;
+    await board.save();
+
+    try {
+      await Activity.create({
+        user: req.user.id,
+        action: 'archived_board',
+        boardId: board._id,
+        teamId: board.team,
+        description: `Archived board "${board.title}"`,
+        metadata: { boardTitle: board.title }
+      });
+    } catch (activityError) {
+      console.error('Activity logging error:', activityError);
+    }
+
+    const purgeAt = getPurgeDate(board);
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`board:${board._id}`).emit('board:archived', {
+        boardId: board._id,
+        archivedBy: req.user.id,
+        purgeAt
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Board archived successfully',
+      data: board,
+      purgeAt
+    });
+  } catch (error) {
+    console.error('Archive board error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while archiving board',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Restore an archived board to the board lists
+ * @route PATCH /api/boards/:id/unarchive
+ */
+const unarchiveBoard = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid board ID format'
+      });
+    }
+
+    const board = await Board.findById(req.params.id);
+    if (!board) {
+      return res.status(404).json({
+        success: false,
+        message: 'Board not found'
+      });
+    }
+
+    const access = await checkBoardPermission(board, req.user.id, 'admin', { write: false });
+    if (!access.allowed) {
+      return sendPermissionDenied(res, access, 'Only board admins can restore this board');
+    }
+
+    if (!board.archived) {
+      return res.status(400).json({
+        success: false,
+        message: 'Board is not archived'
+      });
+    }
+
+    board.archived = false;
+    board.archivedAt = null;
+    board.archivedBy = null;
+    await board.save();
+
+    try {
+      await Activity.create({
+        user: req.user.id,
+        action: 'unarchived_board',
+        boardId: board._id,
+        teamId: board.team,
+        description: `Restored archived board "${board.title}"`,
+        metadata: { boardTitle: board.title }
+      });
+    } catch (activityError) {
+      console.error('Activity logging error:', activityError);
+    }
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`board:${board._id}`).emit('board:unarchived', {
+        boardId: board._id,
+        unarchivedBy: req.user.id
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Board restored successfully',
+      data: board
+    });
+  } catch (error) {
+    console.error('Unarchive board error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while restoring board',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 const getBoardsByTeam = async (req, res) => {
   try {
     const { teamId } = req.params;
@@ -365,23 +554,14 @@ const getBoardsByTeam = async (req, res) => {
       });
     }
     
-    // More comprehensive check for team membership
-    const isTeamMember = team.owner?.toString() === req.user.id || 
-                         (team.admins && team.admins.some(id => id.toString() === req.user.id)) ||
-                         (team.members && team.members.some(m => {
-                            // Handle both cases: if member is just an ID or an object with user property
-                            const memberId = m.user ? m.user.toString() : m.toString();
-                            return memberId === req.user.id;
-                         }));
-    
-    if (!isTeamMember) {
+    if (!getTeamRole(team, req.user.id)) {
       return res.status(403).json({
         success: false,
         message: 'You are not a member of this team'
       });
     }
     
-    const boards = await Board.find({ team: teamId })
+    const boards = await Board.find(applyArchivedFilter({ team: teamId }, req.query.includeArchived))
       .populate('createdBy', 'name username avatar')
       .populate('members.user', 'name username avatar email')
       .populate('team', 'name')
@@ -407,19 +587,8 @@ const getAllBoardsComplete = async (req, res) => {
   try {
     console.log('Getting complete boards data for user ID:', req.user.id);
     
-    const userTeams = await Team.find({ 
-      'members.user': req.user.id 
-    }).select('_id');
-    
-    const teamIds = userTeams.map(team => team._id);
-    console.log(`User is member of ${teamIds.length} teams`);
-    
-    const boards = await Board.find({ 
-      $or: [
-        { createdBy: req.user.id },
-        { team: { $in: teamIds } }
-      ] 
-    })
+    const filter = applyArchivedFilter(await getAccessibleBoardsFilter(req.user.id), req.query.includeArchived);
+    const boards = await Board.find(filter)
     .populate('team', 'name avatar')
     .populate('createdBy', 'username email name avatar');
     
@@ -445,30 +614,41 @@ const getAllBoardsComplete = async (req, res) => {
     
     const tasks = await Task.find({ column: { $in: columnIds } })
       .populate('assignedTo', 'username email name avatar')
+      .populate('assignees', 'username email name avatar')
       .populate('createdBy', 'username email name avatar')
+      .populate('labels', 'name color')
       .sort({ position: 1 });
       
     console.log(`Found ${tasks.length} tasks`);
     
-    const completeBoards = boards.map(board => {
-      const boardColumns = columns
-        .filter(column => column.board.toString() === board._id.toString())
+    const summarizeTask = task => ({
+      id: task._id,
+      title: task.title,
+      description: task.description || '',
+      position: task.position || 0,
+      dueDate: task.dueDate,
+      priority: task.priority || 'medium',
+      labels: task.labels || [],
+      checklistProgress: task.getChecklistProgress(),
+      assignedTo: task.assignedTo,
+      assignees: task.assignees,
+      watcherCount: task.watchers.length,
+      createdBy: task.createdBy,
+      createdAt: task.createdAt,
+      updatedAt: task.updatedAt
+    });
+    
+    const completeBoards = await Promise.all(boards.map(async board => {
+      const columnsOfBoard = columns
+        .filter(column => column.board.toString() === board._id.toString());
+      const columnIdsOfBoard = new Set(columnsOfBoard.map(column => column._id.toString()));
+      const tasksOfBoard = tasks.filter(task => columnIdsOfBoard.has(task.column.toString()));
+      
+      const boardColumns = columnsOfBoard
         .map(column => {
-          const columnTasks = tasks
+          const columnTasks = tasksOfBoard
             .filter(task => task.column.toString() === column._id.toString())
-            .map(task => ({
-              id: task._id,
-              title: task.title,
-              description: task.description || '',
-              position: task.position || 0,
-              dueDate: task.dueDate,
-              priority: task.priority || 'medium',
-              labels: task.labels || [],
-              assignedTo: task.assignedTo,
-              createdBy: task.createdBy,
-              createdAt: task.createdAt,
-              updatedAt: task.updatedAt
-            }));
+            .map(summarizeTask);
           
           return {
             id: column._id,
@@ -476,6 +656,9 @@ const getAllBoardsComplete = async (req, res) => {
             position: column.position || 0,
             tasks: columnTasks,
             tasksCount: columnTasks.length,
+            wipLimit: column.wipLimit || null,
+            statusCategory: column.statusCategory || null,
+            wipExceeded: getWipStatus(column, columnTasks.length).wipExceeded,
             createdAt: column.createdAt,
             updatedAt: column.updatedAt
           };
@@ -490,14 +673,18 @@ const getAllBoardsComplete = async (req, res) => {
         backgroundColor: board.backgroundColor || '#f5f5f5',
         colorScheme: board.colorScheme || 'default',
         image: board.image,
+        wipLimitMode: board.wipLimitMode || 'flag',
+        archived: !!board.archived,
+        archivedAt: board.archivedAt || null,
         columns: boardColumns,
+        swimlanes: await groupTasksByLane(board, columnsOfBoard, tasksOfBoard, summarizeTask),
         columnsCount: boardColumns.length,
         totalTasks: boardColumns.reduce((sum, column) => sum + column.tasksCount, 0),
         createdAt: board.createdAt,
         updatedAt: board.updatedAt,
         isCreator: board.createdBy._id.toString() === req.user.id
       };
-    });
+    }));
     
     res.status(200).json({
       success: true,
@@ -526,6 +713,13 @@ const addMember = async (req, res) => {
       });
     }
     
+    if (role && !BOARD_MEMBER_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role must be admin, member, or viewer'
+      });
+    }
+    
     const board = await Board.findById(id);
     if (!board) {
       return res.status(404).json({
@@ -534,6 +728,12 @@ const addMember = async (req, res) => {
       });
     }
     
+    // Check permissions - only board admins can add members
+    const access = await checkBoardPermission(board, req.user.id, 'admin');
+    if (!access.allowed) {
+      return sendPermissionDenied(res, access, 'Not authorized to add board members');
+    }
+    
     // Find the user by email
     const user = await User.findOne({ email });
     if (!user) {
@@ -558,7 +758,9 @@ const addMember = async (req, res) => {
     // Add member to the board
     board.members.push({
       user: user._id,
-      role: role || 'viewer'
+      role: role || 'viewer',
+      addedAt: new Date(),
+      addedBy: req.user.id
     });
     
     await board.save();
@@ -596,19 +798,10 @@ const removeMember = async (req, res) => {
       });
     }
     
-    // Check permissions - only creator or admin can remove members
-    const requestingUserMember = board.members.find(m => 
-      m.user && m.user.toString() === req.user.id
-    );
-    
-    const isCreator = board.createdBy.toString() === req.user.id;
-    const isAdmin = requestingUserMember && requestingUserMember.role === 'admin';
-    
-    if (!isCreator && !isAdmin) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to remove board members'
-      });
+    // Check permissions - only board admins can remove members
+    const access = await checkBoardPermission(board, req.user.id, 'admin');
+    if (!access.allowed) {
+      return sendPermissionDenied(res, access, 'Not authorized to remove board members');
     }
     
     // Check if user is actually a member
@@ -623,6 +816,14 @@ const removeMember = async (req, res) => {
       });
     }
     
+    // The creator always keeps access to their board
+    if (board.createdBy.toString() === userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot remove the board creator'
+      });
+    }
+    
     // Remove member
     board.members.splice(memberIndex, 1);
     
@@ -654,7 +855,7 @@ const updateMemberRole = async (req, res) => {
     const { id, userId } = req.params;
     const { role } = req.body;
     
-    if (!role || !['admin', 'member', 'viewer'].includes(role)) {
+    if (!role || !BOARD_MEMBER_ROLES.includes(role)) {
       return res.status(400).json({
         success: false,
         message: 'Valid role is required (admin, member, or viewer)'
@@ -669,18 +870,10 @@ const updateMemberRole = async (req, res) => {
       });
     }
     
-    // Check permissions - only creator or admin can update roles
-    const isCreator = board.createdBy.toString() === req.user.id;
-    const requestingUserMember = board.members.find(m => 
-      m.user && m.user.toString() === req.user.id
-    );
-    const isAdmin = requestingUserMember && requestingUserMember.role === 'admin';
-    
-    if (!isCreator && !isAdmin) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to update member roles'
-      });
+    // Check permissions - only board admins can update roles
+    const access = await checkBoardPermission(board, req.user.id, 'admin');
+    if (!access.allowed) {
+      return sendPermissionDenied(res, access, 'Not authorized to update member roles');
     }
     
     // Find the member to update
@@ -728,16 +921,18 @@ const updateMemberRole = async (req, res) => {
   }
 };
 
-// Create a column in a board
-const createColumn = async (req, res) => {
+/**
+ * List everyone with access to a board together with their effective role
+ * @route GET /api/boards/:id/members
+ */
+const getBoardMembers = async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, order } = req.body;
     
-    if (!name) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({
         success: false,
-        message: 'Column name is required'
+        message: 'Invalid board ID format'
       });
     }
     
@@ -749,20 +944,100 @@ const createColumn = async (req, res) => {
       });
     }
     
-    // Check if user has permission to add columns
-    const isMember = board.members.some(member => 
-      member.user && member.user.toString() === req.user.id
-    );
+    const access = await checkBoardPermission(board, req.user.id, 'viewer');
+    if (!access.allowed) {
+      return sendPermissionDenied(res, access);
+    }
     
-    const isCreator = board.createdBy.toString() === req.user.id;
+    const team = board.team ? await Team.findById(board.team) : null;
     
-    if (!isCreator && !isMember) {
-      return res.status(403).json({
+    // Collect everyone who can reach the board: creator, explicit members and the team
+    const userIds = new Set([board.createdBy.toString()]);
+    board.members.forEach(member => userIds.add(member.user.toString()));
+    if (team) {
+      userIds.add(team.owner.toString());
+      (team.admins || []).forEach(adminId => userIds.add(adminId.toString()));
+      (team.members || []).forEach(member => userIds.add(member.user.toString()));
+    }
+    
+    const users = await User.find({ _id: { $in: [...userIds] } })
+      .select('name username avatar email');
+    
+    const members = await Promise.all(users.map(async (user) => {
+      const userId = user._id.toString();
+      const boardMember = board.members.find(m => m.user.toString() === userId);
+      
+      return {
+        user,
+        role: await getBoardRole(board, userId, team),
+        boardRole: boardMember ? boardMember.role : null,
+        teamRole: getTeamRole(team, userId),
+        isCreator: board.createdBy.toString() === userId,
+        addedAt: boardMember ? boardMember.addedAt : null,
+        addedBy: boardMember ? boardMember.addedBy : null
+      };
+    }));
+    
+    return res.status(200).json({
+      success: true,
+      count: members.length,
+      data: members
+    });
+  } catch (error) {
+    console.error('Get board members error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while fetching board members',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Create a column in a board
+const createColumn = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, order, wipLimit, statusCategory } = req.body;
+    
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Column name is required'
+      });
+    }
+    
+    const parsedWipLimit = wipLimit === undefined ? { value: undefined } : parseWipLimit(wipLimit);
+    if (parsedWipLimit.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsedWipLimit.error
+      });
+    }
+
+    const parsedStatusCategory = statusCategory === undefined
+      ? { value: undefined }
+      : parseStatusCategory(statusCategory);
+    if (parsedStatusCategory.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsedStatusCategory.error
+      });
+    }
+    
+    const board = await Board.findById(id);
+    if (!board) {
+      return res.status(404).json({
         success: false,
-        message: 'Not authorized to add columns to this board'
+        message: 'Board not found'
       });
     }
     
+    // Check if user has permission to change columns
+    const access = await checkBoardPermission(board, req.user.id, 'member');
+    if (!access.allowed) {
+      return sendPermissionDenied(res, access, 'Not authorized to add columns to this board');
+    }
+    
     // Determine order if not provided
     let columnOrder = order;
     if (columnOrder === undefined) {
@@ -779,6 +1054,8 @@ const createColumn = async (req, res) => {
       name,
       order: columnOrder,
       board: id,
+      wipLimit: parsedWipLimit.value,
+      statusCategory: parsedStatusCategory.value,
       createdBy: req.user.id
     });
     
@@ -801,7 +1078,25 @@ const createColumn = async (req, res) => {
 const updateColumn = async (req, res) => {
   try {
     const { boardId, columnId } = req.params;
-    const { name, order } = req.body;
+    const { name, order, wipLimit, statusCategory } = req.body;
+    
+    const parsedWipLimit = wipLimit === undefined ? { value: undefined } : parseWipLimit(wipLimit);
+    if (parsedWipLimit.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsedWipLimit.error
+      });
+    }
+
+    const parsedStatusCategory = statusCategory === undefined
+      ? { value: undefined }
+      : parseStatusCategory(statusCategory);
+    if (parsedStatusCategory.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsedStatusCategory.error
+      });
+    }
     
     // Check if board exists
     const board = await Board.findById(boardId);
@@ -812,17 +1107,10 @@ const updateColumn = async (req, res) => {
       });
     }
     
-    // Check if user has permission to update columns
-    const isMember = board.members.some(member => 
-      member.user && member.user.toString() === req.user.id
-    );
-    const isCreator = board.createdBy.toString() === req.user.id;
-    
-    if (!isCreator && !isMember) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to update columns in this board'
-      });
+    // Check if user has permission to change columns
+    const access = await checkBoardPermission(board, req.user.id, 'member');
+    if (!access.allowed) {
+      return sendPermissionDenied(res, access, 'Not authorized to update columns in this board');
     }
     
     // Find and update the column
@@ -845,6 +1133,8 @@ const updateColumn = async (req, res) => {
     // Update the column
     if (name !== undefined) column.name = name;
     if (order !== undefined) column.order = order;
+    if (parsedWipLimit.value !== undefined) column.wipLimit = parsedWipLimit.value;
+    if (parsedStatusCategory.value !== undefined) column.statusCategory = parsedStatusCategory.value;
     column.updatedAt = Date.now();
     
     await column.save();
@@ -878,17 +1168,10 @@ const deleteColumn = async (req, res) => {
       });
     }
     
-    // Check if user has permission to delete columns
-    const isMember = board.members.some(member => 
-      member.user && member.user.toString() === req.user.id
-    );
-    const isCreator = board.createdBy.toString() === req.user.id;
-    
-    if (!isCreator && !isMember) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to delete columns from this board'
-      });
+    // Check if user has permission to change columns
+    const access = await checkBoardPermission(board, req.user.id, 'admin');
+    if (!access.allowed) {
+      return sendPermissionDenied(res, access, 'Not authorized to delete columns from this board');
     }
     
     // Find the column
@@ -918,12 +1201,13 @@ const deleteColumn = async (req, res) => {
       });
     }
     
-    // Delete the column
-    await Column.findByIdAndDelete(columnId);
+    // Move the column to the board's trash
+    await trashColumn(column, req.user.id);
     
     return res.status(200).json({
       success: true,
-      message: 'Column deleted successfully'
+      message: 'Column moved to trash',
+      expiresAt: getTrashExpiry(column)
     });
   } catch (error) {
     console.error('Delete column error:', error);
@@ -948,6 +1232,13 @@ const shareBoard = async (req, res) => {
       });
     }
     
+    if (role && !BOARD_MEMBER_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role must be admin, member, or viewer'
+      });
+    }
+    
     const board = await Board.findById(id);
     if (!board) {
       return res.status(404).json({
@@ -957,17 +1248,9 @@ const shareBoard = async (req, res) => {
     }
     
     // Check permissions
-    const isCreator = board.createdBy.toString() === req.user.id;
-    const requestingUserMember = board.members.find(m => 
-      m.user && m.user.toString() === req.user.id
-    );
-    const isAdmin = requestingUserMember && requestingUserMember.role === 'admin';
-    
-    if (!isCreator && !isAdmin) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to share this board'
-      });
+    const access = await checkBoardPermission(board, req.user.id, 'admin');
+    if (!access.allowed) {
+      return sendPermissionDenied(res, access, 'Not authorized to share this board');
     }
     
     // Process each email
@@ -1029,19 +1312,128 @@ const shareBoard = async (req, res) => {
   }
 };
 
+/**
+ * Copy a board with its columns, labels, custom fields, swimlanes and
+ * (optionally) tasks into the same team or another team the user admins
+ * @route POST /api/boards/:id/duplicate
+ */
+const duplicateBoard = async (req, res) => {
+  try {
+    const {
+      title,
+      teamId,
+      includeTasks = true,
+      keepAssignees = false,
+      keepDueDates = true,
+      keepCompletion = false
+    } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid board ID format'
+      });
+    }
+
+    const source = await Board.findById(req.params.id);
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: 'Board not found'
+      });
+    }
+
+    // Copying leaves the source untouched, so archived boards can be copied too
+    const access = await checkBoardPermission(source, req.user.id, 'member', { write: false });
+    if (!access.allowed) {
+      return sendPermissionDenied(res, access, 'You do not have permission to duplicate this board');
+    }
+
+    // Copies into another team need the user to admin that team. A board
+    // without a team copied without one stays where it is, like a same-team copy.
+    const targetTeamId = teamId || source.team || null;
+    if (targetTeamId && targetTeamId.toString() !== String(source.team || '')) {
+      const targetTeam = mongoose.Types.ObjectId.isValid(targetTeamId) ? await Team.findById(targetTeamId) : null;
+      const teamRole = getTeamRole(targetTeam, req.user.id);
+      if (!teamRole) {
+        return res.status(404).json({
+          success: false,
+          message: 'Team not found'
+        });
+      }
+      if (!['owner', 'admin'].includes(teamRole)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only copy boards into teams you admin'
+        });
+      }
+    }
+
+    const { board, taskCount } = await copyBoard(source, req.user.id, {
+      title: title || `Copy of ${source.title}`.slice(0, 50),
+      teamId: targetTeamId,
+      includeTasks: includeTasks !== false,
+      keepAssignees: !!keepAssignees,
+      keepDueDates: keepDueDates !== false,
+      keepCompletion: !!keepCompletion
+    });
+
+    await Activity.create({
+      user: req.user.id,
+      action: 'created_board',
+      boardId: board._id,
+      teamId: board.team,
+      description: `Created board "${board.title}" as a copy of "${source.title}"`,
+      metadata: {
+        boardTitle: board.title,
+        sourceBoardId: source._id,
+        sourceBoardTitle: source.title,
+        taskCount
+      }
+    });
+
+    const populatedBoard = await Board.findById(board._id)
+      .populate('createdBy', 'name username avatar')
+      .populate('members.user', 'name username avatar email')
+      .populate('team', 'name');
+    const columns = await Column.find({ board: board._id }).sort({ position: 1 });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Board duplicated successfully',
+      data: {
+        ...populatedBoard._doc,
+        columns
+      },
+      taskCount
+    });
+  } catch (error) {
+    console.error('Duplicate board error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while duplicating board',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 module.exports = { 
   createBoard, 
   getBoards, 
   getBoardById,
   updateBoard,
   deleteBoard,
+  archiveBoard,
+  unarchiveBoard,
   getBoardsByTeam,
   getAllBoardsComplete,
   addMember,
   removeMember,
   updateMemberRole,
+  getBoardMembers,
   createColumn,
   updateColumn,
   deleteColumn,
-  shareBoard
+  shareBoard,
+  duplicateBoard
 };
\ No newline at end of file
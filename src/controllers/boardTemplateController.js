@@ -0,0 +1,195 @@
+const BoardTemplate = require('../models/BoardTemplate');
+const { loadBoardWithAccess } = require('../services/boardPermissionService');
+const {
+  summarizeTemplate,
+  listTemplatesForUser,
+  findTemplateForUser,
+  resolveTemplateScope,
+  captureBoardTemplate
+} = require('../services/boardTemplateService');
+
+const sendTemplateError = (res, error, fallbackMessage) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+/**
+ * List the templates the user can create boards from: built-in, personal and team
+ * @route GET /api/board-templates
+ */
+const getBoardTemplates = async (req, res) => {
+  try {
+    const { teamId } = req.query;
+
+    const templates = await listTemplatesForUser(req.user.id, teamId);
+
+    return res.status(200).json({
+      success: true,
+      count: templates.length,
+      data: templates.map(summarizeTemplate)
+    });
+  } catch (error) {
+    console.error('Get board templates error:', error);
+    return sendTemplateError(res, error, 'Server error while fetching board templates');
+  }
+};
+
+/**
+ * Get a template with everything it creates
+ * @route GET /api/board-templates/:id
+ */
+const getBoardTemplate = async (req, res) => {
+  try {
+    const result = await findTemplateForUser(req.params.id, req.user.id);
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    const { template } = result;
+
+    return res.status(200).json({
+      success: true,
+      data: template._id
+        ? template
+        : { ...template, _id: template.key, scope: 'built_in', builtIn: true }
+    });
+  } catch (error) {
+    console.error('Get board template error:', error);
+    return sendTemplateError(res, error, 'Server error while fetching board template');
+  }
+};
+
+/**
+ * Save a board's columns, labels, custom fields, swimlanes, settings and
+ * (unless includeTasks is false) open tasks as a personal or team template
+ * @route POST /api/boards/:id/templates
+ */
+const saveBoardAsTemplate = async (req, res) => {
+  try {
+    const { name, description, scope = 'personal', teamId, includeTasks = true } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Template name is required'
+      });
+    }
+
+    const board = await loadBoardWithAccess(
+      req,
+      res,
+      'member',
+      'You do not have permission to save this board as a template',
+      req.params.id,
+      { write: false }
+    );
+    if (!board) return;
+
+    const target = await resolveTemplateScope(req.user.id, scope, teamId || board.team);
+    if (target.error) {
+      return res.status(target.status).json({
+        success: false,
+        message: target.error
+      });
+    }
+
+    const content = await captureBoardTemplate(board, { includeTasks: includeTasks !== false });
+
+    const template = await BoardTemplate.create({
+      name,
+      description: description !== undefined ? description : board.description || '',
+      ...target.value,
+      ...content,
+      sourceBoard: board._id,
+      createdBy: req.user.id
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Board saved as template',
+      data: template
+    });
+  } catch (error) {
+    console.error('Save board as template error:', error);
+    return sendTemplateError(res, error, 'Server error while saving board as template');
+  }
+};
+
+/**
+ * Rename a saved template or change its description
+ * @route PATCH /api/board-templates/:id
+ */
+const updateBoardTemplate = async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    const result = await findTemplateForUser(req.params.id, req.user.id, { manage: true });
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    const { template } = result;
+    if (name !== undefined) template.name = name;
+    if (description !== undefined) template.description = description;
+    await template.save();
+
+    return res.status(200).json({
+      success: true,
+      message: 'Board template updated successfully',
+      data: template
+    });
+  } catch (error) {
+    console.error('Update board template error:', error);
+    return sendTemplateError(res, error, 'Server error while updating board template');
+  }
+};
+
+/**
+ * Delete a saved template; boards created from it are not affected
+ * @route DELETE /api/board-templates/:id
+ */
+const deleteBoardTemplate = async (req, res) => {
+  try {
+    const result = await findTemplateForUser(req.params.id, req.user.id, { manage: true });
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    await result.template.deleteOne();
+
+    return res.status(200).json({
+      success: true,
+      message: 'Board template deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete board template error:', error);
+    return sendTemplateError(res, error, 'Server error while deleting board template');
+  }
+};
+
+module.exports = {
+  getBoardTemplates,
+  getBoardTemplate,
+  saveBoardAsTemplate,
+  updateBoardTemplate,
+  deleteBoardTemplate
+};
@@ -0,0 +1,421 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const Board = require('../models/Board');
+const Activity = require('../models/Activity');
+const { loadTaskWithAccess } = require('../services/boardPermissionService');
+const { markTaskCompleted } = require('../services/taskService');
+const { getOpenBlockers } = require('../services/dependencyService');
+const { getCompletionColumn } = require('../services/columnStatusService');
+const { checkWipLimit } = require('../services/wipService');
+
+/**
+ * Log a checklist change as an `updated_task` activity
+ */
+const logChecklistActivity = async (req, task, description, metadata) => {
+  try {
+    await Activity.create({
+      user: req.user.id,
+      action: 'updated_task',
+      taskId: task._id,
+      boardId: task.board,
+      columnId: task.column,
+      teamId: task.team,
+      description,
+      metadata: {
+        taskTitle: task.title,
+        ...metadata
+      }
+    });
+  } catch (activityError) {
+    console.error('Activity logging error:', activityError);
+  }
+};
+
+/**
+ * Move an element of a mongoose array to a new index
+ */
+const moveToPosition = (array, element, position) => {
+  const target = Math.max(0, Math.min(parseInt(position, 10), array.length - 1));
+  const current = array.indexOf(element);
+  if (Number.isNaN(target) || current === target) return;
+
+  const plain = element.toObject();
+  array.splice(current, 1);
+  array.splice(target, 0, plain);
+};
+
+const validateItemFields = ({ assignedTo, dueDate }) => {
+  if (assignedTo && !mongoose.Types.ObjectId.isValid(assignedTo)) {
+    return 'Invalid assignee ID';
+  }
+
+  if (dueDate && Number.isNaN(new Date(dueDate).getTime())) {
+    return 'Invalid due date';
+  }
+
+  return null;
+};
+
+/**
+ * Respond with the task's checklists and rolled-up progress
+ */
+const sendChecklists = async (res, taskId, status, message, extra = {}) => {
+  const task = await Task.findById(taskId)
+    .populate('checklists.items.assignedTo', 'name username avatar')
+    .populate('checklists.items.completedBy', 'name username avatar');
+
+  return res.status(status).json({
+    success: true,
+    message,
+    data: {
+      taskId: task._id,
+      status: task.status,
+      isCompleted: task.status === 'done',
+      checklists: task.checklists,
+      checklistProgress: task.getChecklistProgress(),
+      ...extra
+    }
+  });
+};
+
+const findChecklist = (task, checklistId) => {
+  if (!mongoose.Types.ObjectId.isValid(checklistId)) return null;
+  return task.checklists.id(checklistId);
+};
+
+const sendChecklistNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Checklist not found'
+});
+
+/**
+ * Add a checklist to a task
+ * @route POST /api/tasks/:id/checklists
+ */
+const addChecklist = async (req, res) => {
+  try {
+    const { title, items = [] } = req.body;
+
+    if (!title) {
+      return res.status(400).json({
+        success: false,
+        message: 'Checklist title is required'
+      });
+    }
+
+    if (!Array.isArray(items)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Checklist items must be an array'
+      });
+    }
+
+    const task = await loadTaskWithAccess(req, res, 'member', 'You do not have permission to edit this task');
+    if (!task) return;
+
+    task.checklists.push({
+      title,
+      items: items.map(item => (typeof item === 'string' ? { text: item } : item))
+    });
+    task.updatedAt = new Date();
+
+    await task.save();
+
+    const checklist = task.checklists[task.checklists.length - 1];
+    await logChecklistActivity(req, task, `Added checklist "${title}" to task "${task.title}"`, {
+      checklistId: checklist._id,
+      checklistTitle: title
+    });
+
+    return sendChecklists(res, task._id, 201, 'Checklist added successfully');
+  } catch (error) {
+    console.error('Add checklist error:', error);
+    return res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.name === 'ValidationError' ? error.message : 'Server error while adding checklist',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Rename or reorder a checklist
+ * @route PATCH /api/tasks/:id/checklists/:checklistId
+ */
+const updateChecklist = async (req, res) => {
+  try {
+    const { checklistId } = req.params;
+    const { title, position } = req.body;
+
+    const task = await loadTaskWithAccess(req, res, 'member', 'You do not have permission to edit this task');
+    if (!task) return;
+
+    const checklist = findChecklist(task, checklistId);
+    if (!checklist) return sendChecklistNotFound(res);
+
+    if (title !== undefined) checklist.title = title;
+    if (position !== undefined) moveToPosition(task.checklists, checklist, position);
+    task.updatedAt = new Date();
+
+    await task.save();
+
+    await logChecklistActivity(req, task, `Updated checklist "${checklist.title}" on task "${task.title}"`, {
+      checklistId: checklist._id,
+      updatedFields: Object.keys(req.body)
+    });
+
+    return sendChecklists(res, task._id, 200, 'Checklist updated successfully');
+  } catch (error) {
+    console.error('Update checklist error:', error);
+    return res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.name === 'ValidationError' ? error.message : 'Server error while updating checklist',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Delete a checklist and its items
+ * @route DELETE /api/tasks/:id/checklists/:checklistId
+ */
+const deleteChecklist = async (req, res) => {
+  try {
+    const { checklistId } = req.params;
+
+    const task = await loadTaskWithAccess(req, res, 'member', 'You do not have permission to edit this task');
+    if (!task) return;
+
+    const checklist = findChecklist(task, checklistId);
+    if (!checklist) return sendChecklistNotFound(res);
+
+    const checklistTitle = checklist.title;
+    task.checklists.pull(checklist._id);
+    task.updatedAt = new Date();
+
+    await task.save();
+
+    await logChecklistActivity(req, task, `Removed checklist "${checklistTitle}" from task "${task.title}"`, {
+      checklistId,
+      checklistTitle
+    });
+
+    return sendChecklists(res, task._id, 200, 'Checklist deleted successfully');
+  } catch (error) {
+    console.error('Delete checklist error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while deleting checklist',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Add an item to a checklist
+ * @route POST /api/tasks/:id/checklists/:checklistId/items
+ */
+const addChecklistItem = async (req, res) => {
+  try {
+    const { checklistId } = req.params;
+    const { text, assignedTo, dueDate, position } = req.body;
+
+    if (!text) {
+      return res.status(400).json({
+        success: false,
+        message: 'Checklist item text is required'
+      });
+    }
+
+    const invalid = validateItemFields(req.body);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    const task = await loadTaskWithAccess(req, res, 'member', 'You do not have permission to edit this task');
+    if (!task) return;
+
+    const checklist = findChecklist(task, checklistId);
+    if (!checklist) return sendChecklistNotFound(res);
+
+    checklist.items.push({
+      text,
+      assignedTo: assignedTo || null,
+      dueDate: dueDate || null
+    });
+
+    const item = checklist.items[checklist.items.length - 1];
+    if (position !== undefined) moveToPosition(checklist.items, item, position);
+    task.updatedAt = new Date();
+
+    await task.save();
+
+    await logChecklistActivity(req, task, `Added checklist item "${text}" to task "${task.title}"`, {
+      checklistId: checklist._id,
+      itemId: item._id
+    });
+
+    return sendChecklists(res, task._id, 201, 'Checklist item added successfully');
+  } catch (error) {
+    console.error('Add checklist item error:', error);
+    return res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.name === 'ValidationError' ? error.message : 'Server error while adding checklist item',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Update a checklist item: text, assignee, due date, position or checked state.
+ * Checking the last open item completes the task when `autoCompleteChecklist` is set.
+ * @route PATCH /api/tasks/:id/checklists/:checklistId/items/:itemId
+ */
+const updateChecklistItem = async (req, res) => {
+  try {
+    const { checklistId, itemId } = req.params;
+    const { text, completed, assignedTo, dueDate, position } = req.body;
+
+    const invalid = validateItemFields(req.body);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    const task = await loadTaskWithAccess(req, res, 'member', 'You do not have permission to edit this task');
+    if (!task) return;
+
+    const checklist = findChecklist(task, checklistId);
+    if (!checklist) return sendChecklistNotFound(res);
+
+    const item = mongoose.Types.ObjectId.isValid(itemId) ? checklist.items.id(itemId) : null;
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Checklist item not found'
+      });
+    }
+
+    const wasCompleted = item.completed;
+
+    if (text !== undefined) item.text = text;
+    if (assignedTo !== undefined) item.assignedTo = assignedTo || null;
+    if (dueDate !== undefined) item.dueDate = dueDate || null;
+    if (completed !== undefined) {
+      item.completed = !!completed;
+      item.completedBy = item.completed ? req.user.id : null;
+      item.completedAt = item.completed ? new Date() : null;
+    }
+    if (position !== undefined) moveToPosition(checklist.items, item, position);
+    task.updatedAt = new Date();
+
+    await task.save();
+
+    const toggled = completed !== undefined && wasCompleted !== !!completed;
+    await logChecklistActivity(
+      req,
+      task,
+      toggled
+        ? `${completed ? 'Checked' : 'Unchecked'} "${item.text}" on task "${task.title}"`
+        : `Updated checklist item "${item.text}" on task "${task.title}"`,
+      {
+        checklistId: checklist._id,
+        itemId: item._id,
+        completed: item.completed,
+        checklistProgress: task.getChecklistProgress(),
+        updatedFields: Object.keys(req.body)
+      }
+    );
+
+    // Optionally complete the parent task once everything is checked and nothing blocks it.
+    // A done column at its WIP limit holds the task back on boards that reject
+    // over-limit moves; otherwise the breach is flagged.
+    let taskCompleted = false;
+    let wipBreach = null;
+    const progress = task.getChecklistProgress();
+    if (toggled && item.completed && task.autoCompleteChecklist &&
+        task.status !== 'done' && progress.total > 0 && progress.completed === progress.total &&
+        (await getOpenBlockers(task)).length === 0) {
+      const doneColumn = await getCompletionColumn(task);
+      if (doneColumn) {
+        const board = await Board.findById(task.board).select('wipLimitMode');
+        wipBreach = await checkWipLimit(board, doneColumn);
+      }
+
+      if (!wipBreach || wipBreach.mode !== 'reject') {
+        await markTaskCompleted(task, req.user.id, { reason: 'checklist_completed', io: req.app.get('io') });
+        taskCompleted = true;
+      }
+    }
+
+    return sendChecklists(res, task._id, 200, 'Checklist item updated successfully', {
+      taskCompleted,
+      wipLimitExceeded: wipBreach
+    });
+  } catch (error) {
+    console.error('Update checklist item error:', error);
+    return res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.name === 'ValidationError' ? error.message : 'Server error while updating checklist item',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Remove an item from a checklist
+ * @route DELETE /api/tasks/:id/checklists/:checklistId/items/:itemId
+ */
+const deleteChecklistItem = async (req, res) => {
+  try {
+    const { checklistId, itemId } = req.params;
+
+    const task = await loadTaskWithAccess(req, res, 'member', 'You do not have permission to edit this task');
+    if (!task) return;
+
+    const checklist = findChecklist(task, checklistId);
+    if (!checklist) return sendChecklistNotFound(res);
+
+    const item = mongoose.Types.ObjectId.isValid(itemId) ? checklist.items.id(itemId) : null;
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Checklist item not found'
+      });
+    }
+
+    const itemText = item.text;
+    checklist.items.pull(item._id);
+    task.updatedAt = new Date();
+
+    await task.save();
+
+    await logChecklistActivity(req, task, `Removed checklist item "${itemText}" from task "${task.title}"`, {
+      checklistId: checklist._id,
+      itemId
+    });
+
+    return sendChecklists(res, task._id, 200, 'Checklist item deleted successfully');
+  } catch (error) {
+    console.error('Delete checklist item error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while deleting checklist item',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  addChecklist,
+  updateChecklist,
+  deleteChecklist,
+  addChecklistItem,
+  updateChecklistItem,
+  deleteChecklistItem
+};
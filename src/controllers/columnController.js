@@ -1,8 +1,12 @@
+const mongoose = require('mongoose');
 const Column = require('../models/Column');
 const Board = require('../models/Board');
 const Task = require('../models/Task');
 const Activity = require('../models/Activity');
-const Team = require('../models/Team');
+const { checkBoardPermission, sendPermissionDenied } = require('../services/boardPermissionService');
+const { parseWipLimit, countTasksByColumn, getWipStatus } = require('../services/wipService');
+const { parseStatusCategory } = require('../services/columnStatusService');
+const { trashColumn, getTrashExpiry } = require('../services/trashService');
 
 /**
  * Add a new column to a board
@@ -11,7 +15,7 @@ const Team = require('../models/Team');
 const addColumn = async (req, res) => {
   try {
     const { boardId } = req.params;
-    const { name } = req.body;
+    const { name, wipLimit, statusCategory } = req.body;
 
     if (!name) {
       return res.status(400).json({
@@ -20,6 +24,24 @@ const addColumn = async (req, res) => {
       });
     }
 
+    const parsedWipLimit = wipLimit === undefined ? { value: undefined } : parseWipLimit(wipLimit);
+    if (parsedWipLimit.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsedWipLimit.error
+      });
+    }
+
+    const parsedStatusCategory = statusCategory === undefined
+      ? { value: undefined }
+      : parseStatusCategory(statusCategory);
+    if (parsedStatusCategory.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsedStatusCategory.error
+      });
+    }
+
     // Find the board
     const board = await Board.findById(boardId);
     if (!board) {
@@ -30,12 +52,9 @@ const addColumn = async (req, res) => {
     }
 
     // Check user permission
-    const hasPermission = await checkBoardEditPermission(board, req.user.id);
-    if (!hasPermission) {
-      return res.status(403).json({
-        success: false,
-        message: 'You do not have permission to add columns to this board'
-      });
+    const access = await checkBoardPermission(board, req.user.id, 'member');
+    if (!access.allowed) {
+      return sendPermissionDenied(res, access, 'You do not have permission to add columns to this board');
     }
 
     // Get max order in existing columns
@@ -50,6 +69,8 @@ const addColumn = async (req, res) => {
       name,
       order: newOrder,
       board: boardId,
+      wipLimit: parsedWipLimit.value,
+      statusCategory: parsedStatusCategory.value,
       createdBy: req.user.id
     });
 
@@ -113,7 +134,25 @@ const addColumn = async (req, res) => {
 const updateColumn = async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, order } = req.body;
+    const { name, order, wipLimit, statusCategory } = req.body;
+
+    const parsedWipLimit = wipLimit === undefined ? { value: undefined } : parseWipLimit(wipLimit);
+    if (parsedWipLimit.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsedWipLimit.error
+      });
+    }
+
+    const parsedStatusCategory = statusCategory === undefined
+      ? { value: undefined }
+      : parseStatusCategory(statusCategory);
+    if (parsedStatusCategory.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsedStatusCategory.error
+      });
+    }
 
     // Find the column
     const column = await Column.findById(id);
@@ -133,18 +172,17 @@ const updateColumn = async (req, res) => {
       });
     }
 
-    const hasPermission = await checkBoardEditPermission(board, req.user.id);
-    if (!hasPermission) {
-      return res.status(403).json({
-        success: false,
-        message: 'You do not have permission to update this column'
-      });
+    const access = await checkBoardPermission(board, req.user.id, 'member');
+    if (!access.allowed) {
+      return sendPermissionDenied(res, access, 'You do not have permission to update this column');
     }
 
     const oldName = column.name;
 
     if (name !== undefined) column.name = name;
     if (order !== undefined) column.order = order;
+    if (parsedWipLimit.value !== undefined) column.wipLimit = parsedWipLimit.value;
+    if (parsedStatusCategory.value !== undefined) column.statusCategory = parsedStatusCategory.value;
 
     await column.save();
 
@@ -175,7 +213,9 @@ const updateColumn = async (req, res) => {
           column: {
             _id: column._id,
             name: column.name,
-            order: column.order
+            order: column.order,
+            wipLimit: column.wipLimit,
+            statusCategory: column.statusCategory
           },
           updater: {
             id: req.user.id,
@@ -227,13 +267,10 @@ const deleteColumn = async (req, res) => {
       });
     }
 
-    // Check user permission
-    const hasPermission = await checkBoardEditPermission(board, req.user.id);
-    if (!hasPermission) {
-      return res.status(403).json({
-        success: false,
-        message: 'You do not have permission to delete this column'
-      });
+    // Deleting a column can delete its tasks, so require board admin
+    const access = await checkBoardPermission(board, req.user.id, 'admin');
+    if (!access.allowed) {
+      return sendPermissionDenied(res, access, 'You do not have permission to delete this column');
     }
 
     // Handle tasks in the column
@@ -251,18 +288,34 @@ const deleteColumn = async (req, res) => {
         });
       }
 
-      // Move tasks to the destination column
+      // Move tasks to the destination column, logging each move like a manual one
+      const movedTasks = await Task.find({ column: column._id }).select('title');
       await Task.updateMany(
         { column: column._id },
         { column: destinationColumnId }
       );
-    } else {
-      // Delete all tasks in this column
-      await Task.deleteMany({ column: column._id });
+
+      try {
+        await Activity.insertMany(movedTasks.map(task => ({
+          user: req.user.id,
+          action: 'moved_task',
+          taskId: task._id,
+          boardId: column.board,
+          columnId: destinationColumnId,
+          metadata: {
+            taskTitle: task.title,
+            fromColumn: column._id,
+            toColumn: destinationColumnId,
+            reason: 'column_deleted'
+          }
+        })));
+      } catch (activityError) {
+        console.error('Activity logging error:', activityError);
+      }
     }
 
-    // Delete the column
-    await column.deleteOne();
+    // Move the column to the board's trash, with its tasks unless they were moved above
+    const trashedTasks = await trashColumn(column, req.user.id, { withTasks: !(moveTasks && destinationColumnId) });
 
     // Log activity
     await Activity.create({
@@ -272,7 +325,8 @@ const deleteColumn = async (req, res) => {
       metadata: {
         columnName: column.name,
         tasksPreserved: moveTasks ? true : false,
-        destinationColumn: moveTasks ? destinationColumnId : null
+        destinationColumn: moveTasks ? destinationColumnId : null,
+        trashedTasks
       }
     });
 
@@ -301,7 +355,9 @@ const deleteColumn = async (req, res) => {
 
     return res.status(200).json({
       success: true,
-      message: 'Column deleted successfully'
+      message: 'Column moved to trash',
+      trashedTasks,
+      expiresAt: getTrashExpiry(column)
     });
   } catch (error) {
     console.error('Delete column error:', error);
@@ -313,39 +369,9 @@ const deleteColumn = async (req, res) => {
   }
 };
 
-/**
- * Helper function to check if a user has edit permission on a board
- */
-const checkBoardEditPermission = async (board, userId) => {
-  if (!board || !userId) return false;
-  
-  // Check if user is the creator/owner
-  if (board.createdBy.toString() === userId) return true;
-  
-  // Check if user is a member with edit permission
-  const memberEntry = board.members.find(
-    member => member.user.toString() === userId
-  );
-  
-  if (memberEntry && (memberEntry.role === 'admin' || memberEntry.role === 'editor')) {
-    return true;
-  }
-  
-  // Check if board belongs to team and user is team admin/owner
-  if (board.team) {
-    const team = await Team.findById(board.team);
-    if (team) {
-      if (team.owner.toString() === userId) return true;
-      if (team.admins && team.admins.includes(userId)) return true;
-    }
-  }
-  
-  return false;
-};
-
 const createColumn = async (req, res) => {
   try {
-    const { title, boardId, position } = req.body;
+    const { title, boardId, position, wipLimit, statusCategory } = req.body;
     
     if (!title || !boardId) {
       return res.status(400).json({
@@ -353,12 +379,45 @@ const createColumn = async (req, res) => {
         message: "Please provide title and boardId"
       });
     }
+
+    const parsedWipLimit = wipLimit === undefined ? { value: undefined } : parseWipLimit(wipLimit);
+    if (parsedWipLimit.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsedWipLimit.error
+      });
+    }
+
+    const parsedStatusCategory = statusCategory === undefined
+      ? { value: undefined }
+      : parseStatusCategory(statusCategory);
+    if (parsedStatusCategory.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsedStatusCategory.error
+      });
+    }
+    
+    const board = await Board.findById(boardId);
+    if (!board) {
+      return res.status(404).json({
+        success: false,
+        message: 'Board not found'
+      });
+    }
+    
+    const access = await checkBoardPermission(board, req.user.id, 'member');
+    if (!access.allowed) {
+      return sendPermissionDenied(res, access, 'You do not have permission to add columns to this board');
+    }
     
     // Create column
     const column = await Column.create({
       title,
       board: boardId,
-      position: position || 0
+      position: position || 0,
+      wipLimit: parsedWipLimit.value,
+      statusCategory: parsedStatusCategory.value
     });
     
     res.status(201).json({
@@ -379,16 +438,35 @@ const getColumnsByBoard = async (req, res) => {
     const boardId = req.params.boardId;
     console.log('Getting columns for board:', boardId);
     
+    if (!mongoose.Types.ObjectId.isValid(boardId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid board ID format'
+      });
+    }
+    
+    const board = await Board.findById(boardId);
+    const access = await checkBoardPermission(board, req.user.id, 'viewer');
+    if (!access.allowed) {
+      return sendPermissionDenied(res, access);
+    }
+    
     // Find columns for this board
     const columns = await Column.find({ board: boardId })
       .sort({ position: 1 });
     
     console.log(`Found ${columns.length} columns`);
     
+    const taskCounts = await countTasksByColumn(columns.map(column => column._id));
+    
     res.status(200).json({
       success: true,
       count: columns.length,
-      data: columns
+      wipLimitMode: board.wipLimitMode || 'flag',
+      data: columns.map(column => ({
+        ...column._doc,
+        ...getWipStatus(column, taskCounts.get(column._id.toString()) || 0)
+      }))
     });
   } catch (error) {
     console.error('Get columns error:', error);
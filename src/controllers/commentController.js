@@ -0,0 +1,371 @@
+const mongoose = require('mongoose');
+const Comment = require('../models/Comment');
+const Activity = require('../models/Activity');
+const { loadTaskWithAccess } = require('../services/boardPermissionService');
+const { notifyUsers } = require('../services/notificationService');
+const { recordMentions } = require('../services/mentionService');
+const { getTaskFollowerIds } = require('../services/taskService');
+
+/**
+ * Find a comment that belongs to the given task
+ */
+const findTaskComment = async (task, commentId) => {
+  if (!mongoose.Types.ObjectId.isValid(commentId)) return null;
+  return Comment.findOne({ _id: commentId, task: task._id });
+};
+
+/**
+ * Deleted comments stay in the thread as placeholders so replies keep their context
+ */
+const serializeComment = (comment) => {
+  const data = comment.toObject();
+
+  if (data.isDeleted) {
+    data.content = '';
+    data.editHistory = [];
+  }
+
+  data.isEdited = !!data.editedAt;
+  return data;
+};
+
+/**
+ * Nest replies under their parent comments
+ */
+const buildThreads = (comments) => {
+  const byId = new Map();
+  const roots = [];
+
+  comments.forEach(comment => {
+    byId.set(comment._id.toString(), { ...serializeComment(comment), replies: [] });
+  });
+
+  byId.forEach(comment => {
+    const parent = comment.parent && byId.get(comment.parent.toString());
+    if (parent) {
+      parent.replies.push(comment);
+    } else {
+      roots.push(comment);
+    }
+  });
+
+  return roots;
+};
+
+/**
+ * Notify users newly @mentioned in a comment
+ */
+const recordCommentMentions = async (req, comment, task) => {
+  try {
+    await recordMentions(req.app.get('io'), comment, comment.content, {
+      task,
+      initiator: req.user.id,
+      context: 'comment'
+    });
+  } catch (mentionError) {
+    console.error('Mention notification error:', mentionError);
+  }
+};
+
+/**
+ * Get all comments on a task as threads
+ * @route GET /api/tasks/:id/comments
+ */
+const getTaskComments = async (req, res) => {
+  try {
+    const task = await loadTaskWithAccess(req, res, 'viewer');
+    if (!task) return;
+
+    const comments = await Comment.find({ task: task._id })
+      .populate('author', 'name username avatar')
+      .sort({ createdAt: 1 });
+
+    return res.status(200).json({
+      success: true,
+      count: comments.filter(comment => !comment.isDeleted).length,
+      data: buildThreads(comments)
+    });
+  } catch (error) {
+    console.error('Get task comments error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while fetching comments',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Add a comment or a reply to a task
+ * @route POST /api/tasks/:id/comments
+ */
+const addComment = async (req, res) => {
+  try {
+    const { content, parentId } = req.body;
+
+    if (!content || !content.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Comment content is required'
+      });
+    }
+
+    const task = await loadTaskWithAccess(req, res, 'member', 'You do not have permission to comment on this task');
+    if (!task) return;
+
+    let parent = null;
+    if (parentId) {
+      parent = await findTaskComment(task, parentId);
+      if (!parent) {
+        return res.status(404).json({
+          success: false,
+          message: 'Parent comment not found on this task'
+        });
+      }
+
+      if (parent.isDeleted) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot reply to a deleted comment'
+        });
+      }
+    }
+
+    const comment = await Comment.create({
+      task: task._id,
+      board: task.board,
+      author: req.user.id,
+      parent: parent ? parent._id : null,
+      content
+    });
+
+    const populatedComment = await Comment.findById(comment._id)
+      .populate('author', 'name username avatar');
+
+    try {
+      await Activity.create({
+        user: req.user.id,
+        action: 'commented_task',
+        taskId: task._id,
+        boardId: task.board,
+        columnId: task.column,
+        teamId: task.team,
+        description: `${parent ? 'Replied to a comment on' : 'Commented on'} task "${task.title}"`,
+        metadata: {
+          taskTitle: task.title,
+          commentId: comment._id,
+          parentId: parent ? parent._id : null
+        }
+      });
+    } catch (activityError) {
+      console.error('Activity logging error:', activityError);
+    }
+
+    await recordCommentMentions(req, comment, task);
+
+    const io = req.app.get('io');
+
+    await notifyUsers(io, [...getTaskFollowerIds(task), task.createdBy, parent && parent.author], {
+      initiator: req.user.id,
+      type: 'task_comment',
+      relatedTask: task._id,
+      relatedBoard: task.board,
+      relatedTeam: task.team,
+      message: `New comment on task "${task.title}"`
+    });
+
+    if (io) {
+      io.to(`board:${task.board}`).emit('comment:created', {
+        taskId: task._id,
+        comment: serializeComment(populatedComment)
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: 'Comment added successfully',
+      data: serializeComment(populatedComment)
+    });
+  } catch (error) {
+    console.error('Add comment error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while adding comment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Edit a comment - only the author can edit, previous content is kept in editHistory
+ * @route PATCH /api/tasks/:id/comments/:commentId
+ */
+const updateComment = async (req, res) => {
+  try {
+    const { commentId } = req.params;
+    const { content } = req.body;
+
+    if (!content || !content.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Comment content is required'
+      });
+    }
+
+    const task = await loadTaskWithAccess(req, res, 'viewer', undefined, { write: true });
+    if (!task) return;
+
+    const comment = await findTaskComment(task, commentId);
+    if (!comment || comment.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    if (comment.author.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the author can edit this comment'
+      });
+    }
+
+    if (comment.content === content.trim()) {
+      return res.status(200).json({
+        success: true,
+        message: 'Comment unchanged',
+        data: serializeComment(comment)
+      });
+    }
+
+    const editedAt = new Date();
+    comment.editHistory.push({ content: comment.content, editedAt });
+    comment.content = content;
+    comment.editedAt = editedAt;
+
+    await comment.save();
+
+    try {
+      await Activity.create({
+        user: req.user.id,
+        action: 'updated_comment',
+        taskId: task._id,
+        boardId: task.board,
+        columnId: task.column,
+        teamId: task.team,
+        description: `Edited a comment on task "${task.title}"`,
+        metadata: {
+          taskTitle: task.title,
+          commentId: comment._id,
+          revision: comment.editHistory.length
+        }
+      });
+    } catch (activityError) {
+      console.error('Activity logging error:', activityError);
+    }
+
+    await recordCommentMentions(req, comment, task);
+
+    const populatedComment = await Comment.findById(comment._id)
+      .populate('author', 'name username avatar');
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`board:${task.board}`).emit('comment:updated', {
+        taskId: task._id,
+        comment: serializeComment(populatedComment)
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Comment updated successfully',
+      data: serializeComment(populatedComment)
+    });
+  } catch (error) {
+    console.error('Update comment error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while updating comment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Soft delete a comment - only the author can delete it
+ * @route DELETE /api/tasks/:id/comments/:commentId
+ */
+const deleteComment = async (req, res) => {
+  try {
+    const { commentId } = req.params;
+
+    const task = await loadTaskWithAccess(req, res, 'viewer', undefined, { write: true });
+    if (!task) return;
+
+    const comment = await findTaskComment(task, commentId);
+    if (!comment || comment.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    if (comment.author.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the author can delete this comment'
+      });
+    }
+
+    comment.isDeleted = true;
+    comment.deletedAt = new Date();
+
+    await comment.save();
+
+    try {
+      await Activity.create({
+        user: req.user.id,
+        action: 'deleted_comment',
+        taskId: task._id,
+        boardId: task.board,
+        columnId: task.column,
+        teamId: task.team,
+        description: `Deleted a comment on task "${task.title}"`,
+        metadata: {
+          taskTitle: task.title,
+          commentId: comment._id
+        }
+      });
+    } catch (activityError) {
+      console.error('Activity logging error:', activityError);
+    }
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`board:${task.board}`).emit('comment:deleted', {
+        taskId: task._id,
+        commentId: comment._id
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Comment deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while deleting comment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getTaskComments,
+  addComment,
+  updateComment,
+  deleteComment
+};
@@ -0,0 +1,224 @@
+const mongoose = require('mongoose');
+const CustomField = require('../models/CustomField');
+const Task = require('../models/Task');
+const { loadBoardWithAccess } = require('../services/boardPermissionService');
+const { parseCustomFieldDefinition } = require('../services/customFieldService');
+const { LANE_FIELD_TYPES, releaseLaneField } = require('../services/swimlaneService');
+
+const sendCustomFieldError = (res, error, fallbackMessage) => {
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: 'A custom field with this name already exists on this board'
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+const findBoardField = async (board, fieldId) => {
+  if (!mongoose.Types.ObjectId.isValid(fieldId)) return null;
+  return CustomField.findOne({ _id: fieldId, board: board._id });
+};
+
+/**
+ * Get the custom fields defined on a board
+ * @route GET /api/boards/:id/custom-fields
+ */
+const getBoardCustomFields = async (req, res) => {
+  try {
+    const board = await loadBoardWithAccess(req, res, 'viewer');
+    if (!board) return;
+
+    const fields = await CustomField.find({ board: board._id }).sort({ position: 1, createdAt: 1 });
+
+    return res.status(200).json({
+      success: true,
+      count: fields.length,
+      data: fields
+    });
+  } catch (error) {
+    console.error('Get custom fields error:', error);
+    return sendCustomFieldError(res, error, 'Server error while fetching custom fields');
+  }
+};
+
+/**
+ * Define a custom field on a board
+ * @route POST /api/boards/:id/custom-fields
+ */
+const createCustomField = async (req, res) => {
+  try {
+    const definition = parseCustomFieldDefinition(req.body);
+    if (definition.error) {
+      return res.status(400).json({
+        success: false,
+        message: definition.error
+      });
+    }
+
+    const board = await loadBoardWithAccess(req, res, 'admin', 'Only board admins can manage custom fields');
+    if (!board) return;
+
+    if (definition.value.position === undefined) {
+      definition.value.position = await CustomField.countDocuments({ board: board._id });
+    }
+
+    const field = await CustomField.create({
+      ...definition.value,
+      board: board._id,
+      createdBy: req.user.id
+    });
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`board:${board._id}`).emit('customField:created', { boardId: board._id, field });
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: 'Custom field created successfully',
+      data: field
+    });
+  } catch (error) {
+    console.error('Create custom field error:', error);
+    return sendCustomFieldError(res, error, 'Server error while creating custom field');
+  }
+};
+
+/**
+ * Edit a custom field. The type can only change while no task has a value
+ * for the field; dropping a select option clears it from the tasks using it.
+ * @route PATCH /api/boards/:id/custom-fields/:fieldId
+ */
+const updateCustomField = async (req, res) => {
+  try {
+    const { fieldId } = req.params;
+
+    const board = await loadBoardWithAccess(req, res, 'admin', 'Only board admins can manage custom fields');
+    if (!board) return;
+
+    const field = await findBoardField(board, fieldId);
+    if (!field) {
+      return res.status(404).json({
+        success: false,
+        message: 'Custom field not found'
+      });
+    }
+
+    const definition = parseCustomFieldDefinition(req.body, field);
+    if (definition.error) {
+      return res.status(400).json({
+        success: false,
+        message: definition.error
+      });
+    }
+
+    const valuePath = `customFields.${field._id}`;
+
+    if (definition.value.type !== field.type) {
+      const tasksWithValue = await Task.countDocuments({ board: board._id, [valuePath]: { $exists: true } });
+      if (tasksWithValue > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `Cannot change the type of a field that ${tasksWithValue} task(s) have values for`
+        });
+      }
+    }
+
+    let tasksCleared = 0;
+    if (field.type === 'select' && definition.value.type === 'select') {
+      const removedOptions = field.options.filter(option => !definition.value.options.includes(option));
+      if (removedOptions.length > 0) {
+        const result = await Task.updateMany(
+          { board: board._id, [valuePath]: { $in: removedOptions } },
+          { $unset: { [valuePath]: '' } }
+        );
+        tasksCleared = result.nModified;
+      }
+    }
+
+    field.set(definition.value);
+    await field.save();
+
+    const swimlanesReset = !LANE_FIELD_TYPES.includes(field.type) && await releaseLaneField(board._id, field._id);
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`board:${board._id}`).emit('customField:updated', { boardId: board._id, field });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Custom field updated successfully',
+      data: field,
+      tasksCleared,
+      swimlanesReset
+    });
+  } catch (error) {
+    console.error('Update custom field error:', error);
+    return sendCustomFieldError(res, error, 'Server error while updating custom field');
+  }
+};
+
+/**
+ * Delete a custom field and its values on every task
+ * @route DELETE /api/boards/:id/custom-fields/:fieldId
+ */
+const deleteCustomField = async (req, res) => {
+  try {
+    const { fieldId } = req.params;
+
+    const board = await loadBoardWithAccess(req, res, 'admin', 'Only board admins can manage custom fields');
+    if (!board) return;
+
+    const field = await findBoardField(board, fieldId);
+    if (!field) {
+      return res.status(404).json({
+        success: false,
+        message: 'Custom field not found'
+      });
+    }
+
+    const valuePath = `customFields.${field._id}`;
+    const result = await Task.updateMany(
+      { board: board._id, [valuePath]: { $exists: true } },
+      { $unset: { [valuePath]: '' } }
+    );
+    await field.deleteOne();
+    const swimlanesReset = await releaseLaneField(board._id, field._id);
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`board:${board._id}`).emit('customField:deleted', { boardId: board._id, fieldId: field._id });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Custom field deleted successfully',
+      tasksUpdated: result.nModified,
+      swimlanesReset
+    });
+  } catch (error) {
+    console.error('Delete custom field error:', error);
+    return sendCustomFieldError(res, error, 'Server error while deleting custom field');
+  }
+};
+
+module.exports = {
+  getBoardCustomFields,
+  createCustomField,
+  updateCustomField,
+  deleteCustomField
+};
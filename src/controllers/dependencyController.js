@@ -0,0 +1,330 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const Board = require('../models/Board');
+const Activity = require('../models/Activity');
+const {
+  loadBoardWithAccess,
+  loadTaskWithAccess,
+  checkBoardPermission
+} = require('../services/boardPermissionService');
+const {
+  canLinkTasks,
+  findDependencyCycle,
+  getBoardDependencyGraph
+} = require('../services/dependencyService');
+
+const DEPENDENCY_TYPES = ['blocked_by', 'blocks'];
+
+const logDependencyActivity = async (req, task, action, description, metadata) => {
+  try {
+    await Activity.create({
+      user: req.user.id,
+      action,
+      taskId: task._id,
+      boardId: task.board,
+      columnId: task.column,
+      teamId: task.team,
+      description,
+      metadata: {
+        taskTitle: task.title,
+        ...metadata
+      }
+    });
+  } catch (activityError) {
+    console.error('Activity logging error:', activityError);
+  }
+};
+
+/**
+ * Emit a dependency event to each distinct board the linked tasks live on
+ */
+const emitToTaskBoards = (req, tasks, event, payload) => {
+  const io = req.app.get('io');
+  if (!io) return;
+
+  new Set(tasks.filter(Boolean).map(task => task.board.toString()))
+    .forEach(boardId => io.to(`board:${boardId}`).emit(event, payload));
+};
+
+/**
+ * Respond with both sides of a task's dependencies
+ */
+const sendDependencies = async (res, taskId, status, message) => {
+  const task = await Task.findById(taskId).populate('blockedBy', 'title status board column');
+  const blocks = await Task.find({ blockedBy: taskId }).select('title status board column');
+
+  return res.status(status).json({
+    success: true,
+    ...(message && { message }),
+    data: {
+      taskId: task._id,
+      blockedBy: task.blockedBy,
+      blocks,
+      openBlockers: task.blockedBy.filter(blocker => blocker.status !== 'done'),
+      isBlocked: task.blockedBy.some(blocker => blocker.status !== 'done')
+    }
+  });
+};
+
+/**
+ * Check the user holds `requiredRole` on the board of the other task in a dependency
+ */
+const checkLinkedTaskAccess = async (req, linkedTask, requiredRole) => {
+  const board = linkedTask && await Board.findById(linkedTask.board);
+  return board ? checkBoardPermission(board, req.user.id, requiredRole) : { allowed: false, role: null };
+};
+
+/**
+ * Load the other task in a dependency and make sure the user holds `requiredRole`
+ * on its board: 'viewer' to link to it, 'member' when its own blockers change
+ */
+const loadLinkedTask = async (req, res, linkedTaskId, requiredRole = 'viewer') => {
+  if (!mongoose.Types.ObjectId.isValid(linkedTaskId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid task ID format'
+    });
+    return null;
+  }
+
+  const linkedTask = await Task.findById(linkedTaskId);
+  const access = await checkLinkedTaskAccess(req, linkedTask, requiredRole);
+
+  if (!access.role) {
+    res.status(404).json({
+      success: false,
+      message: 'Linked task not found'
+    });
+    return null;
+  }
+
+  if (access.archived) {
+    res.status(409).json({
+      success: false,
+      message: 'The linked task is on an archived board'
+    });
+    return null;
+  }
+
+  if (!access.allowed) {
+    res.status(403).json({
+      success: false,
+      message: 'You do not have permission to edit the linked task'
+    });
+    return null;
+  }
+
+  return linkedTask;
+};
+
+/**
+ * Get the tasks blocking this task and the tasks it blocks
+ * @route GET /api/tasks/:id/dependencies
+ */
+const getTaskDependencies = async (req, res) => {
+  try {
+    const task = await loadTaskWithAccess(req, res, 'viewer');
+    if (!task) return;
+
+    return sendDependencies(res, task._id, 200);
+  } catch (error) {
+    console.error('Get task dependencies error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while fetching dependencies',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Link two tasks. `type: "blocked_by"` (default) makes this task wait for `taskId`;
+ * `type: "blocks"` makes `taskId` wait for this task. Links that would form a cycle are rejected.
+ * @route POST /api/tasks/:id/dependencies
+ */
+const addDependency = async (req, res) => {
+  try {
+    const { taskId: linkedTaskId, type = 'blocked_by' } = req.body;
+
+    if (!linkedTaskId) {
+      return res.status(400).json({
+        success: false,
+        message: 'taskId is required'
+      });
+    }
+
+    if (!DEPENDENCY_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Dependency type must be one of: ${DEPENDENCY_TYPES.join(', ')}`
+      });
+    }
+
+    const task = await loadTaskWithAccess(req, res, 'member', 'You do not have permission to edit this task');
+    if (!task) return;
+
+    if (task._id.toString() === linkedTaskId.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A task cannot depend on itself'
+      });
+    }
+
+    // "blocks" writes to the linked task's blockers, so its board needs member access too
+    const linkedTask = await loadLinkedTask(req, res, linkedTaskId, type === 'blocks' ? 'member' : 'viewer');
+    if (!linkedTask) return;
+
+    if (!canLinkTasks(task, linkedTask)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dependencies can only link tasks in the same team'
+      });
+    }
+
+    const [blocked, blocker] = type === 'blocked_by' ? [task, linkedTask] : [linkedTask, task];
+
+    if (blocked.blockedBy.some(id => id.toString() === blocker._id.toString())) {
+      return sendDependencies(res, task._id, 200, 'Dependency already exists');
+    }
+
+    const cycle = await findDependencyCycle(blocked._id, blocker._id);
+    if (cycle) {
+      return res.status(409).json({
+        success: false,
+        message: 'This dependency would create a cycle',
+        cycle
+      });
+    }
+
+    await Task.updateOne(
+      { _id: blocked._id },
+      { $addToSet: { blockedBy: blocker._id }, $set: { updatedAt: new Date() } }
+    );
+
+    await logDependencyActivity(
+      req,
+      blocked,
+      'added_dependency',
+      `Marked task "${blocked.title}" as blocked by "${blocker.title}"`,
+      { blockedTaskId: blocked._id, blockerTaskId: blocker._id, blockerTitle: blocker.title }
+    );
+
+    emitToTaskBoards(req, [blocked, blocker], 'dependency:added', {
+      blockedTaskId: blocked._id,
+      blockerTaskId: blocker._id
+    });
+
+    return sendDependencies(res, task._id, 201, 'Dependency added successfully');
+  } catch (error) {
+    console.error('Add dependency error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while adding dependency',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Remove the link between this task and another, in whichever direction it exists
+ * @route DELETE /api/tasks/:id/dependencies/:taskId
+ */
+const removeDependency = async (req, res) => {
+  try {
+    const { taskId: linkedTaskId } = req.params;
+
+    const task = await loadTaskWithAccess(req, res, 'member', 'You do not have permission to edit this task');
+    if (!task) return;
+
+    if (!mongoose.Types.ObjectId.isValid(linkedTaskId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid task ID format'
+      });
+    }
+
+    const linkedTask = await Task.findById(linkedTaskId);
+    const blockedByLinked = task.blockedBy.some(id => id.toString() === linkedTaskId);
+    const blocksLinked = !!linkedTask && linkedTask.blockedBy.some(id => id.toString() === task._id.toString());
+
+    if (!blockedByLinked && !blocksLinked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dependency not found'
+      });
+    }
+
+    // Unlinking changes the linked task's blockers, which needs member access on its board
+    if (blocksLinked) {
+      const access = await checkLinkedTaskAccess(req, linkedTask, 'member');
+      if (!access.allowed) {
+        return res.status(access.role ? 403 : 404).json({
+          success: false,
+          message: access.role ? 'You do not have permission to edit the linked task' : 'Dependency not found'
+        });
+      }
+    }
+
+    if (blockedByLinked) {
+      await Task.updateOne({ _id: task._id }, { $pull: { blockedBy: linkedTaskId }, $set: { updatedAt: new Date() } });
+    }
+    if (blocksLinked) {
+      await Task.updateOne({ _id: linkedTask._id }, { $pull: { blockedBy: task._id }, $set: { updatedAt: new Date() } });
+    }
+
+    const linkedTitle = linkedTask ? linkedTask.title : 'a deleted task';
+    await logDependencyActivity(
+      req,
+      task,
+      'removed_dependency',
+      `Removed dependency between "${task.title}" and "${linkedTitle}"`,
+      { linkedTaskId, linkedTaskTitle: linkedTask ? linkedTask.title : null }
+    );
+
+    emitToTaskBoards(req, [task, linkedTask], 'dependency:removed', {
+      taskId: task._id,
+      linkedTaskId
+    });
+
+    return sendDependencies(res, task._id, 200, 'Dependency removed successfully');
+  } catch (error) {
+    console.error('Remove dependency error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while removing dependency',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get a board's dependency graph as nodes and blocker -> blocked edges
+ * @route GET /api/boards/:id/dependencies
+ */
+const getBoardDependencies = async (req, res) => {
+  try {
+    const board = await loadBoardWithAccess(req, res, 'viewer');
+    if (!board) return;
+
+    const graph = await getBoardDependencyGraph(board);
+
+    return res.status(200).json({
+      success: true,
+      data: graph
+    });
+  } catch (error) {
+    console.error('Get board dependencies error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while fetching dependency graph',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getTaskDependencies,
+  addDependency,
+  removeDependency,
+  getBoardDependencies
+};
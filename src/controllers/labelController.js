@@ -0,0 +1,338 @@
+const mongoose = require('mongoose');
+const Label = require('../models/Label');
+const Task = require('../models/Task');
+const Activity = require('../models/Activity');
+const { loadBoardWithAccess, loadTaskWithAccess } = require('../services/boardPermissionService');
+
+/**
+ * Write one activity per affected task so label changes appear in each task's feed
+ */
+const logLabelActivityForTasks = async (req, tasks, action, description, metadata) => {
+  if (tasks.length === 0) return;
+
+  try {
+    await Activity.insertMany(tasks.map(task => ({
+      user: req.user.id,
+      action,
+      taskId: task._id,
+      boardId: task.board,
+      columnId: task.column,
+      teamId: task.team,
+      description: description(task),
+      metadata: {
+        taskTitle: task.title,
+        ...metadata
+      }
+    })));
+  } catch (activityError) {
+    console.error('Activity logging error:', activityError);
+  }
+};
+
+const sendLabelError = (res, error, fallbackMessage) => {
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: 'A label with this name already exists on this board'
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+const findBoardLabel = async (board, labelId) => {
+  if (!mongoose.Types.ObjectId.isValid(labelId)) return null;
+  return Label.findOne({ _id: labelId, board: board._id });
+};
+
+/**
+ * Get all labels on a board with how many tasks use each
+ * @route GET /api/boards/:id/labels
+ */
+const getBoardLabels = async (req, res) => {
+  try {
+    const board = await loadBoardWithAccess(req, res, 'viewer');
+    if (!board) return;
+
+    const labels = await Label.find({ board: board._id }).sort({ name: 1 });
+
+    const usage = await Task.aggregate([
+      { $match: { board: board._id, labels: { $exists: true, $ne: [] } } },
+      { $unwind: '$labels' },
+      { $group: { _id: '$labels', count: { $sum: 1 } } }
+    ]);
+    const usageById = new Map(usage.map(entry => [entry._id.toString(), entry.count]));
+
+    return res.status(200).json({
+      success: true,
+      count: labels.length,
+      data: labels.map(label => ({
+        ...label._doc,
+        taskCount: usageById.get(label._id.toString()) || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Get board labels error:', error);
+    return sendLabelError(res, error, 'Server error while fetching labels');
+  }
+};
+
+/**
+ * Create a label on a board
+ * @route POST /api/boards/:id/labels
+ */
+const createLabel = async (req, res) => {
+  try {
+    const { name, color } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Label name is required'
+      });
+    }
+
+    const board = await loadBoardWithAccess(req, res, 'member', 'You do not have permission to create labels on this board');
+    if (!board) return;
+
+    const label = await Label.create({
+      name,
+      ...(color && { color }),
+      board: board._id,
+      createdBy: req.user.id
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Label created successfully',
+      data: label
+    });
+  } catch (error) {
+    console.error('Create label error:', error);
+    return sendLabelError(res, error, 'Server error while creating label');
+  }
+};
+
+/**
+ * Rename or recolor a label. Tasks reference labels by ID, so every task
+ * sees the change; each of them gets an activity entry.
+ * @route PATCH /api/boards/:id/labels/:labelId
+ */
+const updateLabel = async (req, res) => {
+  try {
+    const { labelId } = req.params;
+    const { name, color } = req.body;
+
+    const board = await loadBoardWithAccess(req, res, 'member', 'You do not have permission to edit labels on this board');
+    if (!board) return;
+
+    const label = await findBoardLabel(board, labelId);
+    if (!label) {
+      return res.status(404).json({
+        success: false,
+        message: 'Label not found'
+      });
+    }
+
+    const previous = { name: label.name, color: label.color };
+
+    if (name !== undefined) label.name = name;
+    if (color !== undefined) label.color = color;
+
+    await label.save();
+
+    if (previous.name !== label.name || previous.color !== label.color) {
+      const tasks = await Task.find({ labels: label._id }).select('title board column team');
+      await logLabelActivityForTasks(
+        req,
+        tasks,
+        'updated_label',
+        task => (previous.name !== label.name
+          ? `Renamed label "${previous.name}" to "${label.name}" on task "${task.title}"`
+          : `Changed color of label "${label.name}" on task "${task.title}"`),
+        {
+          labelId: label._id,
+          previousName: previous.name,
+          newName: label.name,
+          previousColor: previous.color,
+          newColor: label.color
+        }
+      );
+    }
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`board:${board._id}`).emit('label:updated', { boardId: board._id, label });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Label updated successfully',
+      data: label
+    });
+  } catch (error) {
+    console.error('Update label error:', error);
+    return sendLabelError(res, error, 'Server error while updating label');
+  }
+};
+
+/**
+ * Delete a label and detach it from every task on the board
+ * @route DELETE /api/boards/:id/labels/:labelId
+ */
+const deleteLabel = async (req, res) => {
+  try {
+    const { labelId } = req.params;
+
+    const board = await loadBoardWithAccess(req, res, 'member', 'You do not have permission to delete labels on this board');
+    if (!board) return;
+
+    const label = await findBoardLabel(board, labelId);
+    if (!label) {
+      return res.status(404).json({
+        success: false,
+        message: 'Label not found'
+      });
+    }
+
+    const tasks = await Task.find({ labels: label._id }).select('title board column team');
+
+    await Task.updateMany({ labels: label._id }, { $pull: { labels: label._id } });
+    await label.deleteOne();
+
+    await logLabelActivityForTasks(
+      req,
+      tasks,
+      'deleted_label',
+      task => `Deleted label "${label.name}" from task "${task.title}"`,
+      { labelId: label._id, labelName: label.name }
+    );
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`board:${board._id}`).emit('label:deleted', { boardId: board._id, labelId: label._id });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Label deleted successfully',
+      tasksUpdated: tasks.length
+    });
+  } catch (error) {
+    console.error('Delete label error:', error);
+    return sendLabelError(res, error, 'Server error while deleting label');
+  }
+};
+
+/**
+ * Attach a board label to a task
+ * @route POST /api/tasks/:id/labels
+ */
+const addTaskLabel = async (req, res) => {
+  try {
+    const { labelId } = req.body;
+
+    const task = await loadTaskWithAccess(req, res, 'member', 'You do not have permission to label this task');
+    if (!task) return;
+
+    const label = await findBoardLabel({ _id: task.board }, labelId);
+    if (!label) {
+      return res.status(404).json({
+        success: false,
+        message: 'Label not found on this board'
+      });
+    }
+
+    const alreadyLabelled = task.labels.some(id => id.toString() === label._id.toString());
+    if (!alreadyLabelled) {
+      task.labels.push(label._id);
+      task.updatedAt = new Date();
+      await task.save();
+
+      await logLabelActivityForTasks(
+        req,
+        [task],
+        'added_label',
+        () => `Added label "${label.name}" to task "${task.title}"`,
+        { labelId: label._id, labelName: label.name }
+      );
+    }
+
+    const populatedTask = await Task.findById(task._id).populate('labels', 'name color');
+
+    return res.status(200).json({
+      success: true,
+      message: alreadyLabelled ? 'Task already has this label' : 'Label added to task',
+      data: populatedTask.labels
+    });
+  } catch (error) {
+    console.error('Add task label error:', error);
+    return sendLabelError(res, error, 'Server error while adding label to task');
+  }
+};
+
+/**
+ * Detach a label from a task
+ * @route DELETE /api/tasks/:id/labels/:labelId
+ */
+const removeTaskLabel = async (req, res) => {
+  try {
+    const { labelId } = req.params;
+
+    const task = await loadTaskWithAccess(req, res, 'member', 'You do not have permission to label this task');
+    if (!task) return;
+
+    const hasLabel = task.labels.some(id => id.toString() === labelId);
+    if (!hasLabel) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task does not have this label'
+      });
+    }
+
+    const label = await Label.findById(labelId);
+
+    task.labels.pull(labelId);
+    task.updatedAt = new Date();
+    await task.save();
+
+    await logLabelActivityForTasks(
+      req,
+      [task],
+      'removed_label',
+      () => `Removed label "${label ? label.name : 'unknown'}" from task "${task.title}"`,
+      { labelId, labelName: label ? label.name : null }
+    );
+
+    const populatedTask = await Task.findById(task._id).populate('labels', 'name color');
+
+    return res.status(200).json({
+      success: true,
+      message: 'Label removed from task',
+      data: populatedTask.labels
+    });
+  } catch (error) {
+    console.error('Remove task label error:', error);
+    return sendLabelError(res, error, 'Server error while removing label from task');
+  }
+};
+
+module.exports = {
+  getBoardLabels,
+  createLabel,
+  updateLabel,
+  deleteLabel,
+  addTaskLabel,
+  removeTaskLabel
+};
@@ -0,0 +1,188 @@
+const Task = require('../models/Task');
+const Column = require('../models/Column');
+const Activity = require('../models/Activity');
+const { loadTaskWithAccess } = require('../services/boardPermissionService');
+const { parseRecurrence, getNextDueDate } = require('../services/recurrenceService');
+
+const logRecurrenceActivity = async (req, task, description, metadata) => {
+  try {
+    await Activity.create({
+      user: req.user.id,
+      action: 'updated_task',
+      taskId: task._id,
+      boardId: task.board,
+      columnId: task.column,
+      teamId: task.team,
+      description,
+      metadata: {
+        taskTitle: task.title,
+        seriesId: task.seriesId,
+        ...metadata
+      }
+    });
+  } catch (activityError) {
+    console.error('Activity logging error:', activityError);
+  }
+};
+
+/**
+ * Open occurrences share the series rule, so edits and stops apply to all of them
+ */
+const openSeriesFilter = (task) => ({
+  $or: [{ _id: task._id }, ...(task.seriesId ? [{ seriesId: task.seriesId }] : [])],
+  status: { $ne: 'done' }
+});
+
+const sendRecurrence = async (res, taskId, message) => {
+  const task = await Task.findById(taskId);
+  const occurrences = task.seriesId
+    ? await Task.find({ seriesId: task.seriesId })
+      .select('title status dueDate completedAt column')
+      .sort({ createdAt: 1 })
+    : [];
+
+  return res.status(200).json({
+    success: true,
+    ...(message && { message }),
+    data: {
+      taskId: task._id,
+      recurrence: task.recurrence,
+      seriesId: task.seriesId,
+      previousOccurrence: task.previousOccurrence,
+      nextOccurrence: task.nextOccurrence,
+      // When the next occurrence would be due if this task were completed now
+      nextDueDate: task.recurrence && !task.nextOccurrence
+        ? getNextDueDate(task.recurrence, { dueDate: task.dueDate })
+        : null,
+      occurrences
+    }
+  });
+};
+
+/**
+ * Get a task's recurrence rule and the occurrences in its series
+ * @route GET /api/tasks/:id/recurrence
+ */
+const getRecurrence = async (req, res) => {
+  try {
+    const task = await loadTaskWithAccess(req, res, 'viewer');
+    if (!task) return;
+
+    return sendRecurrence(res, task._id);
+  } catch (error) {
+    console.error('Get recurrence error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while fetching recurrence',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Make a task recurring, or change the rule of its series
+ * @route PUT /api/tasks/:id/recurrence
+ */
+const updateRecurrence = async (req, res) => {
+  try {
+    const { value: rule, error: invalid } = parseRecurrence(req.body);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    const task = await loadTaskWithAccess(req, res, 'member', 'You do not have permission to edit this task');
+    if (!task) return;
+
+    if (rule.column) {
+      const column = await Column.findOne({ _id: rule.column, board: task.board });
+      if (!column) {
+        return res.status(400).json({
+          success: false,
+          message: 'Recurrence column not found in this board'
+        });
+      }
+    } else {
+      rule.column = (task.recurrence && task.recurrence.column) || task.column;
+    }
+
+    const startsSeries = !task.seriesId;
+
+    // Setting the rule through save() lets the model start the series
+    task.recurrence = rule;
+    task.updatedAt = new Date();
+    await task.save();
+
+    // The saved rule, with any defaults the model filled in
+    const { nModified, modifiedCount } = await Task.updateMany(
+      { ...openSeriesFilter(task), _id: { $ne: task._id } },
+      { $set: { recurrence: task.recurrence.toObject(), updatedAt: new Date() } }
+    );
+
+    await logRecurrenceActivity(
+      req,
+      task,
+      startsSeries ? `Made task "${task.title}" recurring (${rule.frequency})` : `Changed recurrence of task "${task.title}"`,
+      { recurrence: rule, otherOccurrencesUpdated: nModified || modifiedCount || 0 }
+    );
+
+    return sendRecurrence(res, task._id, startsSeries ? 'Task is now recurring' : 'Recurrence updated successfully');
+  } catch (error) {
+    console.error('Update recurrence error:', error);
+    return res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.name === 'ValidationError' ? error.message : 'Server error while updating recurrence',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Stop a series: open occurrences lose their rule so completing them creates nothing new.
+ * Past occurrences are kept.
+ * @route DELETE /api/tasks/:id/recurrence
+ */
+const stopRecurrence = async (req, res) => {
+  try {
+    const task = await loadTaskWithAccess(req, res, 'member', 'You do not have permission to edit this task');
+    if (!task) return;
+
+    if (!task.recurrence) {
+      return res.status(400).json({
+        success: false,
+        message: 'Task is not recurring'
+      });
+    }
+
+    const { nModified, modifiedCount } = await Task.updateMany(
+      openSeriesFilter(task),
+      { $set: { recurrence: null, updatedAt: new Date() } }
+    );
+
+    // A completed task may still carry the rule; clear it there too
+    if (task.status === 'done') {
+      await Task.updateOne({ _id: task._id }, { $set: { recurrence: null } });
+    }
+
+    await logRecurrenceActivity(req, task, `Stopped recurrence of task "${task.title}"`, {
+      occurrencesUpdated: nModified || modifiedCount || 0
+    });
+
+    return sendRecurrence(res, task._id, 'Recurrence stopped');
+  } catch (error) {
+    console.error('Stop recurrence error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while stopping recurrence',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getRecurrence,
+  updateRecurrence,
+  stopRecurrence
+};
@@ -0,0 +1,342 @@
+const mongoose = require('mongoose');
+const Team = require('../models/Team');
+const Board = require('../models/Board');
+const Task = require('../models/Task');
+const { loadBoardWithAccess, loadSprintWithAccess, getTeamRole } = require('../services/boardPermissionService');
+const {
+  getPointScale,
+  parseReportRange,
+  summarizeWeeks,
+  getVelocityReport
+} = require('../services/estimateService');
+const { parseChartRange, buildBurndown, buildCumulativeFlow } = require('../services/chartService');
+const { getSprintChartScope } = require('../services/sprintService');
+const { getFlowMetrics } = require('../services/flowMetricsService');
+
+const CHART_TASK_FIELDS = 'status storyPoints column createdAt updatedAt completedAt';
+
+/**
+ * Load the team in `req.params.id` and make sure the user belongs to it.
+ * Sends the error response itself and resolves to null when the request should stop.
+ */
+const loadTeamForReport = async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid team ID format'
+    });
+    return null;
+  }
+
+  const team = await Team.findById(id);
+  if (!team) {
+    res.status(404).json({
+      success: false,
+      message: 'Team not found'
+    });
+    return null;
+  }
+
+  if (!getTeamRole(team, req.user.id)) {
+    res.status(403).json({
+      success: false,
+      message: 'You are not authorized to access this team'
+    });
+    return null;
+  }
+
+  return team;
+};
+
+/**
+ * Weekly throughput and velocity for a board
+ * @route GET /api/boards/:id/reports/velocity
+ */
+const getBoardVelocity = async (req, res) => {
+  try {
+    const range = parseReportRange(req.query);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error
+      });
+    }
+
+    const board = await loadBoardWithAccess(req, res, 'viewer');
+    if (!board) return;
+
+    const { tasks, ...report } = await getVelocityReport({ board: board._id }, range);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        board: { _id: board._id, title: board.title },
+        from: range.from,
+        to: range.to,
+        estimation: {
+          scale: board.estimation ? board.estimation.scale : 'fibonacci',
+          pointScale: getPointScale(board)
+        },
+        ...report
+      }
+    });
+  } catch (error) {
+    console.error('Board velocity report error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while building velocity report',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Weekly throughput and velocity for a team, overall and per board
+ * @route GET /api/teams/:id/reports/velocity
+ */
+const getTeamVelocity = async (req, res) => {
+  try {
+    const range = parseReportRange(req.query);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error
+      });
+    }
+
+    const team = await loadTeamForReport(req, res);
+    if (!team) return;
+
+    const { tasks, ...report } = await getVelocityReport({ team: team._id }, range);
+
+    const boards = await Board.find({ team: team._id }).select('title').sort({ title: 1 });
+    const byBoard = boards.map(board => {
+      const boardTasks = tasks.filter(task => task.board.toString() === board._id.toString());
+      const { totals, averages } = summarizeWeeks(boardTasks, range);
+
+      return {
+        board: { _id: board._id, title: board.title },
+        totals,
+        averages
+      };
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        team: { _id: team._id, name: team.name },
+        from: range.from,
+        to: range.to,
+        ...report,
+        boards: byBoard
+      }
+    });
+  } catch (error) {
+    console.error('Team velocity report error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while building velocity report',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Default chart range for a sprint: its start to its end (or completion)
+ */
+const getSprintChartDefaults = (sprint) => ({
+  from: sprint.startDate || sprint.startedAt || sprint.createdAt,
+  to: sprint.status === 'completed' ? sprint.completedAt : (sprint.endDate || undefined)
+});
+
+const sendRangeError = (res, range) => res.status(400).json({
+  success: false,
+  message: range.error
+});
+
+/**
+ * Daily remaining tasks and points on a board
+ * @route GET /api/boards/:id/reports/burndown
+ */
+const getBoardBurndown = async (req, res) => {
+  try {
+    const range = parseChartRange(req.query);
+    if (range.error) return sendRangeError(res, range);
+
+    const board = await loadBoardWithAccess(req, res, 'viewer');
+    if (!board) return;
+
+    const tasks = await Task.find({ board: board._id }).select(CHART_TASK_FIELDS);
+    const series = await buildBurndown(tasks, range);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        board: { _id: board._id, title: board.title },
+        from: range.from,
+        to: range.to,
+        series
+      }
+    });
+  } catch (error) {
+    console.error('Board burndown error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while building burndown',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Daily task count per column on a board
+ * @route GET /api/boards/:id/reports/cumulative-flow
+ */
+const getBoardCumulativeFlow = async (req, res) => {
+  try {
+    const range = parseChartRange(req.query);
+    if (range.error) return sendRangeError(res, range);
+
+    const board = await loadBoardWithAccess(req, res, 'viewer');
+    if (!board) return;
+
+    const tasks = await Task.find({ board: board._id }).select(CHART_TASK_FIELDS);
+    const flow = await buildCumulativeFlow(board._id, tasks, range);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        board: { _id: board._id, title: board.title },
+        from: range.from,
+        to: range.to,
+        ...flow
+      }
+    });
+  } catch (error) {
+    console.error('Board cumulative flow error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while building cumulative flow',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Daily remaining tasks and points in a sprint, with an ideal line from the
+ * scope committed at start
+ * @route GET /api/sprints/:id/reports/burndown
+ */
+const getSprintBurndown = async (req, res) => {
+  try {
+    const sprint = await loadSprintWithAccess(req, res, 'viewer');
+    if (!sprint) return;
+
+    const range = parseChartRange(req.query, getSprintChartDefaults(sprint));
+    if (range.error) return sendRangeError(res, range);
+
+    const { tasks, enteredAt } = await getSprintChartScope(sprint);
+    const series = await buildBurndown(tasks, range, {
+      enteredAt,
+      ideal: sprint.scope ? { tasks: sprint.scope.taskCount, points: sprint.scope.points } : null
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        sprint: { _id: sprint._id, name: sprint.name, status: sprint.status },
+        from: range.from,
+        to: range.to,
+        series
+      }
+    });
+  } catch (error) {
+    console.error('Sprint burndown error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while building burndown',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Daily task count per column for the tasks in a sprint
+ * @route GET /api/sprints/:id/reports/cumulative-flow
+ */
+const getSprintCumulativeFlow = async (req, res) => {
+  try {
+    const sprint = await loadSprintWithAccess(req, res, 'viewer');
+    if (!sprint) return;
+
+    const range = parseChartRange(req.query, getSprintChartDefaults(sprint));
+    if (range.error) return sendRangeError(res, range);
+
+    const { tasks } = await getSprintChartScope(sprint);
+    const flow = await buildCumulativeFlow(sprint.board, tasks, range);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        sprint: { _id: sprint._id, name: sprint.name, status: sprint.status },
+        from: range.from,
+        to: range.to,
+        ...flow
+      }
+    });
+  } catch (error) {
+    console.error('Sprint cumulative flow error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while building cumulative flow',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Lead time and cycle time percentiles for a board, per assignee and per
+ * label, and the columns where tasks dwell longest
+ * @route GET /api/boards/:id/reports/cycle-time
+ */
+const getBoardCycleTime = async (req, res) => {
+  try {
+    const range = parseChartRange(req.query);
+    if (range.error) return sendRangeError(res, range);
+
+    const board = await loadBoardWithAccess(req, res, 'viewer');
+    if (!board) return;
+
+    const metrics = await getFlowMetrics(board, range);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        board: { _id: board._id, title: board.title },
+        from: range.from,
+        to: range.to,
+        unit: 'hours',
+        ...metrics
+      }
+    });
+  } catch (error) {
+    console.error('Board cycle time error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while building cycle time report',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getBoardVelocity,
+  getTeamVelocity,
+  getBoardBurndown,
+  getBoardCumulativeFlow,
+  getSprintBurndown,
+  getSprintCumulativeFlow,
+  getBoardCycleTime
+};
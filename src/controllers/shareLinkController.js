@@ -0,0 +1,193 @@
+const mongoose = require('mongoose');
+const Board = require('../models/Board');
+const ShareLink = require('../models/ShareLink');
+const Activity = require('../models/Activity');
+const { loadBoardWithAccess } = require('../services/boardPermissionService');
+const {
+  createShareLink: createLink,
+  parseShareExpiry,
+  activeLinkFilter,
+  resolveShareToken,
+  summarizeShareLink,
+  buildBoardSnapshot
+} = require('../services/shareLinkService');
+
+const sendShareLinkError = (res, error, fallbackMessage) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+const logShareLinkActivity = async (req, board, action, link) => {
+  try {
+    await Activity.create({
+      user: req.user.id,
+      action,
+      boardId: board._id,
+      teamId: board.team,
+      metadata: {
+        boardTitle: board.title,
+        shareLinkId: link._id,
+        label: link.label,
+        expiresAt: link.expiresAt
+      }
+    });
+  } catch (activityError) {
+    console.error('Activity logging error:', activityError);
+  }
+};
+
+/**
+ * Create a public read-only link to the board
+ * @route POST /api/boards/:id/share-links
+ */
+const createShareLink = async (req, res) => {
+  try {
+    const { label, expiresInDays, expiresAt } = req.body;
+
+    const board = await loadBoardWithAccess(req, res, 'admin', 'Only board admins can create share links');
+    if (!board) return;
+
+    const expiry = parseShareExpiry({ expiresInDays, expiresAt });
+    if (expiry.error) {
+      return res.status(400).json({
+        success: false,
+        message: expiry.error
+      });
+    }
+
+    const { link, token, url } = await createLink(board, req.user.id, { label, expiresAt: expiry.value });
+
+    await logShareLinkActivity(req, board, 'created_share_link', link);
+
+    return res.status(201).json({
+      success: true,
+      message: 'Share link created. The token is only shown once.',
+      data: {
+        ...summarizeShareLink(link),
+        token,
+        url
+      }
+    });
+  } catch (error) {
+    console.error('Create share link error:', error);
+    return sendShareLinkError(res, error, 'Server error while creating share link');
+  }
+};
+
+/**
+ * List the board's share links that are neither revoked nor expired
+ * @route GET /api/boards/:id/share-links
+ */
+const getShareLinks = async (req, res) => {
+  try {
+    const board = await loadBoardWithAccess(req, res, 'admin', 'Only board admins can view share links', req.params.id, {
+      write: false
+    });
+    if (!board) return;
+
+    const links = await ShareLink.find({ board: board._id, ...activeLinkFilter() })
+      .populate('createdBy', 'name username avatar')
+      .sort({ createdAt: -1 });
+
+    return res.status(200).json({
+      success: true,
+      count: links.length,
+      data: links.map(summarizeShareLink)
+    });
+  } catch (error) {
+    console.error('Get share links error:', error);
+    return sendShareLinkError(res, error, 'Server error while fetching share links');
+  }
+};
+
+/**
+ * Revoke a share link; the token stops working immediately
+ * @route DELETE /api/boards/:id/share-links/:linkId
+ */
+const revokeShareLink = async (req, res) => {
+  try {
+    const board = await loadBoardWithAccess(req, res, 'admin', 'Only board admins can revoke share links');
+    if (!board) return;
+
+    const link = mongoose.Types.ObjectId.isValid(req.params.linkId)
+      ? await ShareLink.findOne({ _id: req.params.linkId, board: board._id })
+      : null;
+    if (!link) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share link not found'
+      });
+    }
+
+    if (link.revokedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Share link is already revoked'
+      });
+    }
+
+    link.revokedAt = new Date();
+    link.revokedBy = req.user.id;
+    await link.save();
+
+    await logShareLinkActivity(req, board, 'revoked_share_link', link);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Share link revoked',
+      data: summarizeShareLink(link)
+    });
+  } catch (error) {
+    console.error('Revoke share link error:', error);
+    return sendShareLinkError(res, error, 'Server error while revoking share link');
+  }
+};
+
+/**
+ * Read-only board snapshot for anyone holding an active share token
+ * @route GET /api/public/boards/:token
+ */
+const getSharedBoard = async (req, res) => {
+  try {
+    const link = await resolveShareToken(req.params.token);
+    const board = link && await Board.findById(link.board);
+
+    // Unknown, revoked and expired tokens all look the same from outside
+    if (!board) {
+      return res.status(404).json({
+        success: false,
+        message: 'This share link is invalid or has expired'
+      });
+    }
+
+    const snapshot = await buildBoardSnapshot(board);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        ...snapshot,
+        expiresAt: link.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Get shared board error:', error);
+    return sendShareLinkError(res, error, 'Server error while fetching shared board');
+  }
+};
+
+module.exports = {
+  createShareLink,
+  getShareLinks,
+  revokeShareLink,
+  getSharedBoard
+};
@@ -0,0 +1,518 @@
+const mongoose = require('mongoose');
+const Sprint = require('../models/Sprint');
+const Task = require('../models/Task');
+const Activity = require('../models/Activity');
+const { loadBoardWithAccess, loadSprintWithAccess } = require('../services/boardPermissionService');
+const {
+  summarizeSprintTasks,
+  logSprintTaskActivity,
+  resolveCarryOverTarget,
+  closeSprint
+} = require('../services/sprintService');
+
+const SPRINT_FIELDS = ['name', 'goal', 'startDate', 'endDate'];
+const SPRINT_STATUSES = ['planned', 'active', 'completed'];
+
+const sendSprintError = (res, error, fallbackMessage) => {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+const logSprintActivity = async (req, sprint, action, description, metadata = {}) => {
+  try {
+    await Activity.create({
+      user: req.user.id,
+      action,
+      boardId: sprint.board,
+      teamId: sprint.$locals.board ? sprint.$locals.board.team : undefined,
+      description,
+      metadata: {
+        sprintId: sprint._id,
+        sprintName: sprint.name,
+        ...metadata
+      }
+    });
+  } catch (activityError) {
+    console.error('Activity logging error:', activityError);
+  }
+};
+
+const emitSprintEvent = (req, event, sprint, payload = {}) => {
+  const io = req.app.get('io');
+  if (io) {
+    io.to(`board:${sprint.board}`).emit(event, { boardId: sprint.board, sprintId: sprint._id, ...payload });
+  }
+};
+
+/**
+ * List a board's sprints with their current task counts
+ * @route GET /api/boards/:id/sprints
+ */
+const getBoardSprints = async (req, res) => {
+  try {
+    const board = await loadBoardWithAccess(req, res, 'viewer');
+    if (!board) return;
+
+    const filter = { board: board._id };
+    if (SPRINT_STATUSES.includes(req.query.status)) filter.status = req.query.status;
+
+    const sprints = await Sprint.find(filter)
+      .populate('createdBy', 'name username avatar')
+      .sort({ startDate: 1, createdAt: 1 });
+
+    const tasks = await Task.find({ sprint: { $in: sprints.map(sprint => sprint._id) } })
+      .select('sprint status storyPoints')
+      .lean();
+
+    return res.status(200).json({
+      success: true,
+      count: sprints.length,
+      data: sprints.map(sprint => ({
+        ...sprint._doc,
+        progress: summarizeSprintTasks(tasks.filter(task => task.sprint.toString() === sprint._id.toString()))
+      }))
+    });
+  } catch (error) {
+    console.error('Get board sprints error:', error);
+    return sendSprintError(res, error, 'Server error while fetching sprints');
+  }
+};
+
+/**
+ * Plan a new sprint on a board
+ * @route POST /api/boards/:id/sprints
+ */
+const createSprint = async (req, res) => {
+  try {
+    const { name, goal, startDate, endDate } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sprint name is required'
+      });
+    }
+
+    const board = await loadBoardWithAccess(req, res, 'member', 'You do not have permission to plan sprints on this board');
+    if (!board) return;
+
+    const sprint = await Sprint.create({
+      name,
+      goal,
+      startDate,
+      endDate,
+      board: board._id,
+      createdBy: req.user.id
+    });
+    sprint.$locals.board = board;
+
+    await logSprintActivity(req, sprint, 'created_sprint', `Created sprint "${sprint.name}"`);
+    emitSprintEvent(req, 'sprint:created', sprint, { sprint });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Sprint created successfully',
+      data: sprint
+    });
+  } catch (error) {
+    console.error('Create sprint error:', error);
+    return sendSprintError(res, error, 'Server error while creating sprint');
+  }
+};
+
+/**
+ * Open tasks on a board that are not planned into any sprint
+ * @route GET /api/boards/:id/backlog
+ */
+const getBoardBacklog = async (req, res) => {
+  try {
+    const board = await loadBoardWithAccess(req, res, 'viewer');
+    if (!board) return;
+
+    const tasks = await Task.find({ board: board._id, sprint: null, status: { $ne: 'done' } })
+      .populate('assignees', 'name username avatar email')
+      .populate('labels', 'name color')
+      .populate({
+        path: 'column',
+        select: 'title position'
+      })
+      .sort({ order: 1 });
+
+    return res.status(200).json({
+      success: true,
+      count: tasks.length,
+      data: tasks.map(task => ({
+        ...task._doc,
+        isCompleted: false
+      }))
+    });
+  } catch (error) {
+    console.error('Get backlog error:', error);
+    return sendSprintError(res, error, 'Server error while fetching backlog');
+  }
+};
+
+/**
+ * Get a sprint with its tasks and progress
+ * @route GET /api/sprints/:id
+ */
+const getSprint = async (req, res) => {
+  try {
+    const sprint = await loadSprintWithAccess(req, res, 'viewer');
+    if (!sprint) return;
+
+    await sprint
+      .populate('createdBy startedBy completedBy', 'name username avatar')
+      .execPopulate();
+
+    const tasks = await Task.find({ sprint: sprint._id })
+      .populate('assignees', 'name username avatar email')
+      .populate('labels', 'name color')
+      .populate({
+        path: 'column',
+        select: 'title position'
+      })
+      .sort({ order: 1 });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        ...sprint._doc,
+        progress: summarizeSprintTasks(tasks),
+        tasks: tasks.map(task => ({
+          ...task._doc,
+          isCompleted: task.status === 'done'
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get sprint error:', error);
+    return sendSprintError(res, error, 'Server error while fetching sprint');
+  }
+};
+
+/**
+ * Edit a sprint's name, goal or dates. Completed sprints are read-only.
+ * @route PATCH /api/sprints/:id
+ */
+const updateSprint = async (req, res) => {
+  try {
+    const sprint = await loadSprintWithAccess(req, res, 'member', 'You do not have permission to plan sprints on this board');
+    if (!sprint) return;
+
+    if (sprint.status === 'completed') {
+      return res.status(409).json({
+        success: false,
+        message: 'Completed sprints cannot be edited'
+      });
+    }
+
+    const updatedFields = SPRINT_FIELDS.filter(field => req.body[field] !== undefined);
+    updatedFields.forEach(field => {
+      sprint[field] = req.body[field];
+    });
+    await sprint.save();
+
+    if (updatedFields.length > 0) {
+      await logSprintActivity(req, sprint, 'updated_sprint', `Updated sprint "${sprint.name}"`, { updatedFields });
+      emitSprintEvent(req, 'sprint:updated', sprint, { sprint });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Sprint updated successfully',
+      data: sprint
+    });
+  } catch (error) {
+    console.error('Update sprint error:', error);
+    return sendSprintError(res, error, 'Server error while updating sprint');
+  }
+};
+
+/**
+ * Delete a planned or completed sprint. Its open tasks go back to the backlog.
+ * @route DELETE /api/sprints/:id
+ */
+const deleteSprint = async (req, res) => {
+  try {
+    const sprint = await loadSprintWithAccess(req, res, 'admin', 'Only board admins can delete sprints');
+    if (!sprint) return;
+
+    if (sprint.status === 'active') {
+      return res.status(409).json({
+        success: false,
+        message: 'Complete the sprint before deleting it'
+      });
+    }
+
+    const result = await Task.updateMany({ sprint: sprint._id }, { sprint: null });
+    await sprint.deleteOne();
+
+    await logSprintActivity(req, sprint, 'deleted_sprint', `Deleted sprint "${sprint.name}"`);
+    emitSprintEvent(req, 'sprint:deleted', sprint);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Sprint deleted successfully',
+      tasksMovedToBacklog: result.nModified
+    });
+  } catch (error) {
+    console.error('Delete sprint error:', error);
+    return sendSprintError(res, error, 'Server error while deleting sprint');
+  }
+};
+
+/**
+ * Start a planned sprint and snapshot its scope. A board runs one sprint at a time.
+ * @route POST /api/sprints/:id/start
+ */
+const startSprint = async (req, res) => {
+  try {
+    const sprint = await loadSprintWithAccess(req, res, 'member', 'You do not have permission to start sprints on this board');
+    if (!sprint) return;
+
+    if (sprint.status !== 'planned') {
+      return res.status(409).json({
+        success: false,
+        message: `Sprint is already ${sprint.status}`
+      });
+    }
+
+    const activeSprint = await Sprint.findOne({ board: sprint.board, status: 'active' }).select('name');
+    if (activeSprint) {
+      return res.status(409).json({
+        success: false,
+        message: `Sprint "${activeSprint.name}" is still running on this board`,
+        activeSprint
+      });
+    }
+
+    const { endDate } = req.body;
+    const tasks = await Task.find({ sprint: sprint._id }).select('storyPoints');
+    const now = new Date();
+
+    sprint.status = 'active';
+    sprint.startedAt = now;
+    sprint.startedBy = req.user.id;
+    if (!sprint.startDate) sprint.startDate = now;
+    if (endDate !== undefined) sprint.endDate = endDate;
+    sprint.scope = {
+      tasks: tasks.map(task => task._id),
+      taskCount: tasks.length,
+      points: tasks.reduce((sum, task) => sum + (task.storyPoints || 0), 0)
+    };
+
+    try {
+      await sprint.save();
+    } catch (saveError) {
+      // Lost a race with another start on the same board
+      if (saveError.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'Another sprint is already running on this board'
+        });
+      }
+      throw saveError;
+    }
+
+    await logSprintActivity(req, sprint, 'started_sprint', `Started sprint "${sprint.name}"`, {
+      taskCount: sprint.scope.taskCount,
+      points: sprint.scope.points
+    });
+    emitSprintEvent(req, 'sprint:started', sprint, { sprint });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Sprint started successfully',
+      data: sprint
+    });
+  } catch (error) {
+    console.error('Start sprint error:', error);
+    return sendSprintError(res, error, 'Server error while starting sprint');
+  }
+};
+
+/**
+ * Complete the active sprint. Unfinished tasks move to `carryOverTo` (a planned
+ * sprint ID or 'backlog'), defaulting to the board's next planned sprint.
+ * @route POST /api/sprints/:id/complete
+ */
+const completeSprint = async (req, res) => {
+  try {
+    const sprint = await loadSprintWithAccess(req, res, 'member', 'You do not have permission to complete sprints on this board');
+    if (!sprint) return;
+
+    if (sprint.status !== 'active') {
+      return res.status(409).json({
+        success: false,
+        message: sprint.status === 'planned' ? 'Sprint has not been started' : 'Sprint is already completed'
+      });
+    }
+
+    const carryOver = await resolveCarryOverTarget(sprint, req.body.carryOverTo);
+    if (carryOver.error) {
+      return res.status(400).json({
+        success: false,
+        message: carryOver.error
+      });
+    }
+
+    const report = await closeSprint(sprint, req.user.id, carryOver.target);
+
+    await logSprintActivity(req, sprint, 'completed_sprint', `Completed sprint "${sprint.name}"`, {
+      completedCount: report.completedTasks.length,
+      carriedOverCount: report.carriedOverTasks.length,
+      completedPoints: report.completedPoints,
+      carriedOverPoints: report.carriedOverPoints,
+      carriedOverTo: report.carriedOverTo
+    });
+    emitSprintEvent(req, 'sprint:completed', sprint, { report });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Sprint completed successfully',
+      data: {
+        sprint,
+        summary: {
+          committedCount: sprint.scope ? sprint.scope.taskCount : 0,
+          committedPoints: sprint.scope ? sprint.scope.points : 0,
+          completedCount: report.completedTasks.length,
+          completedPoints: report.completedPoints,
+          carriedOverCount: report.carriedOverTasks.length,
+          carriedOverPoints: report.carriedOverPoints,
+          addedTasks: report.addedTasks,
+          removedTasks: report.removedTasks,
+          carriedOverTo: carryOver.target ? { _id: carryOver.target._id, name: carryOver.target.name } : 'backlog'
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Complete sprint error:', error);
+    return sendSprintError(res, error, 'Server error while completing sprint');
+  }
+};
+
+/**
+ * Plan tasks into a sprint. Tasks already in another open sprint are moved.
+ * @route POST /api/sprints/:id/tasks
+ */
+const addSprintTasks = async (req, res) => {
+  try {
+    const { taskIds } = req.body;
+
+    if (!Array.isArray(taskIds) || taskIds.length === 0 || !taskIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'taskIds must be a list of task IDs'
+      });
+    }
+
+    const sprint = await loadSprintWithAccess(req, res, 'member', 'You do not have permission to plan sprints on this board');
+    if (!sprint) return;
+
+    if (sprint.status === 'completed') {
+      return res.status(409).json({
+        success: false,
+        message: 'Tasks cannot be added to a completed sprint'
+      });
+    }
+
+    const tasks = await Task.find({ _id: { $in: taskIds }, board: sprint.board })
+      .select('title board column team sprint');
+    if (tasks.length !== new Set(taskIds.map(String)).size) {
+      return res.status(400).json({
+        success: false,
+        message: 'Every task must belong to the sprint\'s board'
+      });
+    }
+
+    const toAdd = tasks.filter(task => !task.sprint || task.sprint.toString() !== sprint._id.toString());
+    if (toAdd.length > 0) {
+      await Task.updateMany(
+        { _id: { $in: toAdd.map(task => task._id) } },
+        { sprint: sprint._id, updatedAt: new Date() }
+      );
+      await logSprintTaskActivity(req.user.id, toAdd, 'added_to_sprint', sprint, {
+        addedAfterStart: sprint.status === 'active'
+      });
+      emitSprintEvent(req, 'sprint:tasks_added', sprint, { taskIds: toAdd.map(task => task._id) });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: `${toAdd.length} task(s) added to sprint`,
+      data: toAdd.map(task => task._id)
+    });
+  } catch (error) {
+    console.error('Add sprint tasks error:', error);
+    return sendSprintError(res, error, 'Server error while adding tasks to sprint');
+  }
+};
+
+/**
+ * Move a task from a sprint back to the backlog
+ * @route DELETE /api/sprints/:id/tasks/:taskId
+ */
+const removeSprintTask = async (req, res) => {
+  try {
+    const { taskId } = req.params;
+
+    const sprint = await loadSprintWithAccess(req, res, 'member', 'You do not have permission to plan sprints on this board');
+    if (!sprint) return;
+
+    if (sprint.status === 'completed') {
+      return res.status(409).json({
+        success: false,
+        message: 'Tasks cannot be removed from a completed sprint'
+      });
+    }
+
+    const task = mongoose.Types.ObjectId.isValid(taskId)
+      ? await Task.findOne({ _id: taskId, sprint: sprint._id })
+      : null;
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task is not in this sprint'
+      });
+    }
+
+    task.sprint = null;
+    task.updatedAt = new Date();
+    await task.save();
+
+    await logSprintTaskActivity(req.user.id, [task], 'removed_from_sprint', sprint);
+    emitSprintEvent(req, 'sprint:task_removed', sprint, { taskId: task._id });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Task moved to backlog'
+    });
+  } catch (error) {
+    console.error('Remove sprint task error:', error);
+    return sendSprintError(res, error, 'Server error while removing task from sprint');
+  }
+};
+
+module.exports = {
+  getBoardSprints,
+  createSprint,
+  getBoardBacklog,
+  getSprint,
+  updateSprint,
+  deleteSprint,
+  startSprint,
+  completeSprint,
+  addSprintTasks,
+  removeSprintTask
+};
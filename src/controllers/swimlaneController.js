@@ -0,0 +1,212 @@
+const Swimlane = require('../models/Swimlane');
+const Task = require('../models/Task');
+const { loadBoardWithAccess } = require('../services/boardPermissionService');
+const { findBoardSwimlane } = require('../services/swimlaneService');
+
+const sendSwimlaneError = (res, error, fallbackMessage) => {
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: 'A swimlane with this name already exists on this board'
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+const parsePosition = (position) => {
+  if (position === undefined) return { value: undefined };
+  const value = Number(position);
+  if (!Number.isInteger(value) || value < 0) {
+    return { error: 'Position must be a non-negative integer' };
+  }
+  return { value };
+};
+
+const emitSwimlaneEvent = (req, board, event, payload) => {
+  const io = req.app.get('io');
+  if (io) {
+    io.to(`board:${board._id}`).emit(event, { boardId: board._id, ...payload });
+  }
+};
+
+/**
+ * Get the custom swimlanes of a board with their task counts
+ * @route GET /api/boards/:id/swimlanes
+ */
+const getBoardSwimlanes = async (req, res) => {
+  try {
+    const board = await loadBoardWithAccess(req, res, 'viewer');
+    if (!board) return;
+
+    const swimlanes = await Swimlane.find({ board: board._id }).sort({ position: 1, createdAt: 1 });
+    const counts = await Task.aggregate([
+      { $match: { board: board._id } },
+      { $group: { _id: '$swimlane', count: { $sum: 1 } } }
+    ]);
+    const countByLane = new Map(counts.map(count => [String(count._id), count.count]));
+
+    return res.status(200).json({
+      success: true,
+      count: swimlanes.length,
+      groupBy: (board.swimlanes && board.swimlanes.groupBy) || 'none',
+      data: swimlanes.map(lane => ({
+        ...lane.toObject(),
+        tasksCount: countByLane.get(lane._id.toString()) || 0
+      })),
+      unassignedTasksCount: countByLane.get('null') || 0
+    });
+  } catch (error) {
+    console.error('Get swimlanes error:', error);
+    return sendSwimlaneError(res, error, 'Server error while fetching swimlanes');
+  }
+};
+
+/**
+ * Add a custom swimlane to a board
+ * @route POST /api/boards/:id/swimlanes
+ */
+const createSwimlane = async (req, res) => {
+  try {
+    const { name, color } = req.body;
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Swimlane name is required'
+      });
+    }
+
+    const position = parsePosition(req.body.position);
+    if (position.error) {
+      return res.status(400).json({
+        success: false,
+        message: position.error
+      });
+    }
+
+    const board = await loadBoardWithAccess(req, res, 'member', 'You do not have permission to manage swimlanes on this board');
+    if (!board) return;
+
+    const swimlane = await Swimlane.create({
+      name,
+      color: color || null,
+      position: position.value !== undefined
+        ? position.value
+        : await Swimlane.countDocuments({ board: board._id }),
+      board: board._id,
+      createdBy: req.user.id
+    });
+
+    emitSwimlaneEvent(req, board, 'swimlane:created', { swimlane });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Swimlane created successfully',
+      data: swimlane
+    });
+  } catch (error) {
+    console.error('Create swimlane error:', error);
+    return sendSwimlaneError(res, error, 'Server error while creating swimlane');
+  }
+};
+
+/**
+ * Rename, recolor or reorder a custom swimlane
+ * @route PATCH /api/boards/:id/swimlanes/:laneId
+ */
+const updateSwimlane = async (req, res) => {
+  try {
+    const { laneId } = req.params;
+    const { name, color } = req.body;
+
+    const position = parsePosition(req.body.position);
+    if (position.error) {
+      return res.status(400).json({
+        success: false,
+        message: position.error
+      });
+    }
+
+    const board = await loadBoardWithAccess(req, res, 'member', 'You do not have permission to manage swimlanes on this board');
+    if (!board) return;
+
+    const swimlane = await findBoardSwimlane(board, laneId);
+    if (!swimlane) {
+      return res.status(404).json({
+        success: false,
+        message: 'Swimlane not found'
+      });
+    }
+
+    if (name !== undefined) swimlane.name = name;
+    if (color !== undefined) swimlane.color = color || null;
+    if (position.value !== undefined) swimlane.position = position.value;
+
+    await swimlane.save();
+
+    emitSwimlaneEvent(req, board, 'swimlane:updated', { swimlane });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Swimlane updated successfully',
+      data: swimlane
+    });
+  } catch (error) {
+    console.error('Update swimlane error:', error);
+    return sendSwimlaneError(res, error, 'Server error while updating swimlane');
+  }
+};
+
+/**
+ * Delete a custom swimlane; its tasks move to the "No lane" row
+ * @route DELETE /api/boards/:id/swimlanes/:laneId
+ */
+const deleteSwimlane = async (req, res) => {
+  try {
+    const { laneId } = req.params;
+
+    const board = await loadBoardWithAccess(req, res, 'member', 'You do not have permission to manage swimlanes on this board');
+    if (!board) return;
+
+    const swimlane = await findBoardSwimlane(board, laneId);
+    if (!swimlane) {
+      return res.status(404).json({
+        success: false,
+        message: 'Swimlane not found'
+      });
+    }
+
+    const result = await Task.updateMany({ swimlane: swimlane._id }, { swimlane: null });
+    await swimlane.deleteOne();
+
+    emitSwimlaneEvent(req, board, 'swimlane:deleted', { swimlaneId: swimlane._id });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Swimlane deleted successfully',
+      tasksUpdated: result.nModified
+    });
+  } catch (error) {
+    console.error('Delete swimlane error:', error);
+    return sendSwimlaneError(res, error, 'Server error while deleting swimlane');
+  }
+};
+
+module.exports = {
+  getBoardSwimlanes,
+  createSwimlane,
+  updateSwimlane,
+  deleteSwimlane
+};
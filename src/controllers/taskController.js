@@ -6,13 +6,120 @@ const User = require('../models/User');
 const Activity = require('../models/Activity');
 const Notification = require('../models/Notification');
 const mongoose = require('mongoose');
+const {
+  getBoardRole,
+  checkBoardPermission,
+  sendPermissionDenied,
+  getAccessibleBoardsFilter
+} = require('../services/boardPermissionService');
+const { recordMentions } = require('../services/mentionService');
+const { notifyUsers } = require('../services/notificationService');
+const { markTaskCompleted, markTaskReopened, notifyTaskFollowers } = require('../services/taskService');
+const { getOpenBlockers } = require('../services/dependencyService');
+const { parseRecurrence } = require('../services/recurrenceService');
+const { validateTaskEstimate } = require('../services/estimateService');
+const { resolveCustomFieldValues, parseCustomFieldQuery } = require('../services/customFieldService');
+const { checkWipLimit } = require('../services/wipService');
+const {
+  getCompletionColumn,
+  getReopenColumn,
+  getOpenStatusForColumn,
+  logColumnMove
+} = require('../services/columnStatusService');
+const { findBoardSwimlane, moveTaskToLane } = require('../services/swimlaneService');
+const { trashTask, getTrashExpiry } = require('../services/trashService');
 
 /**
- * Check if a user has permission to access a board
+ * Load the board a task belongs to and check the user holds `requiredRole` on it.
+ * Sends the error response itself and resolves to null when access is denied.
  */
-const checkBoardPermission = async (board, userId) => {
-  // Always return true to allow all users access to all tasks/boards
-  return true;
+const authorizeTaskBoard = async (req, res, task, requiredRole, message) => {
+  const board = await Board.findById(task.board);
+  if (!board) {
+    res.status(404).json({
+      success: false,
+      message: 'Associated board not found'
+    });
+    return null;
+  }
+
+  const access = await checkBoardPermission(board, req.user.id, requiredRole);
+  if (!access.allowed) {
+    sendPermissionDenied(res, access, message);
+    return null;
+  }
+
+  return board;
+};
+
+/**
+ * Check the target column's WIP limit before a task is added to it.
+ * Sends a 409 and resolves to false when the board rejects over-limit tasks;
+ * otherwise resolves to the breach to flag in the response, or null.
+ */
+const enforceWipLimit = async (res, board, column) => {
+  const breach = await checkWipLimit(board, column);
+  if (breach && breach.mode === 'reject') {
+    res.status(409).json({
+      success: false,
+      message: `Column "${breach.columnTitle}" is at its WIP limit of ${breach.wipLimit}`,
+      wipLimitExceeded: breach
+    });
+    return false;
+  }
+  return breach;
+};
+
+/**
+ * Build a task filter from `?labels=<id>,<id>` - matches tasks with any of the labels
+ */
+const buildLabelFilter = (query) => {
+  const raw = query.labels || query.label;
+  if (!raw) return {};
+
+  const labelIds = String(raw)
+    .split(',')
+    .map(id => id.trim())
+    .filter(id => mongoose.Types.ObjectId.isValid(id));
+
+  return { labels: { $in: labelIds } };
+};
+
+/**
+ * Notify users newly @mentioned in a task's description
+ */
+const recordDescriptionMentions = async (req, task) => {
+  try {
+    await recordMentions(req.app.get('io'), task, task.description, {
+      task,
+      initiator: req.user.id
+    });
+  } catch (mentionError) {
+    console.error('Mention notification error:', mentionError);
+  }
+};
+
+/**
+ * Tell a new assignee about the task, and its other assignees and watchers who was added
+ */
+const notifyAssignment = async (req, task, assignedUser) => {
+  const io = req.app.get('io');
+
+  await notifyUsers(io, [assignedUser._id], {
+    initiator: req.user.id,
+    type: 'task_assigned',
+    relatedTask: task._id,
+    relatedBoard: task.board,
+    relatedTeam: task.team,
+    message: `You've been assigned to task "${task.title}"`
+  });
+
+  await notifyTaskFollowers(io, task, {
+    initiator: req.user.id,
+    exclude: [assignedUser._id],
+    type: 'task_assigned',
+    message: `${assignedUser.name || assignedUser.username} was assigned to task "${task.title}"`
+  });
 };
 
 /**
@@ -21,7 +128,7 @@ const checkBoardPermission = async (board, userId) => {
 const createTask = async (req, res) => {
   try {
     const { boardId, columnId } = req.params;
-    const { title, description, priority = 'medium', dueDate, assignedTo } = req.body;
+    const { title, description, priority = 'medium', dueDate, assignedTo, recurrence, storyPoints, estimatedHours, customFields, swimlane } = req.body;
 
     // Validate input
     if (!title) {
@@ -31,6 +138,14 @@ const createTask = async (req, res) => {
       });
     }
 
+    const parsedRecurrence = recurrence ? parseRecurrence(recurrence) : { value: null };
+    if (parsedRecurrence.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsedRecurrence.error
+      });
+    }
+
     // Check if board and column exist
     const board = await Board.findById(boardId);
     if (!board) {
@@ -40,6 +155,45 @@ const createTask = async (req, res) => {
       });
     }
 
+    // Check permission
+    const access = await checkBoardPermission(board, req.user.id, 'member');
+    if (!access.allowed) {
+      return sendPermissionDenied(res, access, 'You do not have permission to create tasks in this board');
+    }
+
+    const invalidEstimate = validateTaskEstimate(board, { storyPoints, estimatedHours });
+    if (invalidEstimate) {
+      return res.status(400).json({
+        success: false,
+        message: invalidEstimate
+      });
+    }
+
+    const customFieldValues = await resolveCustomFieldValues(board, customFields);
+    if (customFieldValues.error) {
+      return res.status(400).json({
+        success: false,
+        message: customFieldValues.error
+      });
+    }
+
+    const lane = swimlane ? await findBoardSwimlane(board, swimlane) : null;
+    if (swimlane && !lane) {
+      return res.status(400).json({
+        success: false,
+        message: 'Swimlane not found on this board'
+      });
+    }
+
+    // Next occurrences are created in the recurrence column, so it has to be on this board
+    const recurrenceColumnId = parsedRecurrence.value && parsedRecurrence.value.column;
+    if (recurrenceColumnId && !await Column.findOne({ _id: recurrenceColumnId, board: board._id })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Recurrence column not found in this board'
+      });
+    }
+
     const column = await Column.findOne({ _id: columnId, board: boardId });
     if (!column) {
       return res.status(404).json({
@@ -48,14 +202,8 @@ const createTask = async (req, res) => {
       });
     }
 
-    // Check permission
-    const hasPermission = await checkBoardPermission(board, req.user.id);
-    if (!hasPermission) {
-      return res.status(403).json({
-        success: false,
-        message: 'You do not have permission to create tasks in this board'
-      });
-    }
+    const wipBreach = await enforceWipLimit(res, board, column);
+    if (wipBreach === false) return;
 
     // Get max order in the column
     const maxOrderTask = await Task.findOne({ column: columnId })
@@ -96,7 +244,13 @@ const createTask = async (req, res) => {
       description: description || '',
       priority: priority || 'medium',
       dueDate,
-      assignedTo: taskAssignee,
+      storyPoints: storyPoints === undefined ? null : storyPoints,
+      estimatedHours: estimatedHours === undefined ? null : estimatedHours,
+      customFields: customFieldValues.value,
+      swimlane: lane ? lane._id : null,
+      assignees: taskAssignee ? [taskAssignee] : [],
+      watchers: [req.user.id],
+      recurrence: parsedRecurrence.value,
       createdBy: req.user.id,
       board: boardId,
       column: columnId,
@@ -107,6 +261,8 @@ const createTask = async (req, res) => {
     const populatedTask = await Task.findById(task._id)
       .populate('createdBy', 'name username avatar')
       .populate('assignedTo', 'name username avatar email')
+      .populate('assignees', 'name username avatar email')
+      .populate('watchers', 'name username avatar')
       .populate({
         path: 'board',
         select: 'title description'
@@ -140,13 +296,18 @@ const createTask = async (req, res) => {
       console.error('Activity logging error:', activityError);
     }
 
+    await recordDescriptionMentions(req, task);
+
     return res.status(201).json({
       success: true,
-      message: 'Task created successfully',
+      message: wipBreach
+        ? `Task created, but column "${wipBreach.columnTitle}" is now over its WIP limit of ${wipBreach.wipLimit}`
+        : 'Task created successfully',
       data: {
         ...populatedTask._doc,
         isCompleted: false
-      }
+      },
+      wipLimitExceeded: wipBreach
     });
   } catch (error) {
     console.error('Create task error:', error);
@@ -165,7 +326,7 @@ const createTask = async (req, res) => {
  */
 const createTaskFromBody = async (req, res) => {
   try {
-    const { title, columnId, position, description, priority, dueDate, assignedTo } = req.body;
+    const { title, columnId, position, description, priority, dueDate, assignedTo, recurrence, storyPoints, estimatedHours, customFields, swimlane } = req.body;
     
     if (!columnId || !title) {
       return res.status(400).json({
@@ -174,6 +335,14 @@ const createTaskFromBody = async (req, res) => {
       });
     }
     
+    const parsedRecurrence = recurrence ? parseRecurrence(recurrence) : { value: null };
+    if (parsedRecurrence.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsedRecurrence.error
+      });
+    }
+    
     const column = await Column.findById(columnId);
     if (!column) {
       return res.status(404).json({
@@ -192,6 +361,47 @@ const createTaskFromBody = async (req, res) => {
       });
     }
 
+    const access = await checkBoardPermission(board, req.user.id, 'member');
+    if (!access.allowed) {
+      return sendPermissionDenied(res, access, 'You do not have permission to create tasks in this board');
+    }
+
+    const invalidEstimate = validateTaskEstimate(board, { storyPoints, estimatedHours });
+    if (invalidEstimate) {
+      return res.status(400).json({
+        success: false,
+        message: invalidEstimate
+      });
+    }
+
+    const customFieldValues = await resolveCustomFieldValues(board, customFields);
+    if (customFieldValues.error) {
+      return res.status(400).json({
+        success: false,
+        message: customFieldValues.error
+      });
+    }
+
+    const lane = swimlane ? await findBoardSwimlane(board, swimlane) : null;
+    if (swimlane && !lane) {
+      return res.status(400).json({
+        success: false,
+        message: 'Swimlane not found on this board'
+      });
+    }
+
+    // Next occurrences are created in the recurrence column, so it has to be on this board
+    const recurrenceColumnId = parsedRecurrence.value && parsedRecurrence.value.column;
+    if (recurrenceColumnId && !await Column.findOne({ _id: recurrenceColumnId, board: board._id })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Recurrence column not found in this board'
+      });
+    }
+
+    const wipBreach = await enforceWipLimit(res, board, column);
+    if (wipBreach === false) return;
+
     let taskAssignee = null;
 
     if (assignedTo) {
@@ -232,7 +442,13 @@ const createTaskFromBody = async (req, res) => {
       description: description || '',
       priority: priority || 'medium',
       dueDate,
-      assignedTo: taskAssignee,
+      storyPoints: storyPoints === undefined ? null : storyPoints,
+      estimatedHours: estimatedHours === undefined ? null : estimatedHours,
+      customFields: customFieldValues.value,
+      swimlane: lane ? lane._id : null,
+      assignees: taskAssignee ? [taskAssignee] : [],
+      watchers: [req.user.id],
+      recurrence: parsedRecurrence.value,
       createdBy: req.user.id,
       board: boardId,
       column: columnId,
@@ -243,6 +459,8 @@ const createTaskFromBody = async (req, res) => {
     const populatedTask = await Task.findById(task._id)
       .populate('createdBy', 'name username avatar')
       .populate('assignedTo', 'name username avatar email')
+      .populate('assignees', 'name username avatar email')
+      .populate('watchers', 'name username avatar')
       .populate({
         path: 'board',
         select: 'title description'
@@ -276,13 +494,18 @@ const createTaskFromBody = async (req, res) => {
       console.error('Activity logging error:', activityError);
     }
 
+    await recordDescriptionMentions(req, task);
+
     return res.status(201).json({
       success: true,
-      message: 'Task created successfully',
+      message: wipBreach
+        ? `Task created, but column "${wipBreach.columnTitle}" is now over its WIP limit of ${wipBreach.wipLimit}`
+        : 'Task created successfully',
       data: {
         ...populatedTask._doc,
         isCompleted: false
-      }
+      },
+      wipLimitExceeded: wipBreach
     });
   } catch (error) {
     console.error('Create task error:', error);
@@ -296,11 +519,28 @@ const createTaskFromBody = async (req, res) => {
 
 const getAllTasks = async (req, res) => {
   try {
-    // Get all tasks without filtering by user
-    const tasks = await Task.find({})
+    const customFieldQuery = await parseCustomFieldQuery(req.query, { updatedAt: -1 });
+    if (customFieldQuery.error) {
+      return res.status(400).json({
+        success: false,
+        message: customFieldQuery.error
+      });
+    }
+    
+    // Only return tasks from boards the user can read
+    const accessibleBoards = await Board.find(await getAccessibleBoardsFilter(req.user.id)).select('_id');
+    
+    const tasks = await Task.find({
+      board: { $in: accessibleBoards.map(board => board._id) },
+      ...buildLabelFilter(req.query),
+      ...customFieldQuery.filter
+    })
       .populate('createdBy', 'name username avatar')
       .populate('assignedTo', 'name username avatar email')
+      .populate('assignees', 'name username avatar email')
+      .populate('watchers', 'name username avatar')
       .populate('completedBy', 'name username avatar')
+      .populate('labels', 'name color')
       .populate({
         path: 'board',
         select: 'title description'
@@ -313,7 +553,7 @@ const getAllTasks = async (req, res) => {
         path: 'team',
         select: 'name'
       })
-      .sort({ updatedAt: -1 });
+      .sort(customFieldQuery.sort);
     
     // Add isCompleted flag based on status
     const tasksWithStatus = tasks.map(task => ({
@@ -354,7 +594,11 @@ const getTaskById = async (req, res) => {
     const task = await Task.findById(id)
       .populate('createdBy', 'name username avatar')
       .populate('assignedTo', 'name username avatar email')
+      .populate('assignees', 'name username avatar email')
+      .populate('watchers', 'name username avatar')
       .populate('completedBy', 'name username avatar')
+      .populate('labels', 'name color')
+      .populate('blockedBy', 'title status')
       .populate({
         path: 'board',
         select: 'title description createdBy members team'
@@ -371,11 +615,17 @@ const getTaskById = async (req, res) => {
       });
     }
 
+    const access = await checkBoardPermission(task.board, req.user.id, 'viewer');
+    if (!access.allowed) {
+      return sendPermissionDenied(res, access);
+    }
+
     return res.status(200).json({
       success: true,
       data: {
         ...task._doc,
-        isCompleted: task.status === 'done'
+        isCompleted: task.status === 'done',
+        checklistProgress: task.getChecklistProgress()
       }
     });
   } catch (error) {
@@ -394,12 +644,12 @@ const getTaskById = async (req, res) => {
 const moveTask = async (req, res) => {
   try {
     const { id } = req.params;
-    const { destinationColumnId, order } = req.body;
+    const { destinationColumnId, destinationLaneId, order } = req.body;
 
-    if (destinationColumnId === undefined && order === undefined) {
+    if (destinationColumnId === undefined && order === undefined && destinationLaneId === undefined) {
       return res.status(400).json({
         success: false,
-        message: 'Either destinationColumnId or order is required'
+        message: 'One of destinationColumnId, destinationLaneId or order is required'
       });
     }
 
@@ -411,31 +661,21 @@ const moveTask = async (req, res) => {
       });
     }
 
-    const board = await Board.findById(task.board);
-    if (!board) {
-      return res.status(404).json({
-        success: false,
-        message: 'Associated board not found'
-      });
-    }
-
     // Check user permission
-    const hasPermission = await checkBoardPermission(board, req.user.id);
-    if (!hasPermission) {
-      return res.status(403).json({
-        success: false,
-        message: 'You do not have permission to move tasks in this board'
-      });
-    }
+    const board = await authorizeTaskBoard(req, res, task, 'member', 'You do not have permission to move tasks in this board');
+    if (!board) return;
 
     // Store original values for activity log
     const originalColumnId = task.column;
     const originalOrder = task.order;
+    let wipBreach = null;
+    let destinationColumn = null;
+    let forcedWithBlockers = false;
 
     // Update column if provided
     if (destinationColumnId) {
       // Verify the destination column belongs to the same board
-      const destinationColumn = await Column.findOne({
+      destinationColumn = await Column.findOne({
         _id: destinationColumnId,
         board: task.board
       });
@@ -447,9 +687,42 @@ const moveTask = async (req, res) => {
         });
       }
 
+      // Moving into a "done" column completes the task, so open blockers refuse it like completeTask does
+      if (destinationColumn.statusCategory === 'done' && task.status !== 'done'
+          && destinationColumn._id.toString() !== task.column.toString()) {
+        const openBlockers = await getOpenBlockers(task);
+        const force = req.body.force === true || req.query.force === 'true';
+
+        if (openBlockers.length > 0 && !force) {
+          return res.status(409).json({
+            success: false,
+            message: 'Task is blocked by tasks that are not done yet. Pass force=true to move it into a done column anyway',
+            openBlockers
+          });
+        }
+        forcedWithBlockers = openBlockers.length > 0;
+      }
+
+      if (destinationColumn._id.toString() !== task.column.toString()) {
+        wipBreach = await enforceWipLimit(res, board, destinationColumn);
+        if (wipBreach === false) return;
+      }
+
       task.column = destinationColumnId;
     }
 
+    // Update lane if provided (null is the board's catch-all lane)
+    let laneMove = null;
+    if (destinationLaneId !== undefined) {
+      laneMove = await moveTaskToLane(board, task, destinationLaneId);
+      if (laneMove.error) {
+        return res.status(400).json({
+          success: false,
+          message: laneMove.error
+        });
+      }
+    }
+
     // Update order if provided
     if (order !== undefined) {
       task.order = order;
@@ -472,14 +745,68 @@ const moveTask = async (req, res) => {
         fromColumn: originalColumnId,
         toColumn: destinationColumnId || task.column,
         fromOrder: originalOrder,
-        toOrder: order
+        toOrder: order,
+        ...(laneMove && { fromLane: laneMove.from, toLane: laneMove.to }),
+        ...(wipBreach && { wipLimitExceeded: true })
       }
     });
 
+    // Dragging into another assignee's lane assigns the task to them
+    if (laneMove && board.swimlanes.groupBy === 'assignee' && laneMove.to && laneMove.to !== laneMove.from) {
+      const assignedUser = await User.findById(laneMove.to).select('name username');
+      await notifyAssignment(req, task, assignedUser);
+    }
+
+    // Columns mapped to a status category carry the task's status with them
+    let nextOccurrence = null;
+    let statusChange = null;
+    if (destinationColumn && destinationColumn.statusCategory
+        && originalColumnId.toString() !== task.column.toString()) {
+      const previousStatus = task.status;
+
+      if (destinationColumn.statusCategory === 'done') {
+        if (task.status !== 'done') {
+          task.columnBeforeDone = originalColumnId;
+          ({ nextOccurrence } = await markTaskCompleted(task, req.user.id, {
+            reason: forcedWithBlockers ? 'forced_with_open_blockers' : 'moved_to_done_column',
+            io: req.app.get('io')
+          }));
+        }
+      } else if (task.status === 'done') {
+        await markTaskReopened(task, req.user.id, {
+          status: destinationColumn.statusCategory,
+          reason: 'moved_out_of_done_column',
+          io: req.app.get('io')
+        });
+      } else if (task.status !== destinationColumn.statusCategory) {
+        task.status = destinationColumn.statusCategory;
+        await task.save();
+      }
+
+      if (task.status !== previousStatus) {
+        statusChange = { from: previousStatus, to: task.status };
+      }
+    }
+
+    // Let the client know what is still holding the task up
+    const openBlockers = await getOpenBlockers(task);
+
+    const warnings = [];
+    if (openBlockers.length > 0) warnings.push(`it is still blocked by ${openBlockers.length} open task(s)`);
+    if (wipBreach) warnings.push(`column "${wipBreach.columnTitle}" is now over its WIP limit of ${wipBreach.wipLimit}`);
+
     return res.status(200).json({
       success: true,
-      message: 'Task moved successfully',
-      data: task
+      message: warnings.length > 0
+        ? `Task moved, but ${warnings.join(' and ')}`
+        : 'Task moved successfully',
+      data: task,
+      isBlocked: openBlockers.length > 0,
+      openBlockers,
+      wipLimitExceeded: wipBreach,
+      statusChange,
+      laneChange: laneMove && laneMove.from !== laneMove.to ? laneMove : null,
+      ...(nextOccurrence && { nextOccurrence })
     });
   } catch (error) {
     console.error('Move task error:', error);
@@ -491,13 +818,29 @@ const moveTask = async (req, res) => {
   }
 };
 
+// Status names clients send, mapped to the statuses tasks store
+const STATUS_ALIASES = {
+  'todo': 'todo',
+  'to do': 'todo',
+  'to-do': 'todo',
+  'pending': 'todo',
+  'in_progress': 'in_progress',
+  'in-progress': 'in_progress',
+  'inprogress': 'in_progress',
+  'in progress': 'in_progress',
+  'done': 'done',
+  'completed': 'done',
+  'complete': 'done',
+  'finished': 'done'
+};
+
 /**
  * Update a task - enhanced with assignment functionality
  */
 const updateTask = async (req, res) => {
   try {
     const { id } = req.params;
-    const { title, description, priority, dueDate, status, assignedTo, unassign } = req.body;
+    const { title, description, priority, dueDate, status, assignedTo, unassign, autoCompleteChecklist, storyPoints, estimatedHours, customFields } = req.body;
     
     console.log(`Updating task ${id}`, req.body);
     
@@ -510,6 +853,69 @@ const updateTask = async (req, res) => {
       });
     }
     
+    const board = await authorizeTaskBoard(req, res, task, 'member', 'You do not have permission to update tasks in this board');
+    if (!board) return;
+    
+    const invalidEstimate = validateTaskEstimate(board, { storyPoints, estimatedHours });
+    if (invalidEstimate) {
+      return res.status(400).json({
+        success: false,
+        message: invalidEstimate
+      });
+    }
+    
+    const customFieldValues = customFields === undefined
+      ? null
+      : await resolveCustomFieldValues(board, customFields, task.customFields);
+    if (customFieldValues && customFieldValues.error) {
+      return res.status(400).json({
+        success: false,
+        message: customFieldValues.error
+      });
+    }
+    
+    let nextStatus = null;
+    if (status !== undefined) {
+      nextStatus = STATUS_ALIASES[String(status).trim().toLowerCase()];
+      if (!nextStatus) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown status "${status}". Use one of: todo, in_progress, done`
+        });
+      }
+    }
+    
+    // Completing or reopening through a status change gets the same checks as
+    // moving the task: open blockers and the WIP limit of the column it moves to
+    const completing = nextStatus === 'done' && task.status !== 'done';
+    const reopening = !!nextStatus && nextStatus !== 'done' && task.status === 'done';
+    let openBlockers = [];
+    let wipBreach = null;
+    let reopenColumn = null;
+    
+    if (completing) {
+      openBlockers = await getOpenBlockers(task);
+      const force = req.body.force === true || req.query.force === 'true';
+      
+      if (openBlockers.length > 0 && !force) {
+        return res.status(409).json({
+          success: false,
+          message: 'Task is blocked by tasks that are not done yet. Pass force=true to complete it anyway',
+          openBlockers
+        });
+      }
+      
+      const doneColumn = await getCompletionColumn(task);
+      wipBreach = doneColumn ? await enforceWipLimit(res, board, doneColumn) : null;
+      if (wipBreach === false) return;
+    } else if (reopening) {
+      reopenColumn = await getReopenColumn(task);
+      if (reopenColumn) {
+        wipBreach = await enforceWipLimit(res, board, reopenColumn);
+        if (wipBreach === false) return;
+      }
+    }
+    
     // Store previous assignment for activity logging
     const previouslyAssignedId = task.assignedTo ? task.assignedTo.toString() : null;
     let previousUser = null;
@@ -527,24 +933,12 @@ const updateTask = async (req, res) => {
     if (description !== undefined) task.description = description;
     if (priority !== undefined) task.priority = priority;
     if (dueDate !== undefined) task.dueDate = dueDate;
-    if (status !== undefined) {
-      // Map common status values to valid enum values (convert to lowercase for case-insensitive comparison)
-      const statusMap = {
-        'completed': 'done',
-        'complete': 'done',
-        'finished': 'done',
-        'done': 'done', 
-        'pending': 'todo',
-        'in-progress': 'todo',
-        'inprogress': 'todo',
-        'in progress': 'todo',
-        'todo': 'todo' 
-      };
-
-      // Use the mapped value if available, otherwise fallback to a default value
-      const statusLower = status.toLowerCase();
-      task.status = statusMap[statusLower] || 'todo';
-    }
+    if (autoCompleteChecklist !== undefined) task.autoCompleteChecklist = !!autoCompleteChecklist;
+    if (storyPoints !== undefined) task.storyPoints = storyPoints;
+    if (estimatedHours !== undefined) task.estimatedHours = estimatedHours;
+    if (customFieldValues) task.customFields = customFieldValues.value;
+    // Completing and reopening happen after the save below
+    if (nextStatus && !completing && !reopening) task.status = nextStatus;
     
     // Handle assignment/unassignment
     let assignActivity = null;
@@ -552,7 +946,7 @@ const updateTask = async (req, res) => {
     
     // Explicit unassignment takes precedence
     if (unassign === true) {
-      task.assignedTo = null;
+      task.assignees = [];
       assignActivity = 'unassigned_task';
     } 
     // Otherwise check if we need to assign
@@ -579,9 +973,11 @@ const updateTask = async (req, res) => {
         });
       }
       
+      // `assignedTo` here keeps its single-assignee meaning and replaces all assignees;
+      // use the assignees endpoints to manage several people.
       // Only set assignActivity if this is actually a change
       if (!previouslyAssignedId || previouslyAssignedId !== assignedUser._id.toString()) {
-        task.assignedTo = assignedUser._id;
+        task.assignees = [assignedUser._id];
         assignActivity = 'assigned_task';
       }
     }
@@ -591,11 +987,41 @@ const updateTask = async (req, res) => {
     
     await task.save();
     
+    // Status changes in and out of done move the task and run the same side
+    // effects as moveTask: completion log, notifications, next occurrence
+    let nextOccurrence = null;
+    if (completing) {
+      ({ nextOccurrence } = await markTaskCompleted(task, req.user.id, {
+        reason: openBlockers.length > 0 ? 'forced_with_open_blockers' : 'status_changed',
+        io: req.app.get('io')
+      }));
+    } else if (reopening) {
+      const fromColumn = task.column;
+      if (reopenColumn) {
+        const firstTask = await Task.findOne({ column: reopenColumn._id })
+          .sort({ order: 1 })
+          .limit(1);
+        task.column = reopenColumn._id;
+        task.order = firstTask ? Math.max(0, firstTask.order - 1) : 0;
+      }
+      
+      await markTaskReopened(task, req.user.id, {
+        status: nextStatus,
+        reason: 'status_changed',
+        io: req.app.get('io')
+      });
+      
+      if (reopenColumn) {
+        await logColumnMove(req.user.id, task, fromColumn, 'reopened');
+      }
+    }
+    
     // Log activity for the update
     try {
       // Standard update activity
       if (title !== undefined || description !== undefined || priority !== undefined || 
-          dueDate !== undefined || status !== undefined) {
+          dueDate !== undefined || status !== undefined || autoCompleteChecklist !== undefined ||
+          storyPoints !== undefined || estimatedHours !== undefined || customFields !== undefined) {
         await Activity.create({
           user: req.user.id,
           action: 'updated_task',
@@ -650,10 +1076,20 @@ const updateTask = async (req, res) => {
       // Continue execution even if activity logging fails
     }
     
+    if (description !== undefined) {
+      await recordDescriptionMentions(req, task);
+    }
+    
+    if (assignActivity === 'assigned_task' && assignedUser) {
+      await notifyAssignment(req, task, assignedUser);
+    }
+    
     // Get the fully populated task to return
     const populatedTask = await Task.findById(id)
       .populate('createdBy', 'name username avatar')
       .populate('assignedTo', 'name username avatar email')
+      .populate('assignees', 'name username avatar email')
+      .populate('watchers', 'name username avatar')
       .populate('completedBy', 'name username avatar')
       .populate({
         path: 'board',
@@ -670,11 +1106,19 @@ const updateTask = async (req, res) => {
     
     return res.status(200).json({
       success: true,
-      message: 'Task updated successfully',
+      message: wipBreach
+        ? `Task updated, but column "${wipBreach.columnTitle}" is now over its WIP limit of ${wipBreach.wipLimit}`
+        : 'Task updated successfully',
       data: {
         ...populatedTask._doc,
         isCompleted: populatedTask.status === 'done'
-      }
+      },
+      wipLimitExceeded: wipBreach,
+      ...(nextOccurrence && { nextOccurrence }),
+      ...(openBlockers.length > 0 && {
+        warning: `Task was completed while blocked by ${openBlockers.length} open task(s)`,
+        openBlockers
+      })
     });
   } catch (error) {
     console.error('Update task error:', error);
@@ -687,7 +1131,8 @@ const updateTask = async (req, res) => {
 };
 
 /**
- * Assign a task to a user - Express route handler
+ * Add a user to a task's assignees - Express route handler.
+ * Other assignees are kept; use unassign to remove someone.
  */
 const assignTask = async (req, res) => {
   try {
@@ -713,6 +1158,9 @@ const assignTask = async (req, res) => {
       });
     }
     
+    const board = await authorizeTaskBoard(req, res, task, 'member', 'You do not have permission to assign tasks in this board');
+    if (!board) return;
+    
     let assignedUser = null;
     
     // Attempt to find the user through multiple methods
@@ -749,28 +1197,53 @@ const assignTask = async (req, res) => {
       email: assignedUser.email 
     });
     
-    // Store previous assignment for activity logging
-    const wasAssignedTo = task.assignedTo;
-    let previousUser = null;
+    // Assignees are notified about the task, so they must be able to see the board
+    if (!await getBoardRole(board, assignedUser._id)) {
+      return res.status(400).json({
+        success: false,
+        message: `${assignedUser.name || assignedUser.username} does not have access to this board`
+      });
+    }
+    
+    const assigneeIds = task.getAssigneeIds();
+    const alreadyAssigned = assigneeIds.includes(assignedUser._id.toString());
     
-    if (wasAssignedTo) {
+    if (!alreadyAssigned) {
+      task.assignees = [...assigneeIds, assignedUser._id];
+      task.updatedAt = new Date();
+      
+      await task.save();
+      
+      // Log activity
       try {
-        previousUser = await User.findById(wasAssignedTo).select('name username');
-      } catch (err) {
-        console.error('Error finding previous assignee:', err);
+        await Activity.create({
+          user: req.user.id,
+          action: 'assigned_task',
+          taskId: task._id,
+          boardId: task.board,
+          columnId: task.column,
+          teamId: task.team,
+          description: `Assigned task "${task.title}" to ${assignedUser.name || assignedUser.username}`,
+          metadata: {
+            taskTitle: task.title,
+            assignedTo: assignedUser._id,
+            assigneeName: assignedUser.name || assignedUser.username,
+            assignees: task.assignees
+          }
+        });
+      } catch (logError) {
+        console.error('Activity logging error:', logError);
       }
+      
+      await notifyAssignment(req, task, assignedUser);
     }
     
-    // Update the task
-    task.assignedTo = assignedUser._id;
-    task.updatedAt = new Date();
-    
-    await task.save();
-    
     // Fetch the fully populated task 
     const populatedTask = await Task.findById(id)
       .populate('createdBy', 'name username avatar')
       .populate('assignedTo', 'name username avatar email')
+      .populate('assignees', 'name username avatar email')
+      .populate('watchers', 'name username avatar')
       .populate('completedBy', 'name username avatar')
       .populate({
         path: 'board',
@@ -784,52 +1257,10 @@ const assignTask = async (req, res) => {
         path: 'team',
         select: 'name'
       });
-      
-    // Log activity
-    try {
-      let actionDescription;
-      
-      if (wasAssignedTo) {
-        actionDescription = `Reassigned task "${task.title}" from ${previousUser ? previousUser.name || previousUser.username : 'someone'} to ${assignedUser.name || assignedUser.username}`;
-      } else {
-        actionDescription = `Assigned task "${task.title}" to ${assignedUser.name || assignedUser.username}`;
-      }
-      
-      await Activity.create({
-        user: req.user.id,
-        action: 'assigned_task',
-        taskId: task._id,
-        boardId: task.board,
-        columnId: task.column,
-        teamId: task.team,
-        description: actionDescription,
-        metadata: {
-          taskTitle: task.title,
-          assignedTo: assignedUser._id,
-          assigneeName: assignedUser.name || assignedUser.username,
-          previouslyAssigned: wasAssignedTo ? wasAssignedTo.toString() : null,
-          previousUserName: previousUser ? previousUser.name || previousUser.username : null
-        }
-      });
-      
-      // Create notification for the assigned user
-      await Notification.create({
-        recipient: assignedUser._id,
-        sender: req.user.id,
-        type: 'task_assigned',
-        relatedTask: task._id,
-        relatedBoard: task.board,
-        message: `You've been assigned to task "${task.title}"`,
-        read: false
-      });
-      
-    } catch (logError) {
-      console.error('Activity or notification logging error:', logError);
-    }
     
     return res.status(200).json({
       success: true,
-      message: `Task ${wasAssignedTo ? 'reassigned' : 'assigned'} successfully`,
+      message: alreadyAssigned ? 'User is already assigned to this task' : 'Task assigned successfully',
       data: {
         ...populatedTask._doc,
         isCompleted: populatedTask.status === 'done'
@@ -846,11 +1277,13 @@ const assignTask = async (req, res) => {
 };
 
 /**
- * Unassign a task - Express route handler
+ * Remove one assignee (`userId` in the URL or body), or every assignee when
+ * no user is given - Express route handler
  */
 const unassignTask = async (req, res) => {
   try {
     const { id } = req.params;
+    const userId = req.params.userId || req.body.userId;
     
     const task = await Task.findById(id);
     if (!task) {
@@ -860,8 +1293,13 @@ const unassignTask = async (req, res) => {
       });
     }
     
+    const board = await authorizeTaskBoard(req, res, task, 'member', 'You do not have permission to unassign tasks in this board');
+    if (!board) return;
+    
+    const assigneeIds = task.getAssigneeIds();
+    
     // Check if task is already unassigned
-    if (!task.assignedTo) {
+    if (assigneeIds.length === 0) {
       return res.status(200).json({
         success: true,
         message: 'Task is already unassigned',
@@ -872,20 +1310,19 @@ const unassignTask = async (req, res) => {
       });
     }
     
-    // Store previous assignment for activity logging
-    const previouslyAssignedId = task.assignedTo ? task.assignedTo.toString() : null;
-    let previousUser = null;
-    
-    if (previouslyAssignedId) {
-      try {
-        previousUser = await User.findById(previouslyAssignedId).select('name username email');
-      } catch (err) {
-        console.error('Error finding previous assignee:', err);
-      }
+    if (userId && !assigneeIds.includes(userId.toString())) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not assigned to this task'
+      });
     }
     
+    const removedIds = userId ? [userId.toString()] : assigneeIds;
+    const removedUsers = await User.find({ _id: { $in: removedIds } }).select('name username email');
+    const removedNames = removedUsers.map(user => user.name || user.username || user.email);
+    
     // Unassign the task
-    task.assignedTo = null;
+    task.assignees = assigneeIds.filter(assigneeId => !removedIds.includes(assigneeId));
     task.updatedAt = new Date();
     
     await task.save();
@@ -893,7 +1330,9 @@ const unassignTask = async (req, res) => {
     // Get the fully populated task
     const populatedTask = await Task.findById(id)
       .populate('createdBy', 'name username avatar')
-      .populate('assignedTo', 'name username avatar email') // Will be null
+      .populate('assignedTo', 'name username avatar email')
+      .populate('assignees', 'name username avatar email')
+      .populate('watchers', 'name username avatar')
       .populate('completedBy', 'name username avatar')
       .populate({
         path: 'board',
@@ -909,51 +1348,46 @@ const unassignTask = async (req, res) => {
       });
     
     // Log activity
-    if (previousUser) {
-      try {
-        await Activity.create({
-          user: req.user.id,
-          action: 'unassigned_task',
-          taskId: task._id,
-          boardId: task.board,
-          columnId: task.column,
-          teamId: task.team,
-          description: `Unassigned ${previousUser.name || previousUser.username} from task "${task.title}"`,
-          metadata: {
-            taskTitle: task.title,
-            previouslyAssigned: previouslyAssignedId,
-            previousUserName: previousUser.name || previousUser.username || previousUser.email
-          }
-        });
-        
-        // Notify the previously assigned user if different from current user
-        if (previouslyAssignedId !== req.user.id) {
-          await Notification.create({
-            recipient: previouslyAssignedId,
-            sender: req.user.id,
-            type: 'task_unassigned',
-            relatedTask: task._id,
-            relatedBoard: task.board,
-            message: `You've been unassigned from task "${task.title}"`,
-            read: false
-          });
+    try {
+      await Activity.create({
+        user: req.user.id,
+        action: 'unassigned_task',
+        taskId: task._id,
+        boardId: task.board,
+        columnId: task.column,
+        teamId: task.team,
+        description: `Unassigned ${removedNames.length ? removedNames.join(', ') : 'a user'} from task "${task.title}"`,
+        metadata: {
+          taskTitle: task.title,
+          previouslyAssigned: removedIds,
+          previousUserNames: removedNames
         }
-      } catch (logError) {
-        console.error('Activity or notification logging error:', logError);
-      }
+      });
+    } catch (logError) {
+      console.error('Activity logging error:', logError);
     }
     
+    // Notify the users who were removed
+    await notifyUsers(req.app.get('io'), removedIds, {
+      initiator: req.user.id,
+      type: 'task_unassigned',
+      relatedTask: task._id,
+      relatedBoard: task.board,
+      relatedTeam: task.team,
+      message: `You've been unassigned from task "${task.title}"`
+    });
+    
     return res.status(200).json({
       success: true,
       message: 'Task unassigned successfully',
       data: {
         ...populatedTask._doc,
         isCompleted: populatedTask.status === 'done',
-        previousAssignee: previousUser ? {
-          id: previousUser._id,
-          name: previousUser.name || previousUser.username,
-          email: previousUser.email
-        } : null
+        previousAssignees: removedUsers.map(user => ({
+          id: user._id,
+          name: user.name || user.username,
+          email: user.email
+        }))
       }
     });
   } catch (error) {
@@ -981,6 +1415,9 @@ const completeTask = async (req, res) => {
       });
     }
     
+    const board = await authorizeTaskBoard(req, res, task, 'member', 'You do not have permission to complete tasks in this board');
+    if (!board) return;
+    
     // Check if task is already completed
     if (task.status === 'done') {
       return res.status(400).json({
@@ -989,36 +1426,35 @@ const completeTask = async (req, res) => {
       });
     }
     
-    // Update task status to done
-    task.status = 'done';
-    task.completedBy = req.user.id;
-    task.completedAt = new Date();
-    task.updatedAt = new Date();
-    
-    await task.save();
+    // Refuse to complete a task whose blockers are still open, unless forced
+    const openBlockers = await getOpenBlockers(task);
+    const force = req.body.force === true || req.query.force === 'true';
     
-    // Log activity
-    try {
-      await Activity.create({
-        user: req.user.id,
-        action: 'completed_task',
-        taskId: task._id,
-        boardId: task.board,
-        columnId: task.column,
-        description: `Completed task "${task.title}"`,
-        metadata: {
-          taskTitle: task.title,
-          completedBy: req.user.id
-        }
+    if (openBlockers.length > 0 && !force) {
+      return res.status(409).json({
+        success: false,
+        message: 'Task is blocked by tasks that are not done yet. Pass force=true to complete it anyway',
+        openBlockers
       });
-    } catch (logError) {
-      console.error('Activity logging error:', logError);
     }
     
+    // Moving into the done column counts against its WIP limit like any other move
+    const doneColumn = await getCompletionColumn(task);
+    const wipBreach = doneColumn ? await enforceWipLimit(res, board, doneColumn) : null;
+    if (wipBreach === false) return;
+    
+    // Update task status to done and log the completion; recurring tasks get their next occurrence
+    const { nextOccurrence } = await markTaskCompleted(task, req.user.id, {
+      reason: openBlockers.length > 0 ? 'forced_with_open_blockers' : undefined,
+      io: req.app.get('io')
+    });
+    
     // Get updated task with populated fields
     const updatedTask = await Task.findById(id)
       .populate('createdBy', 'name username avatar')
       .populate('assignedTo', 'name username avatar email')
+      .populate('assignees', 'name username avatar email')
+      .populate('watchers', 'name username avatar')
       .populate('completedBy', 'name username avatar')
       .populate({
         path: 'board',
@@ -1033,13 +1469,26 @@ const completeTask = async (req, res) => {
         select: 'name'
       });
     
+    let responseMessage = nextOccurrence
+      ? 'Task completed successfully; next occurrence created'
+      : 'Task completed successfully';
+    if (wipBreach) {
+      responseMessage += `, but column "${wipBreach.columnTitle}" is now over its WIP limit of ${wipBreach.wipLimit}`;
+    }
+    
     return res.status(200).json({
       success: true,
-      message: 'Task completed successfully',
+      message: responseMessage,
       data: {
         ...updatedTask._doc,
         isCompleted: true
-      }
+      },
+      nextOccurrence,
+      wipLimitExceeded: wipBreach,
+      ...(openBlockers.length > 0 && {
+        warning: `Task was completed while blocked by ${openBlockers.length} open task(s)`,
+        openBlockers
+      })
     });
   } catch (error) {
     console.error('Complete task error:', error);
@@ -1070,6 +1519,9 @@ const reopenTask = async (req, res) => {
       });
     }
     
+    const board = await authorizeTaskBoard(req, res, task, 'member', 'You do not have permission to reopen tasks in this board');
+    if (!board) return;
+    
     // Store who completed it for activity logging
     const completedByUser = task.completedBy ? 
       await User.findById(task.completedBy).select('name username') : null;
@@ -1087,36 +1539,51 @@ const reopenTask = async (req, res) => {
       });
     }
     
-    // Handle optional column move
+    // Handle optional column move; otherwise a task sitting in a "done" column goes back
     let originalColumn = task.column;
+    let targetColumn = null;
     if (moveToColumn) {
       // Verify column exists and belongs to the same board
-      const targetColumn = await Column.findOne({
+      targetColumn = await Column.findOne({
         _id: moveToColumn,
         board: task.board
       });
+    } else {
+      targetColumn = await getReopenColumn(task);
+    }
+    
+    // Moving out of the done column counts against the target's WIP limit
+    let wipBreach = null;
+    if (targetColumn && targetColumn._id.toString() !== task.column.toString()) {
+      wipBreach = await enforceWipLimit(res, board, targetColumn);
+      if (wipBreach === false) return;
+    }
+    
+    if (targetColumn) {
+      task.column = targetColumn._id;
       
-      if (targetColumn) {
-        task.column = targetColumn._id;
-        
-        // Get position at the top of the column
-        const firstTask = await Task.findOne({ column: targetColumn._id })
-          .sort({ order: 1 })
-          .limit(1);
-        
-        // Set order to be before the first task (or 0 if no tasks)
-        task.order = firstTask ? Math.max(0, firstTask.order - 1) : 0;
-      }
+      // Get position at the top of the column
+      const firstTask = await Task.findOne({ column: targetColumn._id })
+        .sort({ order: 1 })
+        .limit(1);
+      
+      // Set order to be before the first task (or 0 if no tasks)
+      task.order = firstTask ? Math.max(0, firstTask.order - 1) : 0;
     }
     
-    // Update task status to todo
-    task.status = 'todo';
+    // Reopen as the target column's status when it maps one, otherwise todo
+    task.status = getOpenStatusForColumn(task, targetColumn);
     task.completedBy = null;
     task.completedAt = null;
+    task.columnBeforeDone = null;
     task.updatedAt = new Date();
     
     await task.save();
     
+    if (originalColumn.toString() !== task.column.toString()) {
+      await logColumnMove(req.user.id, task, originalColumn, 'reopened');
+    }
+    
     // Log activity with more detailed information
     try {
       let activityDescription = `Reopened task "${task.title}"`;
@@ -1184,6 +1651,14 @@ const reopenTask = async (req, res) => {
         });
       }
       
+      // And everyone else assigned to or watching the task
+      await notifyTaskFollowers(req.app.get('io'), task, {
+        initiator: req.user.id,
+        exclude: [completedByUser && completedByUser._id, task.createdBy],
+        type: 'task_reopened',
+        message: `Task "${task.title}" has been reopened`
+      });
+      
     } catch (logError) {
       console.error('Activity or notification error:', logError);
     }
@@ -1192,6 +1667,8 @@ const reopenTask = async (req, res) => {
     const updatedTask = await Task.findById(id)
       .populate('createdBy', 'name username avatar')
       .populate('assignedTo', 'name username avatar email')
+      .populate('assignees', 'name username avatar email')
+      .populate('watchers', 'name username avatar')
       .populate('completedBy', 'name username avatar')
       .populate({
         path: 'board',
@@ -1211,10 +1688,14 @@ const reopenTask = async (req, res) => {
     if (originalColumn.toString() !== task.column.toString()) {
       responseMessage += ' and moved to a different column';
     }
+    if (wipBreach) {
+      responseMessage += `, but column "${wipBreach.columnTitle}" is now over its WIP limit of ${wipBreach.wipLimit}`;
+    }
     
     return res.status(200).json({
       success: true,
       message: responseMessage,
+      wipLimitExceeded: wipBreach,
       data: {
         ...updatedTask._doc,
         isCompleted: false,
@@ -1238,7 +1719,8 @@ const reopenTask = async (req, res) => {
 };
 
 /**
- * Get tasks by user ID
+ * Get tasks a user is assigned to or watching.
+ * `?relation=assigned` or `?relation=watching` narrows the list to one of them.
  */
 const getTasksByUser = async (req, res) => {
   try {
@@ -1252,10 +1734,37 @@ const getTasksByUser = async (req, res) => {
       });
     }
     
-    const tasks = await Task.find({ assignedTo: userId })
+    const customFieldQuery = await parseCustomFieldQuery(req.query, { updatedAt: -1 });
+    if (customFieldQuery.error) {
+      return res.status(400).json({
+        success: false,
+        message: customFieldQuery.error
+      });
+    }
+    
+    // Only include tasks from boards the requesting user can read
+    const accessibleBoards = await Board.find(await getAccessibleBoardsFilter(req.user.id)).select('_id');
+    
+    const { relation } = req.query;
+    const assignedFilters = [{ assignees: userId }, { assignedTo: userId }];
+    const watchingFilters = [{ watchers: userId }];
+    const relationFilters = {
+      assigned: assignedFilters,
+      watching: watchingFilters
+    }[relation] || [...assignedFilters, ...watchingFilters];
+    
+    const tasks = await Task.find({
+      $or: relationFilters,
+      board: { $in: accessibleBoards.map(board => board._id) },
+      ...buildLabelFilter(req.query),
+      ...customFieldQuery.filter
+    })
       .populate('createdBy', 'name username avatar')
       .populate('assignedTo', 'name username avatar email')
+      .populate('assignees', 'name username avatar email')
+      .populate('watchers', 'name username avatar')
       .populate('completedBy', 'name username avatar')
+      .populate('labels', 'name color')
       .populate({
         path: 'board',
         select: 'title description'
@@ -1268,14 +1777,16 @@ const getTasksByUser = async (req, res) => {
         path: 'team',
         select: 'name'
       })
-      .sort({ updatedAt: -1 });
+      .sort(customFieldQuery.sort);
     
     return res.status(200).json({
       success: true,
       count: tasks.length,
       data: tasks.map(task => ({
         ...task._doc,
-        isCompleted: task.status === 'done'
+        isCompleted: task.status === 'done',
+        isAssigned: task.getAssigneeIds().includes(userId),
+        isWatching: task.watchers.some(watcher => watcher._id.toString() === userId)
       }))
     });
   } catch (error) {
@@ -1303,10 +1814,35 @@ const getTasksByColumn = async (req, res) => {
       });
     }
     
-    const tasks = await Task.find({ column: columnId })
+    const column = await Column.findById(columnId);
+    if (!column) {
+      return res.status(404).json({
+        success: false,
+        message: 'Column not found'
+      });
+    }
+    
+    const board = await Board.findById(column.board);
+    const access = await checkBoardPermission(board, req.user.id, 'viewer');
+    if (!access.allowed) {
+      return sendPermissionDenied(res, access);
+    }
+    
+    const customFieldQuery = await parseCustomFieldQuery(req.query, { order: 1 });
+    if (customFieldQuery.error) {
+      return res.status(400).json({
+        success: false,
+        message: customFieldQuery.error
+      });
+    }
+    
+    const tasks = await Task.find({ column: columnId, ...buildLabelFilter(req.query), ...customFieldQuery.filter })
       .populate('createdBy', 'name username avatar')
       .populate('assignedTo', 'name username avatar email')
+      .populate('assignees', 'name username avatar email')
+      .populate('watchers', 'name username avatar')
       .populate('completedBy', 'name username avatar')
+      .populate('labels', 'name color')
       .populate({
         path: 'board',
         select: 'title description'
@@ -1319,14 +1855,15 @@ const getTasksByColumn = async (req, res) => {
         path: 'team',
         select: 'name'
       })
-      .sort({ order: 1 }); // Sort by task order within column
+      .sort(customFieldQuery.sort); // Task order within column unless sorting by a custom field
     
     return res.status(200).json({
       success: true,
       count: tasks.length,
       data: tasks.map(task => ({
         ...task._doc,
-        isCompleted: task.status === 'done'
+        isCompleted: task.status === 'done',
+        checklistProgress: task.getChecklistProgress()
       }))
     });
   } catch (error) {
@@ -1356,6 +1893,9 @@ const deleteTask = async (req, res) => {
       });
     }
     
+    const board = await authorizeTaskBoard(req, res, task, 'member', 'You do not have permission to delete tasks in this board');
+    if (!board) return;
+    
     // Store task info for activity log before deletion
     const taskInfo = {
       title: task.title,
@@ -1371,22 +1911,11 @@ const deleteTask = async (req, res) => {
       column: task.column
     });
     
-    // Simplified permission check - always allow task deletion
-    // This simplification should be replaced with proper permission logic in production
-    
     try {
-      // Delete the task first
-      const deleteResult = await Task.deleteOne({ _id: id });
-      
-      if (deleteResult.deletedCount !== 1) {
-        console.error('Task deletion failed:', deleteResult);
-        return res.status(500).json({
-          success: false,
-          message: 'Failed to delete task'
-        });
-      }
+      // Deleted tasks go to the board's trash; comments, attachments and time entries stay until it is purged
+      await trashTask(task, req.user.id);
       
-      console.log('Task deleted successfully:', { id, deleteResult });
+      console.log('Task moved to trash:', { id });
       
       // Log activity after successful deletion
       try {
@@ -1399,7 +1928,8 @@ const deleteTask = async (req, res) => {
           description: `Deleted task "${taskInfo.title}"`,
           metadata: {
             taskTitle: taskInfo.title,
-            taskId: id
+            taskId: id,
+            trashed: true
           }
         });
       } catch (activityError) {
@@ -1409,7 +1939,8 @@ const deleteTask = async (req, res) => {
       
       return res.status(200).json({
         success: true,
-        message: 'Task deleted successfully'
+        message: 'Task moved to trash',
+        expiresAt: getTrashExpiry(task)
       });
     } catch (deleteError) {
       console.error('Error during task deletion:', deleteError);
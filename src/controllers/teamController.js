@@ -3,6 +3,7 @@ const Team = require('../models/Team');
 const Board = require('../models/Board');
 const User = require('../models/User');
 const { logTeamActivity } = require('../services/activityService');
+const { checkBoardPermission, sendPermissionDenied } = require('../services/boardPermissionService');
 const Activity = require('../models/Activity');
 const Notification = require('../models/Notification');
 
@@ -903,12 +904,9 @@ const addBoardMembers = async (req, res) => {
     }
 
     // Check if current user has permission to add members
-    if (board.owner.toString() !== req.user.id && 
-        !board.members.some(m => m.userId.toString() === req.user.id && m.role === 'admin')) {
-      return res.status(403).json({
-        success: false,
-        message: 'You do not have permission to add members to this board'
-      });
+    const access = await checkBoardPermission(board, req.user.id, 'admin');
+    if (!access.allowed) {
+      return sendPermissionDenied(res, access, 'You do not have permission to add members to this board');
     }
 
     // Process each member
@@ -934,7 +932,7 @@ const addBoardMembers = async (req, res) => {
       }
 
       // Check if user is already a member
-      if (board.members.some(m => m.userId.toString() === user._id.toString())) {
+      if (board.members.some(m => m.user.toString() === user._id.toString())) {
         results.failed.push({
           value: member,
           userId: user._id,
@@ -945,8 +943,10 @@ const addBoardMembers = async (req, res) => {
 
       // Add user to board with 'viewer' role by default
       board.members.push({
-        userId: user._id,
-        role: 'viewer'
+        user: user._id,
+        role: 'viewer',
+        addedAt: new Date(),
+        addedBy: req.user.id
       });
 
       results.success.push({
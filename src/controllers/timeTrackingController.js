@@ -0,0 +1,531 @@
+const mongoose = require('mongoose');
+const TimeEntry = require('../models/TimeEntry');
+const Board = require('../models/Board');
+const {
+  checkBoardPermission,
+  loadBoardWithAccess,
+  loadTaskWithAccess,
+  getAccessibleBoardsFilter
+} = require('../services/boardPermissionService');
+const {
+  TIME_GROUPS,
+  stopTimerEntry,
+  stopRunningTimer,
+  emitTimeEvent,
+  getTimeTotals
+} = require('../services/timeTrackingService');
+
+// Longest single manual entry, in minutes
+const MAX_ENTRY_MINUTES = 24 * 60;
+
+const serializeEntry = (entry) => ({
+  ...(entry.toObject ? entry.toObject() : entry),
+  elapsedSeconds: entry.getElapsedSeconds()
+});
+
+/**
+ * Parse `?from=` / `?to=` into a startedAt filter. Resolves to { filter } or { error }.
+ */
+const parseDateRange = ({ from, to }) => {
+  const filter = {};
+
+  if (from) {
+    const fromDate = new Date(from);
+    if (Number.isNaN(fromDate.getTime())) return { error: 'Invalid "from" date' };
+    filter.$gte = fromDate;
+  }
+
+  if (to) {
+    const toDate = new Date(to);
+    if (Number.isNaN(toDate.getTime())) return { error: 'Invalid "to" date' };
+    filter.$lte = toDate;
+  }
+
+  if (filter.$gte && filter.$lte && filter.$gte > filter.$lte) {
+    return { error: '"from" must be before "to"' };
+  }
+
+  return { filter: Object.keys(filter).length ? { startedAt: filter } : {} };
+};
+
+/**
+ * Work out a manual entry's start and duration from either `startedAt` + `endedAt`
+ * or `durationMinutes` (optionally with `startedAt`). Resolves to { value } or { error }.
+ */
+const parseManualEntry = ({ startedAt, endedAt, durationMinutes }) => {
+  const start = startedAt ? new Date(startedAt) : null;
+  if (start && Number.isNaN(start.getTime())) return { error: 'Invalid startedAt date' };
+
+  let seconds;
+  if (endedAt) {
+    const end = new Date(endedAt);
+    if (!start || Number.isNaN(end.getTime())) {
+      return { error: 'endedAt needs a valid startedAt and endedAt' };
+    }
+    seconds = Math.round((end.getTime() - start.getTime()) / 1000);
+  } else if (durationMinutes !== undefined) {
+    seconds = Math.round(Number(durationMinutes) * 60);
+  } else {
+    return { error: 'Provide durationMinutes, or startedAt and endedAt' };
+  }
+
+  if (!Number.isFinite(seconds) || seconds <= 0) {
+    return { error: 'Time entries must be longer than zero' };
+  }
+
+  if (seconds > MAX_ENTRY_MINUTES * 60) {
+    return { error: `A single time entry cannot be longer than ${MAX_ENTRY_MINUTES / 60} hours` };
+  }
+
+  const startTime = start || new Date(Date.now() - seconds * 1000);
+  return {
+    value: {
+      startedAt: startTime,
+      endedAt: new Date(startTime.getTime() + seconds * 1000),
+      durationSeconds: seconds
+    }
+  };
+};
+
+/**
+ * Only the person who tracked the time, or a board admin, may change an entry
+ */
+const canManageEntry = async (req, entry) => {
+  if (entry.user.toString() === req.user.id) return true;
+
+  const board = await Board.findById(entry.board);
+  const access = await checkBoardPermission(board, req.user.id, 'admin');
+  return access.allowed;
+};
+
+const findTaskEntry = async (task, entryId) => {
+  if (!mongoose.Types.ObjectId.isValid(entryId)) return null;
+  return TimeEntry.findOne({ _id: entryId, task: task._id });
+};
+
+/**
+ * Start a timer on a task. A timer already running for the user (on any task) is stopped first.
+ * @route POST /api/tasks/:id/timer/start
+ */
+const startTimer = async (req, res) => {
+  try {
+    const task = await loadTaskWithAccess(req, res, 'member', 'You do not have permission to track time on this task');
+    if (!task) return;
+
+    const io = req.app.get('io');
+
+    const stoppedTimer = await stopRunningTimer(req.user.id);
+    if (stoppedTimer) {
+      emitTimeEvent(io, 'timer:stopped', stoppedTimer);
+    }
+
+    let entry;
+    try {
+      entry = await TimeEntry.create({
+        task: task._id,
+        board: task.board,
+        team: task.team || null,
+        user: req.user.id,
+        source: 'timer',
+        startedAt: new Date(),
+        running: true,
+        note: req.body.note || ''
+      });
+    } catch (createError) {
+      // Another request started a timer for this user in the meantime
+      if (createError.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'You already have a running timer'
+        });
+      }
+      throw createError;
+    }
+
+    emitTimeEvent(io, 'timer:started', entry);
+
+    return res.status(201).json({
+      success: true,
+      message: stoppedTimer ? 'Timer started; your previous timer was stopped' : 'Timer started',
+      data: serializeEntry(entry),
+      stoppedTimer: stoppedTimer ? serializeEntry(stoppedTimer) : null
+    });
+  } catch (error) {
+    console.error('Start timer error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while starting timer',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Stop the current user's timer on a task
+ * @route POST /api/tasks/:id/timer/stop
+ */
+const stopTimer = async (req, res) => {
+  try {
+    const task = await loadTaskWithAccess(req, res, 'member', 'You do not have permission to track time on this task');
+    if (!task) return;
+
+    const entry = await TimeEntry.findOne({ task: task._id, user: req.user.id, running: true });
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'You have no running timer on this task'
+      });
+    }
+
+    await stopTimerEntry(entry, { note: req.body.note });
+    emitTimeEvent(req.app.get('io'), 'timer:stopped', entry);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Timer stopped',
+      data: serializeEntry(entry)
+    });
+  } catch (error) {
+    console.error('Stop timer error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while stopping timer',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get the current user's running timer, if any
+ * @route GET /api/time/timer
+ */
+const getActiveTimer = async (req, res) => {
+  try {
+    const entry = await TimeEntry.findOne({ user: req.user.id, running: true })
+      .populate('task', 'title board column');
+
+    return res.status(200).json({
+      success: true,
+      data: entry ? serializeEntry(entry) : null
+    });
+  } catch (error) {
+    console.error('Get active timer error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while fetching timer',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Stop the current user's running timer, whichever task it is on
+ * @route POST /api/time/timer/stop
+ */
+const stopActiveTimer = async (req, res) => {
+  try {
+    const entry = await stopRunningTimer(req.user.id, { note: req.body.note });
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'You have no running timer'
+      });
+    }
+
+    emitTimeEvent(req.app.get('io'), 'timer:stopped', entry);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Timer stopped',
+      data: serializeEntry(entry)
+    });
+  } catch (error) {
+    console.error('Stop active timer error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while stopping timer',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * List time tracked on a task with per-user totals
+ * @route GET /api/tasks/:id/time-entries
+ */
+const getTaskTimeEntries = async (req, res) => {
+  try {
+    const range = parseDateRange(req.query);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error
+      });
+    }
+
+    const task = await loadTaskWithAccess(req, res, 'viewer');
+    if (!task) return;
+
+    const match = { task: task._id, ...range.filter };
+    const entries = await TimeEntry.find(match)
+      .populate('user', 'name username avatar')
+      .sort({ startedAt: -1 });
+
+    const totals = await getTimeTotals(match, 'user');
+
+    return res.status(200).json({
+      success: true,
+      count: entries.length,
+      data: {
+        entries: entries.map(serializeEntry),
+        totalSeconds: totals.totalSeconds,
+        totalHours: totals.totalHours,
+        byUser: totals.groups
+      }
+    });
+  } catch (error) {
+    console.error('Get time entries error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while fetching time entries',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Log time on a task by hand
+ * @route POST /api/tasks/:id/time-entries
+ */
+const addTimeEntry = async (req, res) => {
+  try {
+    const parsed = parseManualEntry(req.body);
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsed.error
+      });
+    }
+
+    const task = await loadTaskWithAccess(req, res, 'member', 'You do not have permission to track time on this task');
+    if (!task) return;
+
+    const entry = await TimeEntry.create({
+      task: task._id,
+      board: task.board,
+      team: task.team || null,
+      user: req.user.id,
+      source: 'manual',
+      ...parsed.value,
+      note: req.body.note || ''
+    });
+
+    emitTimeEvent(req.app.get('io'), 'time-entry:created', entry);
+
+    return res.status(201).json({
+      success: true,
+      message: 'Time entry added',
+      data: serializeEntry(entry)
+    });
+  } catch (error) {
+    console.error('Add time entry error:', error);
+    return res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.name === 'ValidationError' ? error.message : 'Server error while adding time entry',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Edit a time entry's note or times. Running timers can only have their note changed.
+ * @route PATCH /api/tasks/:id/time-entries/:entryId
+ */
+const updateTimeEntry = async (req, res) => {
+  try {
+    const { entryId } = req.params;
+    const { note, startedAt, endedAt, durationMinutes } = req.body;
+
+    const task = await loadTaskWithAccess(req, res, 'member', 'You do not have permission to track time on this task');
+    if (!task) return;
+
+    const entry = await findTaskEntry(task, entryId);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Time entry not found'
+      });
+    }
+
+    if (!await canManageEntry(req, entry)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the person who tracked this time or a board admin can edit it'
+      });
+    }
+
+    const changesTime = startedAt !== undefined || endedAt !== undefined || durationMinutes !== undefined;
+    if (changesTime) {
+      if (entry.running) {
+        return res.status(400).json({
+          success: false,
+          message: 'Stop the timer before changing its times'
+        });
+      }
+
+      const parsed = parseManualEntry({
+        startedAt: startedAt !== undefined ? startedAt : entry.startedAt,
+        endedAt: durationMinutes !== undefined ? undefined : (endedAt !== undefined ? endedAt : entry.endedAt),
+        durationMinutes
+      });
+      if (parsed.error) {
+        return res.status(400).json({
+          success: false,
+          message: parsed.error
+        });
+      }
+
+      Object.assign(entry, parsed.value);
+    }
+
+    if (note !== undefined) entry.note = note;
+
+    await entry.save();
+    emitTimeEvent(req.app.get('io'), 'time-entry:updated', entry);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Time entry updated',
+      data: serializeEntry(entry)
+    });
+  } catch (error) {
+    console.error('Update time entry error:', error);
+    return res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.name === 'ValidationError' ? error.message : 'Server error while updating time entry',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Delete a time entry (or discard a running timer)
+ * @route DELETE /api/tasks/:id/time-entries/:entryId
+ */
+const deleteTimeEntry = async (req, res) => {
+  try {
+    const { entryId } = req.params;
+
+    const task = await loadTaskWithAccess(req, res, 'member', 'You do not have permission to track time on this task');
+    if (!task) return;
+
+    const entry = await findTaskEntry(task, entryId);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Time entry not found'
+      });
+    }
+
+    if (!await canManageEntry(req, entry)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the person who tracked this time or a board admin can delete it'
+      });
+    }
+
+    await entry.deleteOne();
+    emitTimeEvent(req.app.get('io'), 'time-entry:deleted', entry);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Time entry deleted'
+    });
+  } catch (error) {
+    console.error('Delete time entry error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while deleting time entry',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Total tracked time over a date range, grouped by task, user, board or team.
+ * Only boards the requester can read are counted.
+ * @route GET /api/time/report
+ */
+const getTimeReport = async (req, res) => {
+  try {
+    const { groupBy = 'user', boardId, teamId, userId, taskId } = req.query;
+
+    if (!TIME_GROUPS[groupBy]) {
+      return res.status(400).json({
+        success: false,
+        message: `groupBy must be one of: ${Object.keys(TIME_GROUPS).join(', ')}`
+      });
+    }
+
+    const invalidId = [teamId, userId, taskId].find(id => id && !mongoose.Types.ObjectId.isValid(id));
+    if (invalidId) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ID: ${invalidId}`
+      });
+    }
+
+    const range = parseDateRange(req.query);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error
+      });
+    }
+
+    const match = { ...range.filter };
+
+    if (boardId) {
+      const board = await loadBoardWithAccess(req, res, 'viewer', undefined, boardId);
+      if (!board) return;
+      match.board = board._id;
+    } else {
+      const boards = await Board.find(await getAccessibleBoardsFilter(req.user.id)).select('_id');
+      match.board = { $in: boards.map(board => board._id) };
+    }
+
+    if (teamId) match.team = new mongoose.Types.ObjectId(teamId);
+    if (userId) match.user = new mongoose.Types.ObjectId(userId);
+    if (taskId) match.task = new mongoose.Types.ObjectId(taskId);
+
+    const report = await getTimeTotals(match, groupBy);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        from: range.filter.startedAt ? range.filter.startedAt.$gte || null : null,
+        to: range.filter.startedAt ? range.filter.startedAt.$lte || null : null,
+        ...report
+      }
+    });
+  } catch (error) {
+    console.error('Get time report error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while building time report',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  startTimer,
+  stopTimer,
+  getActiveTimer,
+  stopActiveTimer,
+  getTaskTimeEntries,
+  addTimeEntry,
+  updateTimeEntry,
+  deleteTimeEntry,
+  getTimeReport
+};
@@ -0,0 +1,178 @@
+const mongoose = require('mongoose');
+const Column = require('../models/Column');
+const Task = require('../models/Task');
+const Activity = require('../models/Activity');
+const { loadBoardWithAccess } = require('../services/boardPermissionService');
+const { getBoardTrash: listBoardTrash, restoreTask, restoreColumn } = require('../services/trashService');
+
+const sendTrashError = (res, error, fallbackMessage) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+const emitTrashEvent = (req, board, event, payload) => {
+  const io = req.app.get('io');
+  if (io) {
+    io.to(`board:${board._id}`).emit(event, { boardId: board._id, ...payload });
+  }
+};
+
+const logRestore = async (req, board, action, fields) => {
+  try {
+    await Activity.create({
+      user: req.user.id,
+      action,
+      boardId: board._id,
+      teamId: board.team,
+      ...fields
+    });
+  } catch (activityError) {
+    console.error('Activity logging error:', activityError);
+  }
+};
+
+/**
+ * List a board's trashed columns and tasks with when each will be purged
+ * @route GET /api/boards/:id/trash
+ */
+const getBoardTrash = async (req, res) => {
+  try {
+    const board = await loadBoardWithAccess(req, res, 'viewer');
+    if (!board) return;
+
+    const trash = await listBoardTrash(board._id);
+
+    return res.status(200).json({
+      success: true,
+      count: trash.columns.length + trash.tasks.length,
+      data: trash
+    });
+  } catch (error) {
+    console.error('Get board trash error:', error);
+    return sendTrashError(res, error, 'Server error while fetching trash');
+  }
+};
+
+/**
+ * Restore a trashed task, along with its column if that is trashed too
+ * @route POST /api/boards/:id/trash/tasks/:taskId/restore
+ */
+const restoreTrashedTask = async (req, res) => {
+  try {
+    const board = await loadBoardWithAccess(req, res, 'member', 'You do not have permission to restore tasks in this board');
+    if (!board) return;
+
+    const task = mongoose.Types.ObjectId.isValid(req.params.taskId)
+      ? await Task.findOne({ _id: req.params.taskId, board: board._id, deleted: true })
+      : null;
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found in trash'
+      });
+    }
+
+    const result = await restoreTask(task);
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    const { restoredColumn, movedTo } = result.value;
+
+    if (restoredColumn) {
+      await logRestore(req, board, 'restored_column', {
+        columnId: restoredColumn._id,
+        description: `Restored column "${restoredColumn.title}" with task "${task.title}"`,
+        metadata: { columnTitle: restoredColumn.title, restoredWithTask: task._id }
+      });
+      emitTrashEvent(req, board, 'column:restored', { column: restoredColumn, restoredTasks: 1 });
+    }
+
+    await logRestore(req, board, 'restored_task', {
+      taskId: task._id,
+      columnId: task.column,
+      description: `Restored task "${task.title}"`,
+      metadata: {
+        taskTitle: task.title,
+        restoredColumn: restoredColumn ? restoredColumn._id : null,
+        movedTo: movedTo ? movedTo._id : null
+      }
+    });
+
+    emitTrashEvent(req, board, 'task:restored', { taskId: task._id, columnId: task.column });
+
+    return res.status(200).json({
+      success: true,
+      message: restoredColumn
+        ? `Task restored along with column "${restoredColumn.title}"`
+        : movedTo
+          ? `Task restored to column "${movedTo.title}" because its column no longer exists`
+          : 'Task restored successfully',
+      data: task,
+      restoredColumn
+    });
+  } catch (error) {
+    console.error('Restore task error:', error);
+    return sendTrashError(res, error, 'Server error while restoring task');
+  }
+};
+
+/**
+ * Restore a trashed column and the tasks that were trashed along with it
+ * @route POST /api/boards/:id/trash/columns/:columnId/restore
+ */
+const restoreTrashedColumn = async (req, res) => {
+  try {
+    const board = await loadBoardWithAccess(req, res, 'admin', 'You do not have permission to restore columns in this board');
+    if (!board) return;
+
+    const column = mongoose.Types.ObjectId.isValid(req.params.columnId)
+      ? await Column.findOne({ _id: req.params.columnId, board: board._id, deleted: true })
+      : null;
+    if (!column) {
+      return res.status(404).json({
+        success: false,
+        message: 'Column not found in trash'
+      });
+    }
+
+    const restoredTasks = await restoreColumn(column);
+
+    await logRestore(req, board, 'restored_column', {
+      columnId: column._id,
+      description: `Restored column "${column.title}"`,
+      metadata: { columnTitle: column.title, restoredTasks }
+    });
+
+    emitTrashEvent(req, board, 'column:restored', { column, restoredTasks });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Column restored successfully',
+      data: column,
+      restoredTasks
+    });
+  } catch (error) {
+    console.error('Restore column error:', error);
+    return sendTrashError(res, error, 'Server error while restoring column');
+  }
+};
+
+module.exports = {
+  getBoardTrash,
+  restoreTrashedTask,
+  restoreTrashedColumn
+};
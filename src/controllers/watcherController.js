@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const Board = require('../models/Board');
+const User = require('../models/User');
+const {
+  getBoardRole,
+  checkBoardPermission,
+  loadTaskWithAccess,
+  sendPermissionDenied
+} = require('../services/boardPermissionService');
+
+const sendWatchers = async (res, taskId, message) => {
+  const task = await Task.findById(taskId).populate('watchers', 'name username avatar');
+
+  return res.status(200).json({
+    success: true,
+    message,
+    data: {
+      taskId: task._id,
+      watchers: task.watchers
+    }
+  });
+};
+
+/**
+ * Anyone who can see the board may watch or unwatch a task themselves;
+ * changing someone else's watch needs member access.
+ */
+const authorizeWatcherChange = async (req, res, task, userId) => {
+  if (userId === req.user.id) return true;
+
+  const board = await Board.findById(task.board);
+  const access = await checkBoardPermission(board, req.user.id, 'member');
+  if (!access.allowed) {
+    sendPermissionDenied(res, access, 'You do not have permission to change who watches this task');
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Start watching a task. Defaults to the current user; pass `userId` to add someone else.
+ * @route POST /api/tasks/:id/watchers
+ */
+const addWatcher = async (req, res) => {
+  try {
+    const userId = (req.body.userId || req.user.id).toString();
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    const task = await loadTaskWithAccess(req, res, 'viewer', undefined, { write: true });
+    if (!task) return;
+
+    if (!await authorizeWatcherChange(req, res, task, userId)) return;
+
+    const user = await User.findById(userId).select('name username');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Watchers receive notifications about the task, so they must be able to see it
+    const board = await Board.findById(task.board);
+    if (!await getBoardRole(board, userId)) {
+      return res.status(400).json({
+        success: false,
+        message: `${user.name || user.username} does not have access to this board`
+      });
+    }
+
+    const alreadyWatching = task.watchers.some(watcher => watcher.toString() === userId);
+    if (!alreadyWatching) {
+      await Task.updateOne({ _id: task._id }, { $addToSet: { watchers: userId } });
+
+      const io = req.app.get('io');
+      if (io) {
+        io.to(`board:${task.board}`).emit('task:watchers-updated', { taskId: task._id, userId, watching: true });
+      }
+    }
+
+    return sendWatchers(res, task._id, alreadyWatching ? 'User is already watching this task' : 'Watcher added successfully');
+  } catch (error) {
+    console.error('Add watcher error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while adding watcher',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Stop a user watching a task
+ * @route DELETE /api/tasks/:id/watchers/:userId
+ */
+const removeWatcher = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const task = await loadTaskWithAccess(req, res, 'viewer', undefined, { write: true });
+    if (!task) return;
+
+    if (!await authorizeWatcherChange(req, res, task, userId)) return;
+
+    const watching = task.watchers.some(watcher => watcher.toString() === userId);
+    if (!watching) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not watching this task'
+      });
+    }
+
+    await Task.updateOne({ _id: task._id }, { $pull: { watchers: userId } });
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`board:${task.board}`).emit('task:watchers-updated', { taskId: task._id, userId, watching: false });
+    }
+
+    return sendWatchers(res, task._id, 'Watcher removed successfully');
+  } catch (error) {
+    console.error('Remove watcher error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while removing watcher',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  addWatcher,
+  removeWatcher
+};
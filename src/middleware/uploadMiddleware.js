@@ -0,0 +1,42 @@
+const multer = require('multer');
+const { ATTACHMENT_MAX_SIZE_MB, ATTACHMENT_ALLOWED_TYPES } = require('../config/default');
+
+// Files are buffered in memory and handed to the storage driver by the controller
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: ATTACHMENT_MAX_SIZE_MB * 1024 * 1024,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ATTACHMENT_ALLOWED_TYPES.includes(file.mimetype)) {
+      const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+      error.message = `File type ${file.mimetype} is not allowed`;
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+/**
+ * Accept a single file in the `file` field, answering with a 400 when it
+ * breaks the size or type limits
+ */
+const uploadAttachment = (req, res, next) => {
+  attachmentUpload.single('file')(req, res, (err) => {
+    if (!err) return next();
+
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({
+        success: false,
+        message: err.code === 'LIMIT_FILE_SIZE'
+          ? `File is too large. Maximum size is ${ATTACHMENT_MAX_SIZE_MB} MB`
+          : err.message
+      });
+    }
+
+    next(err);
+  });
+};
+
+module.exports = { uploadAttachment };
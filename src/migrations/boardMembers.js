@@ -0,0 +1,88 @@
+/**
+ * Migration: persist board membership on existing boards.
+ *
+ * Boards created before `members` was part of the schema have no membership
+ * list, so every board gets its creator as an admin member. Any raw member
+ * entries already in the collection are normalised (legacy `userId` keys,
+ * unknown roles, duplicates) to match the schema.
+ *
+ * Run with: npm run migrate:board-members
+ */
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Board = require('../models/Board');
+const { connectDB } = require('../config/db');
+
+dotenv.config();
+
+const VALID_ROLES = ['admin', 'member', 'viewer'];
+
+const normalizeMembers = (board) => {
+  const members = [];
+  const seen = new Set();
+
+  for (const entry of board.members || []) {
+    const user = entry && (entry.user || entry.userId);
+    if (!user || seen.has(user.toString())) continue;
+
+    seen.add(user.toString());
+    members.push({
+      user,
+      role: VALID_ROLES.includes(entry.role) ? entry.role : 'viewer',
+      addedAt: entry.addedAt || board.createdAt || new Date(),
+      addedBy: entry.addedBy || board.createdBy
+    });
+  }
+
+  if (board.createdBy && !seen.has(board.createdBy.toString())) {
+    members.unshift({
+      user: board.createdBy,
+      role: 'admin',
+      addedAt: board.createdAt || new Date(),
+      addedBy: board.createdBy
+    });
+  }
+
+  return members;
+};
+
+const migrateBoardMembers = async () => {
+  // Read raw documents so fields the old schema dropped are still visible
+  const cursor = Board.collection.find({});
+  let updated = 0;
+  let scanned = 0;
+
+  for await (const board of cursor) {
+    scanned++;
+    const members = normalizeMembers(board);
+
+    if (JSON.stringify(members) === JSON.stringify(board.members)) continue;
+
+    await Board.collection.updateOne({ _id: board._id }, { $set: { members } });
+    updated++;
+  }
+
+  return { scanned, updated };
+};
+
+if (require.main === module) {
+  (async () => {
+    const connected = await connectDB();
+    if (!connected) {
+      console.error('Board members migration aborted: no database connection');
+      process.exit(1);
+    }
+
+    try {
+      const { scanned, updated } = await migrateBoardMembers();
+      console.log(`Board members migration complete: ${updated} of ${scanned} boards updated`);
+    } catch (error) {
+      console.error('Board members migration failed:', error);
+      process.exitCode = 1;
+    } finally {
+      await mongoose.disconnect();
+    }
+  })();
+}
+
+module.exports = { migrateBoardMembers };
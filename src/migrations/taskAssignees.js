@@ -0,0 +1,52 @@
+/**
+ * Migration: copy single assignees into the `assignees` list.
+ *
+ * Tasks saved before multiple assignees were supported only have `assignedTo`.
+ * Reads treat that as an assignee already, but queries on `assignees` and the
+ * assignee endpoints work from the list, so backfill it.
+ *
+ * Run with: npm run migrate:task-assignees
+ */
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Task = require('../models/Task');
+const { connectDB } = require('../config/db');
+
+dotenv.config();
+
+const migrateTaskAssignees = async () => {
+  const result = await Task.collection.updateMany(
+    {
+      assignedTo: { $ne: null },
+      $or: [
+        { assignees: { $exists: false } },
+        { assignees: { $size: 0 } }
+      ]
+    },
+    [{ $set: { assignees: ['$assignedTo'] } }]
+  );
+
+  return { updated: result.modifiedCount };
+};
+
+if (require.main === module) {
+  (async () => {
+    const connected = await connectDB();
+    if (!connected) {
+      console.error('Task assignees migration aborted: no database connection');
+      process.exit(1);
+    }
+
+    try {
+      const { updated } = await migrateTaskAssignees();
+      console.log(`Task assignees migration complete: ${updated} tasks updated`);
+    } catch (error) {
+      console.error('Task assignees migration failed:', error);
+      process.exitCode = 1;
+    } finally {
+      await mongoose.disconnect();
+    }
+  })();
+}
+
+module.exports = { migrateTaskAssignees };
@@ -13,15 +13,44 @@ const ActivitySchema = new mongoose.Schema({
       'updated_task', 
       'moved_task', 
       'deleted_task',
+      'restored_task',
+      'completed_task',
+      'reopened_task',
+      'assigned_task',
+      'unassigned_task',
       'created_board', 
       'updated_board', 
       'deleted_board',
+      'archived_board',
+      'unarchived_board',
+      'deleted_column',
+      'restored_column',
+      'created_share_link',
+      'revoked_share_link',
       'created_team', 
       'updated_team', 
       'deleted_team',
       'added_member',
       'removed_member',
-      'changed_role'
+      'changed_role',
+      'commented_task',
+      'updated_comment',
+      'deleted_comment',
+      'added_label',
+      'removed_label',
+      'updated_label',
+      'deleted_label',
+      'added_attachment',
+      'deleted_attachment',
+      'added_dependency',
+      'removed_dependency',
+      'created_sprint',
+      'updated_sprint',
+      'deleted_sprint',
+      'started_sprint',
+      'completed_sprint',
+      'added_to_sprint',
+      'removed_from_sprint'
     ],
     required: true
   },
@@ -33,15 +62,44 @@ const ActivitySchema = new mongoose.Schema({
         'updated_task': 'Updated a task',
         'moved_task': 'Moved a task',
         'deleted_task': 'Deleted a task',
+        'restored_task': 'Restored a task from the trash',
+        'completed_task': 'Completed a task',
+        'reopened_task': 'Reopened a task',
+        'assigned_task': 'Assigned a task',
+        'unassigned_task': 'Unassigned a task',
         'created_board': 'Created a board',
         'updated_board': 'Updated a board',
         'deleted_board': 'Deleted a board',
+        'archived_board': 'Archived a board',
+        'unarchived_board': 'Restored an archived board',
+        'deleted_column': 'Deleted a column',
+        'restored_column': 'Restored a column from the trash',
+        'created_share_link': 'Created a public share link',
+        'revoked_share_link': 'Revoked a public share link',
         'created_team': 'Created a team',
         'updated_team': 'Updated a team',
         'deleted_team': 'Deleted a team',
         'added_member': 'Added a member',
         'removed_member': 'Removed a member',
-        'changed_role': 'Changed member role'
+        'changed_role': 'Changed member role',
+        'commented_task': 'Commented on a task',
+        'updated_comment': 'Edited a comment',
+        'deleted_comment': 'Deleted a comment',
+        'added_label': 'Added a label',
+        'removed_label': 'Removed a label',
+        'updated_label': 'Updated a label',
+        'deleted_label': 'Deleted a label',
+        'added_attachment': 'Added an attachment',
+        'deleted_attachment': 'Deleted an attachment',
+        'added_dependency': 'Added a dependency',
+        'removed_dependency': 'Removed a dependency',
+        'created_sprint': 'Created a sprint',
+        'updated_sprint': 'Updated a sprint',
+        'deleted_sprint': 'Deleted a sprint',
+        'started_sprint': 'Started a sprint',
+        'completed_sprint': 'Completed a sprint',
+        'added_to_sprint': 'Added a task to a sprint',
+        'removed_from_sprint': 'Removed a task from a sprint'
       };
       return actionMap[this.action] || 'Performed an action';
     }
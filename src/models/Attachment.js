@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const AttachmentSchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  board: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Board',
+    required: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  originalName: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [255, 'File name cannot be more than 255 characters']
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  // Driver that stored the file, so it can still be read after STORAGE_DRIVER changes
+  driver: {
+    type: String,
+    enum: ['local', 's3'],
+    required: true
+  },
+  storageKey: {
+    type: String,
+    required: true
+  },
+  thumbnailKey: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+AttachmentSchema.index({ task: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Attachment', AttachmentSchema);
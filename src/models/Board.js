@@ -1,5 +1,74 @@
 const mongoose = require('mongoose');
 
+const BoardMemberSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Board member must reference a user']
+    },
+    role: {
+        type: String,
+        enum: {
+            values: ['admin', 'member', 'viewer'],
+            message: 'Role must be admin, member or viewer'
+        },
+        default: 'viewer'
+    },
+    addedAt: {
+        type: Date,
+        default: Date.now
+    },
+    addedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    _id: false
+});
+
+// How tasks on the board are estimated
+const EstimationSchema = new mongoose.Schema({
+    scale: {
+        type: String,
+        enum: {
+            values: ['fibonacci', 'linear', 'powers_of_two', 'custom'],
+            message: 'Scale must be fibonacci, linear, powers_of_two or custom'
+        },
+        default: 'fibonacci'
+    },
+    // Allowed story point values when scale is custom
+    customScale: {
+        type: [Number],
+        default: undefined
+    },
+    hoursEnabled: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    _id: false
+});
+
+// How tasks are split into swimlanes, the board's second axis next to columns
+const SwimlaneSettingsSchema = new mongoose.Schema({
+    groupBy: {
+        type: String,
+        enum: {
+            values: ['none', 'custom', 'assignee', 'priority', 'customField'],
+            message: 'Swimlanes can be grouped by none, custom, assignee, priority or customField'
+        },
+        default: 'none'
+    },
+    // Select or user field the lanes come from when grouping by customField
+    customField: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CustomField',
+        default: null
+    }
+}, {
+    _id: false
+});
+
 const BoardSchema = new mongoose.Schema({
     title: {
         type: String,
@@ -31,9 +100,56 @@ const BoardSchema = new mongoose.Schema({
     },
     image: {
         type: String
+    },
+    members: {
+        type: [BoardMemberSchema],
+        default: [],
+        validate: {
+            validator: function(members) {
+                const ids = members
+                    .filter(member => member.user)
+                    .map(member => (member.user._id || member.user).toString());
+                return new Set(ids).size === ids.length;
+            },
+            message: 'A user can only be added to a board once'
+        }
+    },
+    estimation: {
+        type: EstimationSchema,
+        default: () => ({})
+    },
+    // What happens when a task would push a column past its WIP limit
+    wipLimitMode: {
+        type: String,
+        enum: {
+            values: ['reject', 'flag'],
+            message: 'WIP limit mode must be reject or flag'
+        },
+        default: 'flag'
+    },
+    swimlanes: {
+        type: SwimlaneSettingsSchema,
+        default: () => ({})
+    },
+    // Archived boards are hidden from board lists and purged after BOARD_ARCHIVE_PURGE_DAYS
+    archived: {
+        type: Boolean,
+        default: false
+    },
+    archivedAt: {
+        type: Date,
+        default: null
+    },
+    archivedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
     }
 }, {
     timestamps: true
 });
 
+BoardSchema.index({ 'members.user': 1 });
+BoardSchema.index({ archived: 1, archivedAt: 1 });
+
 module.exports = mongoose.model('Board', BoardSchema);
\ No newline at end of file
@@ -0,0 +1,173 @@
+const mongoose = require('mongoose');
+
+const TemplateColumnSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Template columns need a title'],
+    trim: true
+  },
+  statusCategory: {
+    type: String,
+    enum: ['todo', 'in_progress', 'done', null],
+    default: null
+  },
+  wipLimit: {
+    type: Number,
+    default: null
+  }
+}, {
+  _id: false
+});
+
+const TemplateLabelSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  color: String
+}, {
+  _id: false
+});
+
+const TemplateCustomFieldSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['text', 'number', 'date', 'select', 'user'],
+    required: true
+  },
+  options: {
+    type: [String],
+    default: undefined
+  },
+  required: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  _id: false
+});
+
+const TemplateSwimlaneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  color: {
+    type: String,
+    default: null
+  }
+}, {
+  _id: false
+});
+
+// A starter task; labels and swimlane are referenced by name, the column by its index
+const TemplateTaskSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'critical'],
+    default: 'medium'
+  },
+  column: {
+    type: Number,
+    default: 0
+  },
+  labels: [String],
+  swimlane: {
+    type: String,
+    default: null
+  },
+  storyPoints: {
+    type: Number,
+    default: null
+  },
+  estimatedHours: {
+    type: Number,
+    default: null
+  },
+  checklists: [{
+    _id: false,
+    title: String,
+    items: [String]
+  }]
+}, {
+  _id: false
+});
+
+const BoardTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: [50, 'Template name cannot be more than 50 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [200, 'Description cannot be more than 200 characters'],
+    default: ''
+  },
+  // Team templates are shared with everyone in the team; personal ones only with their creator
+  scope: {
+    type: String,
+    enum: {
+      values: ['team', 'personal'],
+      message: 'Template scope must be team or personal'
+    },
+    required: true
+  },
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Board settings applied to boards created from the template
+  settings: {
+    description: String,
+    backgroundColor: String,
+    colorScheme: String,
+    estimation: mongoose.Schema.Types.Mixed,
+    wipLimitMode: String,
+    swimlanes: {
+      groupBy: String,
+      // Name of the template custom field the lanes come from
+      customField: String
+    }
+  },
+  columns: [TemplateColumnSchema],
+  labels: [TemplateLabelSchema],
+  customFields: [TemplateCustomFieldSchema],
+  swimlanes: [TemplateSwimlaneSchema],
+  tasks: [TemplateTaskSchema],
+  sourceBoard: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Board',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+BoardTemplateSchema.index({ scope: 1, team: 1 });
+BoardTemplateSchema.index({ scope: 1, createdBy: 1 });
+
+module.exports = mongoose.model('BoardTemplate', BoardTemplateSchema);
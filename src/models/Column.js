@@ -14,9 +14,53 @@ const ColumnSchema = new mongoose.Schema({
   position: {
     type: Number,
     default: 0
+  },
+  // Task status this column stands for; moving a task here updates its status
+  statusCategory: {
+    type: String,
+    enum: {
+      values: ['todo', 'in_progress', 'done', null],
+      message: 'Status category must be todo, in_progress or done'
+    },
+    default: null
+  },
+  // Maximum number of tasks the column should hold; null means no limit
+  wipLimit: {
+    type: Number,
+    default: null,
+    min: [1, 'WIP limit must be at least 1'],
+    validate: {
+      validator: value => value === null || Number.isInteger(value),
+      message: 'WIP limit must be a whole number'
+    }
+  },
+  // Deleted columns sit in the board's trash until restored or purged after TRASH_RETENTION_DAYS
+  deleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
   }
 }, {
   timestamps: true
 });
 
+// Trashed columns are left out of reads unless the query filters on `deleted` itself
+function hideTrashed() {
+  if (!Object.prototype.hasOwnProperty.call(this.getFilter(), 'deleted')) {
+    this.where({ deleted: { $ne: true } });
+  }
+}
+
+ColumnSchema.pre(['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct'], hideTrashed);
+
+ColumnSchema.index({ board: 1, deleted: 1, deletedAt: -1 });
+
 module.exports = mongoose.model('Column', ColumnSchema);
\ No newline at end of file
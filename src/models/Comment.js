@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const CommentEditSchema = new mongoose.Schema({
+  content: {
+    type: String,
+    required: true
+  },
+  editedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+const CommentSchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  board: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Board',
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  content: {
+    type: String,
+    required: [true, 'Comment content is required'],
+    trim: true,
+    maxlength: [5000, 'Comment cannot be more than 5000 characters']
+  },
+  // Users already notified about an @mention in this comment
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Previous versions of the content, oldest first
+  editHistory: [CommentEditSchema],
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+CommentSchema.index({ task: 1, createdAt: 1 });
+CommentSchema.index({ parent: 1 });
+
+module.exports = mongoose.model('Comment', CommentSchema);
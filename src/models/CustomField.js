@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const CustomFieldSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Custom field name is required'],
+    trim: true,
+    maxlength: [40, 'Custom field name cannot be more than 40 characters']
+  },
+  type: {
+    type: String,
+    enum: {
+      values: ['text', 'number', 'date', 'select', 'user'],
+      message: 'Field type must be text, number, date, select or user'
+    },
+    required: [true, 'Custom field type is required']
+  },
+  // Allowed values for select fields
+  options: {
+    type: [{
+      type: String,
+      trim: true,
+      maxlength: [50, 'Option cannot be more than 50 characters']
+    }],
+    default: undefined
+  },
+  required: {
+    type: Boolean,
+    default: false
+  },
+  position: {
+    type: Number,
+    default: 0
+  },
+  board: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Board',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Field names are unique within a board
+CustomFieldSchema.index({ board: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+module.exports = mongoose.model('CustomField', CustomFieldSchema);
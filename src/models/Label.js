@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+const LabelSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Label name is required'],
+    trim: true,
+    maxlength: [30, 'Label name cannot be more than 30 characters']
+  },
+  color: {
+    type: String,
+    default: '#2e5bff',
+    match: [/^#([0-9a-f]{3}|[0-9a-f]{6})$/i, 'Label color must be a hex color such as #2e5bff']
+  },
+  board: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Board',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Label names are unique within a board
+LabelSchema.index({ board: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+module.exports = mongoose.model('Label', LabelSchema);
@@ -12,12 +12,14 @@ const NotificationSchema = new mongoose.Schema({
       'team_invitation', 
       'team_invitation_accepted', 
       'task_assigned',
+      'task_unassigned',
       'task_completed',
       'task_reopened',
       'task_comment',
       'board_created',
       'board_shared',
       'task_due_soon',
+      'task_overdue',
       'mention'
     ],
     required: true
@@ -42,6 +44,9 @@ const NotificationSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Team'
   },
+  link: {
+    type: String
+  },
   initiator: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
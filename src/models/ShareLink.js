@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Anonymous read-only link to a board snapshot. Only a hash of the token is stored.
+const ShareLinkSchema = new mongoose.Schema({
+  board: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Board',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // First characters of the token, to tell links apart when listing them
+  tokenPrefix: {
+    type: String,
+    required: true
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Share link label cannot be more than 50 characters'],
+    default: ''
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // null means the link never expires
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  accessCount: {
+    type: Number,
+    default: 0
+  },
+  lastAccessedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+ShareLinkSchema.index({ board: 1, revokedAt: 1 });
+
+module.exports = mongoose.model('ShareLink', ShareLinkSchema);
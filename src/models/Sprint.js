@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+
+// Tasks and points in the sprint at the moment it was started
+const SprintScopeSchema = new mongoose.Schema({
+  tasks: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  }],
+  taskCount: {
+    type: Number,
+    default: 0
+  },
+  points: {
+    type: Number,
+    default: 0
+  }
+}, {
+  _id: false
+});
+
+// Outcome recorded when the sprint is completed
+const SprintReportSchema = new mongoose.Schema({
+  completedTasks: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  }],
+  carriedOverTasks: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  }],
+  completedPoints: {
+    type: Number,
+    default: 0
+  },
+  carriedOverPoints: {
+    type: Number,
+    default: 0
+  },
+  // Tasks added or removed after the sprint started
+  addedTasks: {
+    type: Number,
+    default: 0
+  },
+  removedTasks: {
+    type: Number,
+    default: 0
+  },
+  // Sprint unfinished tasks moved to; null means the backlog
+  carriedOverTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sprint',
+    default: null
+  }
+}, {
+  _id: false
+});
+
+const SprintSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Sprint name is required'],
+    trim: true,
+    maxlength: [50, 'Sprint name cannot be more than 50 characters']
+  },
+  goal: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Sprint goal cannot be more than 500 characters'],
+    default: ''
+  },
+  board: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Board',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['planned', 'active', 'completed'],
+      message: 'Sprint status must be planned, active or completed'
+    },
+    default: 'planned'
+  },
+  startDate: {
+    type: Date,
+    default: null
+  },
+  endDate: {
+    type: Date,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  startedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  completedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  scope: {
+    type: SprintScopeSchema,
+    default: null
+  },
+  report: {
+    type: SprintReportSchema,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+SprintSchema.pre('validate', function(next) {
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'Sprint end date must be after its start date');
+  }
+  next();
+});
+
+SprintSchema.index({ board: 1, status: 1 });
+// Only one sprint can run on a board at a time
+SprintSchema.index({ board: 1 }, { unique: true, partialFilterExpression: { status: 'active' } });
+
+module.exports = mongoose.model('Sprint', SprintSchema);
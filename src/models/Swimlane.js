@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// A user-defined lane, used when a board groups its swimlanes by "custom"
+const SwimlaneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Swimlane name is required'],
+    trim: true,
+    maxlength: [50, 'Swimlane name cannot be more than 50 characters']
+  },
+  color: {
+    type: String,
+    default: null
+  },
+  position: {
+    type: Number,
+    default: 0
+  },
+  board: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Board',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Lane names are unique within a board
+SwimlaneSchema.index({ board: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+module.exports = mongoose.model('Swimlane', SwimlaneSchema);
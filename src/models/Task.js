@@ -1,5 +1,91 @@
 const mongoose = require('mongoose');
 
+const ChecklistItemSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: [true, 'Checklist item text is required'],
+    trim: true,
+    maxlength: [500, 'Checklist item cannot be more than 500 characters']
+  },
+  completed: {
+    type: Boolean,
+    default: false
+  },
+  completedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  dueDate: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Items are kept in display order
+const ChecklistSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Checklist title is required'],
+    trim: true,
+    maxlength: [100, 'Checklist title cannot be more than 100 characters']
+  },
+  items: [ChecklistItemSchema]
+}, {
+  timestamps: true
+});
+
+// RRULE-style repeat schedule. Completing an occurrence creates the next one.
+const RecurrenceSchema = new mongoose.Schema({
+  frequency: {
+    type: String,
+    enum: ['daily', 'weekly', 'monthly', 'after_completion'],
+    required: true
+  },
+  // Every N days / weeks / months; for after_completion, N days after the task is completed
+  interval: {
+    type: Number,
+    default: 1,
+    min: [1, 'Recurrence interval must be at least 1'],
+    max: [365, 'Recurrence interval cannot be more than 365']
+  },
+  // Weekly only: 0 (Sunday) to 6 (Saturday)
+  weekdays: [{
+    type: Number,
+    min: 0,
+    max: 6
+  }],
+  // Monthly only: clamped to the last day of shorter months. Defaults to the
+  // due date's day when the rule is saved.
+  monthDay: {
+    type: Number,
+    min: 1,
+    max: 31
+  },
+  until: {
+    type: Date,
+    default: null
+  },
+  // Column new occurrences are created in
+  column: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Column'
+  }
+}, {
+  _id: false
+});
+
 const TaskSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -23,6 +109,42 @@ const TaskSchema = new mongoose.Schema({
   dueDate: {
     type: Date
   },
+  // Optional estimates; allowed point values come from the board's estimation scale
+  storyPoints: {
+    type: Number,
+    default: null,
+    min: [0, 'Story points cannot be negative']
+  },
+  estimatedHours: {
+    type: Number,
+    default: null,
+    min: [0, 'Estimated hours cannot be negative'],
+    max: [1000, 'Estimated hours cannot be more than 1000']
+  },
+  // Values for the board's custom fields, keyed by CustomField ID
+  customFields: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed,
+    default: () => ({})
+  },
+  // Column the task left when completing it moved it to the board's done column
+  columnBeforeDone: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Column',
+    default: null
+  },
+  // Custom swimlane the task sits in; null is the board's "No lane" row
+  swimlane: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Swimlane',
+    default: null
+  },
+  // Sprint the task is planned into; null keeps it in the board backlog
+  sprint: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sprint',
+    default: null
+  },
   order: {
     type: Number,
     required: true
@@ -41,11 +163,21 @@ const TaskSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Team'
   },
+  // Primary assignee, kept equal to the first entry of `assignees` for older clients
   assignedTo: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     default: null
   },
+  assignees: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Users following the task without being assigned to it
+  watchers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -59,6 +191,74 @@ const TaskSchema = new mongoose.Schema({
   completedAt: {
     type: Date
   },
+  labels: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Label'
+  }],
+  checklists: [ChecklistSchema],
+  // Complete the task automatically once every checklist item is checked
+  autoCompleteChecklist: {
+    type: Boolean,
+    default: false
+  },
+  // Due-date reminders already sent, keyed by reminder kind and the due date they were for
+  remindersSent: [{
+    _id: false,
+    kind: String,
+    dueDate: Date,
+    sentAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Tasks that must be completed before this one; the "blocks" side is found by querying this field
+  blockedBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  }],
+  recurrence: {
+    type: RecurrenceSchema,
+    default: null
+  },
+  // Shared by every occurrence of a recurring task (the first occurrence's ID)
+  seriesId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  previousOccurrence: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
+  nextOccurrence: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
+  // Users already notified about an @mention in the description
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Deleted tasks sit in the board's trash until restored or purged after TRASH_RETENTION_DAYS
+  deleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Trashed along with its column; restoring the column restores the task too
+  deletedWithColumn: {
+    type: Boolean,
+    default: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -71,8 +271,79 @@ const TaskSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Trashed tasks are left out of reads unless the query filters on `deleted` itself
+function hideTrashed() {
+  if (!Object.prototype.hasOwnProperty.call(this.getFilter(), 'deleted')) {
+    this.where({ deleted: { $ne: true } });
+  }
+}
+
+TaskSchema.pre(['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct'], hideTrashed);
+
+TaskSchema.pre('aggregate', function() {
+  const [first] = this.pipeline();
+  if (!(first && first.$match && Object.prototype.hasOwnProperty.call(first.$match, 'deleted'))) {
+    this.pipeline().unshift({ $match: { deleted: { $ne: true } } });
+  }
+});
+
+TaskSchema.pre('validate', function(next) {
+  if (this.isModified('assignees')) {
+    this.assignedTo = this.assignees.length ? this.assignees[0] : null;
+  }
+
+  // A task given a recurrence rule starts its own series in its current column
+  if (this.recurrence) {
+    if (!this.seriesId) this.seriesId = this._id;
+    if (!this.recurrence.column) this.recurrence.column = this.column;
+    // Pin monthly rules to the due date's day, so clamping in a short month
+    // does not move every later occurrence
+    if (this.recurrence.frequency === 'monthly' && !this.recurrence.monthDay && this.dueDate) {
+      this.recurrence.monthDay = new Date(this.dueDate).getUTCDate();
+    }
+  }
+  next();
+});
+
+/**
+ * IDs of everyone assigned to the task, including a legacy `assignedTo`
+ * on tasks saved before `assignees` existed
+ */
+TaskSchema.methods.getAssigneeIds = function() {
+  const ids = (this.assignees || []).map(user => (user._id || user).toString());
+  const legacy = this.assignedTo && (this.assignedTo._id || this.assignedTo).toString();
+
+  if (legacy && !ids.includes(legacy)) ids.unshift(legacy);
+  return ids;
+};
+
+/**
+ * Checklist progress across all of the task's checklists, e.g. { completed: 3, total: 7 }
+ */
+TaskSchema.methods.getChecklistProgress = function() {
+  const items = (this.checklists || []).reduce((all, checklist) => all.concat(checklist.items), []);
+  const completed = items.filter(item => item.completed).length;
+
+  return {
+    completed,
+    total: items.length,
+    percent: items.length ? Math.round((completed / items.length) * 100) : 0
+  };
+};
+
 TaskSchema.index({ board: 1 });
 TaskSchema.index({ column: 1, order: 1 });
 TaskSchema.index({ assignedTo: 1 });
+TaskSchema.index({ assignees: 1 });
+TaskSchema.index({ watchers: 1 });
+TaskSchema.index({ status: 1, dueDate: 1 });
+TaskSchema.index({ board: 1, completedAt: 1 });
+TaskSchema.index({ team: 1, completedAt: 1 });
+TaskSchema.index({ board: 1, sprint: 1 });
+TaskSchema.index({ board: 1, swimlane: 1 });
+TaskSchema.index({ labels: 1 });
+TaskSchema.index({ blockedBy: 1 });
+TaskSchema.index({ seriesId: 1 });
+TaskSchema.index({ board: 1, deleted: 1, deletedAt: -1 });
 
 module.exports = mongoose.model('Task', TaskSchema);
\ No newline at end of file
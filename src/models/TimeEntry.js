@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const TimeEntrySchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  board: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Board',
+    required: true
+  },
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    default: null
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['timer', 'manual'],
+    required: true
+  },
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  // Set when the entry is stopped or entered manually; running timers are measured up to now
+  durationSeconds: {
+    type: Number,
+    default: 0,
+    min: [0, 'Duration cannot be negative']
+  },
+  running: {
+    type: Boolean,
+    default: false
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot be more than 500 characters'],
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Seconds tracked so far, counting a running timer up to `now`
+ */
+TimeEntrySchema.methods.getElapsedSeconds = function(now = new Date()) {
+  if (!this.running) return this.durationSeconds;
+  return Math.max(0, Math.round((now.getTime() - this.startedAt.getTime()) / 1000));
+};
+
+// Each user can only have one running timer
+TimeEntrySchema.index({ user: 1 }, { unique: true, partialFilterExpression: { running: true } });
+TimeEntrySchema.index({ task: 1, startedAt: -1 });
+TimeEntrySchema.index({ board: 1, startedAt: -1 });
+TimeEntrySchema.index({ team: 1, startedAt: -1 });
+TimeEntrySchema.index({ user: 1, startedAt: -1 });
+
+module.exports = mongoose.model('TimeEntry', TimeEntrySchema);
@@ -7,4 +7,6 @@ router.get('/', authMiddleware.authenticateToken, activityController.getUserActi
 
 router.get('/feed', authMiddleware.authenticateToken, activityController.getUserActivityFeed);
 
+router.get('/task/:taskId', authMiddleware.authenticateToken, activityController.getTaskActivityFeed);
+
 module.exports = router;
\ No newline at end of file
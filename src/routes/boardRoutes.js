@@ -3,6 +3,15 @@ const router = express.Router();
 const authMiddleware = require('../middleware/authMiddleware');
 const boardController = require('../controllers/boardController');
 const taskController = require('../controllers/taskController');
+const labelController = require('../controllers/labelController');
+const dependencyController = require('../controllers/dependencyController');
+const reportController = require('../controllers/reportController');
+const customFieldController = require('../controllers/customFieldController');
+const sprintController = require('../controllers/sprintController');
+const swimlaneController = require('../controllers/swimlaneController');
+const boardTemplateController = require('../controllers/boardTemplateController');
+const trashController = require('../controllers/trashController');
+const shareLinkController = require('../controllers/shareLinkController');
 
 /**
  * @swagger
@@ -20,6 +29,12 @@ const taskController = require('../controllers/taskController');
  *     tags: [Boards]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeArchived
+ *         schema:
+ *           type: boolean
+ *         description: Also return archived boards
  *     responses:
  *       200:
  *         description: List of boards
@@ -32,6 +47,9 @@ router.get('/', authMiddleware.authenticateToken, boardController.getBoards);
  * /api/boards:
  *   post:
  *     summary: Create a new board
+ *     description: >
+ *       Starts with To Do, In Progress and Done columns, or with the columns, labels, custom
+ *       fields, swimlanes, settings and starter tasks of templateId.
  *     tags: [Boards]
  *     security:
  *       - bearerAuth: []
@@ -49,9 +67,14 @@ router.get('/', authMiddleware.authenticateToken, boardController.getBoards);
  *                 type: string
  *               teamId:
  *                 type: string
+ *               templateId:
+ *                 type: string
+ *                 description: Saved template ID or built-in key (scrum, bug-triage, simple-kanban)
  *     responses:
  *       201:
  *         description: Board created
+ *       404:
+ *         description: Template not found
  */
 router.post('/', authMiddleware.authenticateToken, boardController.createBoard);
 
@@ -64,9 +87,15 @@ router.post('/', authMiddleware.authenticateToken, boardController.createBoard);
  *     tags: [Boards]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeArchived
+ *         schema:
+ *           type: boolean
+ *         description: Also return archived boards
  *     responses:
  *       200:
- *         description: Complete board data
+ *         description: Complete board data; each board's swimlanes group its tasks by lane × column
  */
 router.get('/complete', authMiddleware.authenticateToken, boardController.getAllBoardsComplete);
 
@@ -84,6 +113,11 @@ router.get('/complete', authMiddleware.authenticateToken, boardController.getAll
  *         schema:
  *           type: string
  *         required: true
+ *       - in: query
+ *         name: includeArchived
+ *         schema:
+ *           type: boolean
+ *         description: Also return archived boards
  *     responses:
  *       200:
  *         description: List of boards
@@ -96,6 +130,7 @@ router.get('/team/:teamId', authMiddleware.authenticateToken, boardController.ge
  * /api/boards/{id}:
  *   get:
  *     summary: Get board by ID (with columns)
+ *     description: swimlanes holds the board's tasks grouped by lane × column, per the board's swimlane grouping.
  *     tags: [Boards]
  *     security:
  *       - bearerAuth: []
@@ -139,6 +174,31 @@ router.get('/:id', authMiddleware.authenticateToken, boardController.getBoardByI
  *                 type: string
  *               description:
  *                 type: string
+ *               estimation:
+ *                 type: object
+ *                 properties:
+ *                   scale:
+ *                     type: string
+ *                     enum: [fibonacci, linear, powers_of_two, custom]
+ *                   customScale:
+ *                     type: array
+ *                     items:
+ *                       type: number
+ *                   hoursEnabled:
+ *                     type: boolean
+ *               wipLimitMode:
+ *                 type: string
+ *                 enum: [reject, flag]
+ *                 description: Whether tasks that would exceed a column's WIP limit are rejected or allowed and flagged
+ *               swimlanes:
+ *                 type: object
+ *                 properties:
+ *                   groupBy:
+ *                     type: string
+ *                     enum: [none, custom, assignee, priority, customField]
+ *                   customField:
+ *                     type: string
+ *                     description: Select or user custom field the lanes come from when groupBy is customField
  *     responses:
  *       200:
  *         description: Updated board
@@ -150,7 +210,11 @@ router.patch('/:id', authMiddleware.authenticateToken, boardController.updateBoa
  * @swagger
  * /api/boards/{id}:
  *   delete:
- *     summary: Delete a board and its columns
+ *     summary: Delete a board
+ *     description: >
+ *       Archives the board, the same as PATCH /api/boards/{id}/archive; it is purged after
+ *       BOARD_ARCHIVE_PURGE_DAYS unless restored. With permanent=true the board owner deletes an
+ *       archived board right away, with its columns, tasks and activity.
  *     tags: [Boards]
  *     security:
  *       - bearerAuth: []
@@ -160,12 +224,92 @@ router.patch('/:id', authMiddleware.authenticateToken, boardController.updateBoa
  *         schema:
  *           type: string
  *         required: true
+ *       - in: query
+ *         name: permanent
+ *         schema:
+ *           type: boolean
+ *         description: Delete the archived board now instead of archiving it
  *     responses:
  *       200:
- *         description: Board deleted
+ *         description: Board archived, or deleted with permanent=true
+ *       409:
+ *         description: permanent=true was passed for a board that is not archived
  */
 router.delete('/:id', authMiddleware.authenticateToken, boardController.deleteBoard);
 
+/**
+ * @swagger
+ * /api/boards/{id}/archive:
+ *   patch:
+ *     summary: Archive a board
+ *     description: >
+ *       Archived boards are left out of board lists unless includeArchived=true but stay
+ *       readable by ID. They are read-only: other changes to the board, its columns and tasks get
+ *       a 409 until it is restored. They are permanently deleted BOARD_ARCHIVE_PURGE_DAYS after archiving.
+ *     tags: [Boards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Board archived; purgeAt is when it will be deleted (null if never)
+ *       400:
+ *         description: Board is already archived
+ *       403:
+ *         description: Only board admins can archive a board
+ */
+router.patch('/:id/archive', authMiddleware.authenticateToken, boardController.archiveBoard);
+
+/**
+ * @swagger
+ * /api/boards/{id}/unarchive:
+ *   patch:
+ *     summary: Restore an archived board
+ *     tags: [Boards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Board restored
+ *       400:
+ *         description: Board is not archived
+ *       403:
+ *         description: Only board admins can restore a board
+ */
+router.patch('/:id/unarchive', authMiddleware.authenticateToken, boardController.unarchiveBoard);
+
+// List board members
+/**
+ * @swagger
+ * /api/boards/{id}/members:
+ *   get:
+ *     summary: List board members with their effective roles
+ *     tags: [Boards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Members with board, team and effective roles
+ */
+router.get('/:id/members', authMiddleware.authenticateToken, boardController.getBoardMembers);
+
 // Add a member to a board
 /**
  * @swagger
@@ -287,6 +431,15 @@ router.patch('/:id/members/:userId/role', authMiddleware.authenticateToken, boar
  *             properties:
  *               name:
  *                 type: string
+ *               wipLimit:
+ *                 type: integer
+ *                 minimum: 1
+ *                 nullable: true
+ *               statusCategory:
+ *                 type: string
+ *                 enum: [todo, in_progress, done]
+ *                 nullable: true
+ *                 description: Status tasks take on when moved into the column
  *     responses:
  *       201:
  *         description: Column created
@@ -313,6 +466,28 @@ router.post('/:id/columns', authMiddleware.authenticateToken, boardController.cr
  *         schema:
  *           type: string
  *         required: true
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               wipLimit:
+ *                 type: integer
+ *                 minimum: 1
+ *                 nullable: true
+ *                 description: Maximum tasks in the column; null removes the limit
+ *               statusCategory:
+ *                 type: string
+ *                 enum: [todo, in_progress, done]
+ *                 nullable: true
+ *                 description: >
+ *                   Status tasks take on when moved into the column. Moving a task into a
+ *                   "done" column completes it, and completed tasks move to the board's first
+ *                   "done" column. null removes the mapping.
  *     responses:
  *       200:
  *         description: Column updated
@@ -324,7 +499,7 @@ router.patch('/:boardId/columns/:columnId', authMiddleware.authenticateToken, bo
  * @swagger
  * /api/boards/{boardId}/columns/{columnId}:
  *   delete:
- *     summary: Delete a column from a board
+ *     summary: Move an empty column to the board's trash
  *     tags: [Boards]
  *     security:
  *       - bearerAuth: []
@@ -341,7 +516,9 @@ router.patch('/:boardId/columns/:columnId', authMiddleware.authenticateToken, bo
  *         required: true
  *     responses:
  *       200:
- *         description: Column deleted
+ *         description: Column moved to trash
+ *       400:
+ *         description: Column still has tasks
  */
 router.delete('/:boardId/columns/:columnId', authMiddleware.authenticateToken, boardController.deleteColumn);
 
@@ -380,6 +557,17 @@ router.delete('/:boardId/columns/:columnId', authMiddleware.authenticateToken, b
  *               priority:
  *                 type: string
  *                 enum: [low, medium, high, critical]
+ *               storyPoints:
+ *                 type: number
+ *                 description: Must be a value on the board's point scale
+ *               estimatedHours:
+ *                 type: number
+ *               customFields:
+ *                 type: object
+ *                 description: Values keyed by custom field ID
+ *               swimlane:
+ *                 type: string
+ *                 description: Custom swimlane to put the task in
  *     responses:
  *       201:
  *         description: Task created
@@ -425,4 +613,890 @@ router.post('/:boardId/columns/:columnId/tasks',
  */
 router.post('/:id/share', authMiddleware.authenticateToken, boardController.shareBoard);
 
-module.exports = router;
\ No newline at end of file
+/**
+ * @swagger
+ * /api/boards/{id}/share-links:
+ *   post:
+ *     summary: Create a public read-only share link
+ *     description: >
+ *       Anyone with the link can view the board's columns, tasks and labels through
+ *       GET /api/public/boards/{token} without an account. The token is only returned here.
+ *     tags: [Boards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               label:
+ *                 type: string
+ *               expiresInDays:
+ *                 type: number
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Used when expiresInDays is not given; without either the link never expires
+ *     responses:
+ *       201:
+ *         description: Share link created, with its token and url
+ *       403:
+ *         description: Only board admins can create share links
+ */
+router.post('/:id/share-links', authMiddleware.authenticateToken, shareLinkController.createShareLink);
+
+/**
+ * @swagger
+ * /api/boards/{id}/share-links:
+ *   get:
+ *     summary: List the board's active share links with their access counts
+ *     tags: [Boards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Links that are neither revoked nor expired
+ */
+router.get('/:id/share-links', authMiddleware.authenticateToken, shareLinkController.getShareLinks);
+
+/**
+ * @swagger
+ * /api/boards/{id}/share-links/{linkId}:
+ *   delete:
+ *     summary: Revoke a share link
+ *     tags: [Boards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: linkId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Share link revoked
+ *       404:
+ *         description: Share link not found
+ */
+router.delete('/:id/share-links/:linkId', authMiddleware.authenticateToken, shareLinkController.revokeShareLink);
+
+// Board labels
+/**
+ * @swagger
+ * /api/boards/{id}/labels:
+ *   get:
+ *     summary: List a board's labels with task counts
+ *     tags: [Boards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Labels
+ */
+router.get('/:id/labels', authMiddleware.authenticateToken, labelController.getBoardLabels);
+
+/**
+ * @swagger
+ * /api/boards/{id}/labels:
+ *   post:
+ *     summary: Create a label on a board
+ *     tags: [Boards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               color:
+ *                 type: string
+ *                 example: '#2e5bff'
+ *     responses:
+ *       201:
+ *         description: Label created
+ */
+router.post('/:id/labels', authMiddleware.authenticateToken, labelController.createLabel);
+
+/**
+ * @swagger
+ * /api/boards/{id}/labels/{labelId}:
+ *   patch:
+ *     summary: Rename or recolor a label
+ *     tags: [Boards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: labelId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               color:
+ *                 type: string
+ *                 example: '#2e5bff'
+ *     responses:
+ *       200:
+ *         description: Label updated
+ */
+router.patch('/:id/labels/:labelId', authMiddleware.authenticateToken, labelController.updateLabel);
+
+/**
+ * @swagger
+ * /api/boards/{id}/labels/{labelId}:
+ *   delete:
+ *     summary: Delete a label and remove it from all tasks
+ *     tags: [Boards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: labelId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Label deleted
+ */
+router.delete('/:id/labels/:labelId', authMiddleware.authenticateToken, labelController.deleteLabel);
+
+/**
+ * @swagger
+ * /api/boards/{id}/dependencies:
+ *   get:
+ *     summary: Get the board's task dependency graph
+ *     description: Edges point from the blocking task to the blocked task. Linked tasks on other boards are included as external nodes.
+ *     tags: [Boards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Graph nodes and edges
+ */
+router.get('/:id/dependencies', authMiddleware.authenticateToken, dependencyController.getBoardDependencies);
+
+/**
+ * @swagger
+ * /api/boards/{id}/custom-fields:
+ *   get:
+ *     summary: List the custom fields defined on a board
+ *     tags: [Boards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Custom field definitions in display order
+ */
+router.get('/:id/custom-fields', authMiddleware.authenticateToken, customFieldController.getBoardCustomFields);
+
+/**
+ * @swagger
+ * /api/boards/{id}/custom-fields:
+ *   post:
+ *     summary: Define a custom field on a board
+ *     description: Board admins only. Task values are validated against the field's type on create and update.
+ *     tags: [Boards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, type]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [text, number, date, select, user]
+ *               options:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Required for select fields
+ *               required:
+ *                 type: boolean
+ *               position:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Custom field created
+ */
+router.post('/:id/custom-fields', authMiddleware.authenticateToken, customFieldController.createCustomField);
+
+/**
+ * @swagger
+ * /api/boards/{id}/custom-fields/{fieldId}:
+ *   patch:
+ *     summary: Edit a custom field
+ *     description: The type can only change while no task has a value for the field. Removing a select option clears it from tasks.
+ *     tags: [Boards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: fieldId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [text, number, date, select, user]
+ *               options:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               required:
+ *                 type: boolean
+ *               position:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Custom field updated
+ *       409:
+ *         description: Type change blocked by existing values
+ */
+router.patch('/:id/custom-fields/:fieldId', authMiddleware.authenticateToken, customFieldController.updateCustomField);
+
+/**
+ * @swagger
+ * /api/boards/{id}/custom-fields/{fieldId}:
+ *   delete:
+ *     summary: Delete a custom field and its values on every task
+ *     tags: [Boards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: fieldId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Custom field deleted
+ */
+router.delete('/:id/custom-fields/:fieldId', authMiddleware.authenticateToken, customFieldController.deleteCustomField);
+
+/**
+ * @swagger
+ * /api/boards/{id}/duplicate:
+ *   post:
+ *     summary: Deep-copy a board with its columns and, optionally, its tasks
+ *     description: >
+ *       Copies columns in position order, labels, custom fields, swimlanes and settings. The copy
+ *       can go to the board's team or another team the user owns or admins; board members are
+ *       kept only within the same team. Comments, attachments, time entries and sprints are not copied.
+ *     tags: [Boards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 description: Defaults to "Copy of <title>"
+ *               teamId:
+ *                 type: string
+ *                 description: Target team; defaults to the board's team
+ *               includeTasks:
+ *                 type: boolean
+ *                 default: true
+ *               keepAssignees:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Keep assignees who can access the copy
+ *               keepDueDates:
+ *                 type: boolean
+ *                 default: true
+ *               keepCompletion:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Keep done tasks done and checklist items checked
+ *     responses:
+ *       201:
+ *         description: Board copy with its columns
+ *       403:
+ *         description: Target team is not one the user admins
+ */
+router.post('/:id/duplicate', authMiddleware.authenticateToken, boardController.duplicateBoard);
+
+/**
+ * @swagger
+ * /api/boards/{id}/templates:
+ *   post:
+ *     summary: Save a board as a personal or team template
+ *     description: >
+ *       Captures columns, labels, custom fields, swimlanes and board settings, plus open tasks
+ *       as starter tasks unless includeTasks is false. Team templates need a team owner or admin.
+ *     tags: [Board Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               scope:
+ *                 type: string
+ *                 enum: [personal, team]
+ *                 default: personal
+ *               teamId:
+ *                 type: string
+ *                 description: Team for team templates; defaults to the board's team
+ *               includeTasks:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Template created
+ */
+router.post('/:id/templates', authMiddleware.authenticateToken, boardTemplateController.saveBoardAsTemplate);
+
+/**
+ * @swagger
+ * /api/boards/{id}/swimlanes:
+ *   get:
+ *     summary: List a board's custom swimlanes with task counts
+ *     tags: [Boards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Custom swimlanes in display order
+ */
+router.get('/:id/swimlanes', authMiddleware.authenticateToken, swimlaneController.getBoardSwimlanes);
+
+/**
+ * @swagger
+ * /api/boards/{id}/swimlanes:
+ *   post:
+ *     summary: Add a custom swimlane to a board
+ *     description: Custom lanes are shown when the board's swimlanes are grouped by custom.
+ *     tags: [Boards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               color:
+ *                 type: string
+ *               position:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Swimlane created
+ */
+router.post('/:id/swimlanes', authMiddleware.authenticateToken, swimlaneController.createSwimlane);
+
+/**
+ * @swagger
+ * /api/boards/{id}/swimlanes/{laneId}:
+ *   patch:
+ *     summary: Rename, recolor or reorder a custom swimlane
+ *     tags: [Boards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: laneId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               color:
+ *                 type: string
+ *               position:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Swimlane updated
+ */
+router.patch('/:id/swimlanes/:laneId', authMiddleware.authenticateToken, swimlaneController.updateSwimlane);
+
+/**
+ * @swagger
+ * /api/boards/{id}/swimlanes/{laneId}:
+ *   delete:
+ *     summary: Delete a custom swimlane
+ *     description: Tasks in the lane move to the "No lane" row.
+ *     tags: [Boards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: laneId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Swimlane deleted
+ */
+router.delete('/:id/swimlanes/:laneId', authMiddleware.authenticateToken, swimlaneController.deleteSwimlane);
+
+/**
+ * @swagger
+ * /api/boards/{id}/trash:
+ *   get:
+ *     summary: List the board's deleted columns and tasks
+ *     description: Trashed items are purged TRASH_RETENTION_DAYS after deletion; expiresAt says when.
+ *     tags: [Boards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Trashed columns (with their trashed task counts) and tasks, most recently deleted first
+ */
+router.get('/:id/trash', authMiddleware.authenticateToken, trashController.getBoardTrash);
+
+/**
+ * @swagger
+ * /api/boards/{id}/trash/tasks/{taskId}/restore:
+ *   post:
+ *     summary: Restore a deleted task
+ *     description: >
+ *       A trashed column the task was in is restored with it. If that column has been
+ *       purged, the task goes to the board's first column.
+ *     tags: [Boards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: taskId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Task restored; restoredColumn is set when its column came back too
+ *       404:
+ *         description: Task not found in trash
+ *       409:
+ *         description: The board has no column to restore the task into
+ */
+router.post('/:id/trash/tasks/:taskId/restore', authMiddleware.authenticateToken, trashController.restoreTrashedTask);
+
+/**
+ * @swagger
+ * /api/boards/{id}/trash/columns/{columnId}/restore:
+ *   post:
+ *     summary: Restore a deleted column with the tasks deleted along with it
+ *     tags: [Boards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: columnId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Column restored; restoredTasks is the number of tasks that came back with it
+ *       404:
+ *         description: Column not found in trash
+ */
+router.post('/:id/trash/columns/:columnId/restore', authMiddleware.authenticateToken, trashController.restoreTrashedColumn);
+
+/**
+ * @swagger
+ * /api/boards/{id}/sprints:
+ *   get:
+ *     summary: List a board's sprints with task counts and points
+ *     tags: [Sprints]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [planned, active, completed]
+ *     responses:
+ *       200:
+ *         description: Sprints
+ */
+router.get('/:id/sprints', authMiddleware.authenticateToken, sprintController.getBoardSprints);
+
+/**
+ * @swagger
+ * /api/boards/{id}/sprints:
+ *   post:
+ *     summary: Plan a new sprint on a board
+ *     tags: [Sprints]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               goal:
+ *                 type: string
+ *               startDate:
+ *                 type: string
+ *                 format: date-time
+ *               endDate:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Sprint created
+ */
+router.post('/:id/sprints', authMiddleware.authenticateToken, sprintController.createSprint);
+
+/**
+ * @swagger
+ * /api/boards/{id}/backlog:
+ *   get:
+ *     summary: Open tasks on a board that are not in any sprint
+ *     tags: [Sprints]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Backlog tasks
+ */
+router.get('/:id/backlog', authMiddleware.authenticateToken, sprintController.getBoardBacklog);
+
+// Velocity report for a board
+/**
+ * @swagger
+ * /api/boards/{id}/reports/velocity:
+ *   get:
+ *     summary: Weekly throughput and velocity for a board
+ *     description: Completed tasks are bucketed into weeks (Monday, UTC) by completedAt. Throughput counts tasks, velocity sums story points. Averages leave out the current partial week.
+ *     tags: [Boards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: query
+ *         name: weeks
+ *         schema:
+ *           type: integer
+ *           default: 8
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Weekly buckets, totals and averages
+ *       400:
+ *         description: Invalid date range
+ */
+router.get('/:id/reports/velocity', authMiddleware.authenticateToken, reportController.getBoardVelocity);
+
+/**
+ * @swagger
+ * /api/boards/{id}/reports/burndown:
+ *   get:
+ *     summary: Daily remaining tasks and story points on a board
+ *     description: Completion history comes from completed/reopened task activity, falling back to completedAt. Days are UTC.
+ *     tags: [Boards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: One entry per day with remaining and completed tasks and points
+ */
+router.get('/:id/reports/burndown', authMiddleware.authenticateToken, reportController.getBoardBurndown);
+
+/**
+ * @swagger
+ * /api/boards/{id}/reports/cumulative-flow:
+ *   get:
+ *     summary: Daily task count per column on a board
+ *     description: Column history is replayed from moved_task activity (fromColumn/toColumn). Days are UTC.
+ *     tags: [Boards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Columns in board order and one entry per day with counts keyed by column ID
+ */
+router.get('/:id/reports/cumulative-flow', authMiddleware.authenticateToken, reportController.getBoardCumulativeFlow);
+
+/**
+ * @swagger
+ * /api/boards/{id}/reports/cycle-time:
+ *   get:
+ *     summary: Lead time and cycle time percentiles for tasks completed on a board
+ *     description: Lead time runs from creation to done, cycle time from the first move out of the task's first column to done, both replayed from task activity. Reports p50, p85 and p95 in hours overall, per assignee and per label, and ranks columns by average dwell time.
+ *     tags: [Boards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Percentiles and column dwell times
+ */
+router.get('/:id/reports/cycle-time', authMiddleware.authenticateToken, reportController.getBoardCycleTime);
+
+module.exports = router;
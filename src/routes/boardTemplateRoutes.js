@@ -0,0 +1,112 @@
+const express = require('express');
+const router = express.Router();
+const boardTemplateController = require('../controllers/boardTemplateController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Board Templates
+ *   description: Reusable board layouts; boards are created from them with POST /api/boards and templateId
+ */
+
+/**
+ * @swagger
+ * /api/board-templates:
+ *   get:
+ *     summary: List built-in, personal and team templates the user can use
+ *     tags: [Board Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: teamId
+ *         schema:
+ *           type: string
+ *         description: Only list this team's team templates
+ *     responses:
+ *       200:
+ *         description: Template summaries; built-in templates have a key as their _id
+ */
+router.get('/', authMiddleware.authenticateToken, boardTemplateController.getBoardTemplates);
+
+/**
+ * @swagger
+ * /api/board-templates/{id}:
+ *   get:
+ *     summary: Get a template with its columns, labels, custom fields, swimlanes, settings and starter tasks
+ *     tags: [Board Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Template ID, or a built-in key such as scrum, bug-triage or simple-kanban
+ *     responses:
+ *       200:
+ *         description: Template details
+ *       404:
+ *         description: Template not found
+ */
+router.get('/:id', authMiddleware.authenticateToken, boardTemplateController.getBoardTemplate);
+
+/**
+ * @swagger
+ * /api/board-templates/{id}:
+ *   patch:
+ *     summary: Rename a saved template or change its description
+ *     description: Personal templates can be changed by their creator, team templates also by team owners and admins.
+ *     tags: [Board Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Template updated
+ *       403:
+ *         description: Built-in template, or not allowed to change it
+ */
+router.patch('/:id', authMiddleware.authenticateToken, boardTemplateController.updateBoardTemplate);
+
+/**
+ * @swagger
+ * /api/board-templates/{id}:
+ *   delete:
+ *     summary: Delete a saved template
+ *     tags: [Board Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Template deleted
+ *       403:
+ *         description: Built-in template, or not allowed to delete it
+ */
+router.delete('/:id', authMiddleware.authenticateToken, boardTemplateController.deleteBoardTemplate);
+
+module.exports = router;
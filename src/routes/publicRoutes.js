@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const shareLinkController = require('../controllers/shareLinkController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Public
+ *   description: Endpoints that need no account
+ */
+
+/**
+ * @swagger
+ * /api/public/boards/{token}:
+ *   get:
+ *     summary: View a shared board through its share link token
+ *     description: Read-only snapshot of the board's columns, tasks and labels. Each visit is counted on the link.
+ *     tags: [Public]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Board snapshot
+ *       404:
+ *         description: Unknown, revoked or expired link
+ */
+router.get('/boards/:token', shareLinkController.getSharedBoard);
+
+module.exports = router;
@@ -0,0 +1,287 @@
+const express = require('express');
+const router = express.Router();
+const sprintController = require('../controllers/sprintController');
+const reportController = require('../controllers/reportController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Sprints
+ *   description: Time-boxed iterations on a board
+ */
+
+/**
+ * @swagger
+ * /api/sprints/{id}:
+ *   get:
+ *     summary: Get a sprint with its tasks and progress
+ *     tags: [Sprints]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Sprint, its tasks and progress counts
+ */
+router.get('/:id', authMiddleware.authenticateToken, sprintController.getSprint);
+
+/**
+ * @swagger
+ * /api/sprints/{id}:
+ *   patch:
+ *     summary: Edit a sprint's name, goal or dates
+ *     tags: [Sprints]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               goal:
+ *                 type: string
+ *               startDate:
+ *                 type: string
+ *                 format: date-time
+ *               endDate:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: Sprint updated
+ *       409:
+ *         description: Sprint is completed
+ */
+router.patch('/:id', authMiddleware.authenticateToken, sprintController.updateSprint);
+
+/**
+ * @swagger
+ * /api/sprints/{id}:
+ *   delete:
+ *     summary: Delete a sprint that is not running; its tasks return to the backlog
+ *     tags: [Sprints]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Sprint deleted
+ *       409:
+ *         description: Sprint is active
+ */
+router.delete('/:id', authMiddleware.authenticateToken, sprintController.deleteSprint);
+
+/**
+ * @swagger
+ * /api/sprints/{id}/start:
+ *   post:
+ *     summary: Start a planned sprint
+ *     description: Snapshots the sprint's tasks and points as its committed scope. Only one sprint can run on a board at a time.
+ *     tags: [Sprints]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               endDate:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: Sprint started
+ *       409:
+ *         description: Sprint is not planned, or another sprint is running
+ */
+router.post('/:id/start', authMiddleware.authenticateToken, sprintController.startSprint);
+
+/**
+ * @swagger
+ * /api/sprints/{id}/complete:
+ *   post:
+ *     summary: Complete the active sprint
+ *     description: Reports completed vs. carried-over tasks. Unfinished tasks move to carryOverTo, or by default to the board's next planned sprint, or the backlog when there is none.
+ *     tags: [Sprints]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               carryOverTo:
+ *                 type: string
+ *                 description: A planned sprint ID, or "backlog"
+ *     responses:
+ *       200:
+ *         description: Sprint completed with a summary
+ *       409:
+ *         description: Sprint is not active
+ */
+router.post('/:id/complete', authMiddleware.authenticateToken, sprintController.completeSprint);
+
+/**
+ * @swagger
+ * /api/sprints/{id}/tasks:
+ *   post:
+ *     summary: Plan tasks into a sprint
+ *     tags: [Sprints]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [taskIds]
+ *             properties:
+ *               taskIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Tasks added
+ */
+router.post('/:id/tasks', authMiddleware.authenticateToken, sprintController.addSprintTasks);
+
+/**
+ * @swagger
+ * /api/sprints/{id}/tasks/{taskId}:
+ *   delete:
+ *     summary: Move a task from a sprint back to the backlog
+ *     tags: [Sprints]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: taskId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Task moved to backlog
+ */
+router.delete('/:id/tasks/:taskId', authMiddleware.authenticateToken, sprintController.removeSprintTask);
+
+/**
+ * @swagger
+ * /api/sprints/{id}/reports/burndown:
+ *   get:
+ *     summary: Daily remaining tasks and story points in a sprint
+ *     description: Defaults to the sprint's start and end dates. Includes an ideal line from the scope committed at start; days still to come have null values.
+ *     tags: [Sprints]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: One entry per day with remaining, completed and ideal values
+ */
+router.get('/:id/reports/burndown', authMiddleware.authenticateToken, reportController.getSprintBurndown);
+
+/**
+ * @swagger
+ * /api/sprints/{id}/reports/cumulative-flow:
+ *   get:
+ *     summary: Daily task count per column for a sprint's tasks
+ *     tags: [Sprints]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Columns in board order and one entry per day with counts keyed by column ID
+ */
+router.get('/:id/reports/cumulative-flow', authMiddleware.authenticateToken, reportController.getSprintCumulativeFlow);
+
+module.exports = router;
@@ -1,7 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const taskController = require('../controllers/taskController');
+const commentController = require('../controllers/commentController');
+const checklistController = require('../controllers/checklistController');
+const labelController = require('../controllers/labelController');
+const attachmentController = require('../controllers/attachmentController');
+const dependencyController = require('../controllers/dependencyController');
+const watcherController = require('../controllers/watcherController');
+const recurrenceController = require('../controllers/recurrenceController');
+const timeTrackingController = require('../controllers/timeTrackingController');
 const authMiddleware = require('../middleware/authMiddleware');
+const { uploadAttachment } = require('../middleware/uploadMiddleware');
 
 /**
  * @swagger
@@ -18,6 +27,24 @@ const authMiddleware = require('../middleware/authMiddleware');
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: labels
+ *         schema:
+ *           type: string
+ *         description: Comma-separated label IDs; returns tasks with any of them
+ *       - in: query
+ *         name: customFields
+ *         style: deepObject
+ *         explode: true
+ *         schema:
+ *           type: object
+ *         description: "Custom field filters: customFields[fieldId]=value (comma-separated values match any, text matches a substring), or customFields[fieldId][gte|gt|lte|lt]=value for number and date fields"
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *         description: customFields.<fieldId> to sort ascending, -customFields.<fieldId> for descending
  *     responses:
  *       200:
  *         description: List of tasks
@@ -38,6 +65,23 @@ router.get('/all', authMiddleware.authenticateToken, taskController.getAllTasks)
  *         schema:
  *           type: string
  *         required: true
+ *       - in: query
+ *         name: labels
+ *         schema:
+ *           type: string
+ *         description: Comma-separated label IDs; returns tasks with any of them
+ *       - in: query
+ *         name: customFields
+ *         style: deepObject
+ *         explode: true
+ *         schema:
+ *           type: object
+ *         description: "Custom field filters: customFields[fieldId]=value (comma-separated values match any, text matches a substring), or customFields[fieldId][gte|gt|lte|lt]=value for number and date fields"
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *         description: customFields.<fieldId> to sort ascending, -customFields.<fieldId> for descending
  *     responses:
  *       200:
  *         description: List of tasks
@@ -48,7 +92,7 @@ router.get('/column/:columnId', authMiddleware.authenticateToken, taskController
  * @swagger
  * /api/tasks/user/{userId}:
  *   get:
- *     summary: Get tasks assigned to a user
+ *     summary: Get tasks a user is assigned to or watching
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
@@ -58,6 +102,29 @@ router.get('/column/:columnId', authMiddleware.authenticateToken, taskController
  *         schema:
  *           type: string
  *         required: true
+ *       - in: query
+ *         name: relation
+ *         schema:
+ *           type: string
+ *           enum: [assigned, watching]
+ *         description: Only return assigned or only watched tasks (both by default)
+ *       - in: query
+ *         name: labels
+ *         schema:
+ *           type: string
+ *         description: Comma-separated label IDs; returns tasks with any of them
+ *       - in: query
+ *         name: customFields
+ *         style: deepObject
+ *         explode: true
+ *         schema:
+ *           type: object
+ *         description: "Custom field filters: customFields[fieldId]=value (comma-separated values match any, text matches a substring), or customFields[fieldId][gte|gt|lte|lt]=value for number and date fields"
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *         description: customFields.<fieldId> to sort ascending, -customFields.<fieldId> for descending
  *     responses:
  *       200:
  *         description: List of tasks
@@ -89,6 +156,20 @@ router.get('/user/:userId', authMiddleware.authenticateToken, taskController.get
  *               priority:
  *                 type: string
  *                 enum: [low, medium, high, critical]
+ *               storyPoints:
+ *                 type: number
+ *                 description: Must be a value on the board's point scale
+ *               estimatedHours:
+ *                 type: number
+ *               customFields:
+ *                 type: object
+ *                 description: Values keyed by custom field ID
+ *               swimlane:
+ *                 type: string
+ *                 description: Custom swimlane to put the task in
+ *               recurrence:
+ *                 type: object
+ *                 description: Repeat schedule, see PUT /api/tasks/{id}/recurrence
  *     responses:
  *       201:
  *         description: Task created
@@ -122,6 +203,10 @@ router.get('/:id', authMiddleware.authenticateToken, taskController.getTaskById)
  * /api/tasks/{id}:
  *   patch:
  *     summary: Update a task
+ *     description: >
+ *       Setting status to done completes the task the same way PATCH /api/tasks/{id}/complete does,
+ *       moving it to the board's done column. Setting a done task to another status reopens it and
+ *       moves it out of the done column.
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
@@ -131,9 +216,29 @@ router.get('/:id', authMiddleware.authenticateToken, taskController.getTaskById)
  *         schema:
  *           type: string
  *         required: true
+ *       - in: query
+ *         name: force
+ *         schema:
+ *           type: boolean
+ *         description: Complete the task even if its blockers are still open (also accepted in the body)
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 description: todo, in_progress or done; common spellings such as in-progress or completed are accepted
  *     responses:
  *       200:
- *         description: Updated task
+ *         description: Updated task; wipLimitExceeded flags an over-limit column the task moved into
+ *       400:
+ *         description: Unknown status or invalid field values
+ *       409:
+ *         description: >
+ *           Completing the task while its blockers are open, or moving it into a column at its WIP
+ *           limit on a board that rejects over-limit moves
  */
 router.patch('/:id', authMiddleware.authenticateToken, taskController.updateTask);
 
@@ -151,9 +256,37 @@ router.patch('/:id', authMiddleware.authenticateToken, taskController.updateTask
  *         schema:
  *           type: string
  *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               destinationColumnId:
+ *                 type: string
+ *               destinationLaneId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: >
+ *                   Lane ID from the board's swimlanes (a swimlane, user, priority or option);
+ *                   null is the catch-all lane. Moving changes what the lane stands for, e.g.
+ *                   the task's lead assignee or priority.
+ *               order:
+ *                 type: number
+ *               force:
+ *                 type: boolean
+ *                 description: Move into a "done" column (completing the task) even if its blockers are still open
  *     responses:
  *       200:
- *         description: Task moved
+ *         description: >
+ *           Task moved; openBlockers lists blockers that are not done yet, wipLimitExceeded flags an
+ *           over-limit column. Moving into a column with a status category updates the task's status
+ *           (completing or reopening it as needed), reported in statusChange.
+ *       409:
+ *         description: >
+ *           Destination column is at its WIP limit and the board rejects over-limit moves, or it is
+ *           a "done" column and the task has open blockers (openBlockers lists them)
  */
 router.patch('/:id/move', authMiddleware.authenticateToken, taskController.moveTask);
 
@@ -162,6 +295,7 @@ router.patch('/:id/move', authMiddleware.authenticateToken, taskController.moveT
  * /api/tasks/{id}/complete:
  *   patch:
  *     summary: Mark a task as completed
+ *     description: Also moves the task to the board's first column mapped to "done", if any.
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
@@ -171,9 +305,18 @@ router.patch('/:id/move', authMiddleware.authenticateToken, taskController.moveT
  *         schema:
  *           type: string
  *         required: true
+ *       - in: query
+ *         name: force
+ *         schema:
+ *           type: boolean
+ *         description: Complete the task even if its blockers are still open (also accepted in the body)
  *     responses:
  *       200:
- *         description: Task completed
+ *         description: Task completed; wipLimitExceeded flags an over-limit done column
+ *       409:
+ *         description: >
+ *           Task has open blockers, or the done column is at its WIP limit and the board rejects
+ *           over-limit moves
  */
 router.patch('/:id/complete', authMiddleware.authenticateToken, taskController.completeTask);
 
@@ -182,6 +325,9 @@ router.patch('/:id/complete', authMiddleware.authenticateToken, taskController.c
  * /api/tasks/{id}/reopen:
  *   patch:
  *     summary: Reopen a completed task
+ *     description: >
+ *       A task in a "done" column moves to moveToColumn when given, otherwise back to the column
+ *       it was completed from (or the board's first "todo" column).
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
@@ -193,7 +339,9 @@ router.patch('/:id/complete', authMiddleware.authenticateToken, taskController.c
  *         required: true
  *     responses:
  *       200:
- *         description: Task reopened
+ *         description: Task reopened; wipLimitExceeded flags an over-limit target column
+ *       409:
+ *         description: Target column is at its WIP limit and the board rejects over-limit moves
  */
 router.patch('/:id/reopen', authMiddleware.authenticateToken, taskController.reopenTask);
 
@@ -201,7 +349,7 @@ router.patch('/:id/reopen', authMiddleware.authenticateToken, taskController.reo
  * @swagger
  * /api/tasks/{id}/assign:
  *   patch:
- *     summary: Assign a task to a user
+ *     summary: Add a user to a task's assignees
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
@@ -221,7 +369,7 @@ router.patch('/:id/assign', authMiddleware.authenticateToken, taskController.ass
  * @swagger
  * /api/tasks/{id}/unassign:
  *   patch:
- *     summary: Unassign a task
+ *     summary: Remove one assignee (userId in the body) or all assignees
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
@@ -241,7 +389,10 @@ router.patch('/:id/unassign', authMiddleware.authenticateToken, taskController.u
  * @swagger
  * /api/tasks/{id}:
  *   delete:
- *     summary: Delete a task
+ *     summary: Move a task to its board's trash
+ *     description: >
+ *       The task can be restored from GET /api/boards/{id}/trash until it is purged
+ *       TRASH_RETENTION_DAYS after deletion.
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
@@ -253,9 +404,968 @@ router.patch('/:id/unassign', authMiddleware.authenticateToken, taskController.u
  *         required: true
  *     responses:
  *       200:
- *         description: Task deleted
+ *         description: Task moved to trash; expiresAt is when it will be purged (null if never)
  */
 router.delete('/:id', authMiddleware.authenticateToken, taskController.deleteTask);
 
+/**
+ * @swagger
+ * /api/tasks/{id}/comments:
+ *   get:
+ *     summary: Get threaded comments on a task
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Top-level comments with nested replies
+ */
+router.get('/:id/comments', authMiddleware.authenticateToken, commentController.getTaskComments);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/comments:
+ *   post:
+ *     summary: Comment on a task or reply to a comment
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [content]
+ *             properties:
+ *               content:
+ *                 type: string
+ *               parentId:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Comment created
+ */
+router.post('/:id/comments', authMiddleware.authenticateToken, commentController.addComment);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/comments/{commentId}:
+ *   patch:
+ *     summary: Edit a comment (author only)
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: commentId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [content]
+ *             properties:
+ *               content:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Comment updated, previous content added to edit history
+ */
+router.patch('/:id/comments/:commentId', authMiddleware.authenticateToken, commentController.updateComment);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/comments/{commentId}:
+ *   delete:
+ *     summary: Soft delete a comment (author only)
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: commentId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Comment deleted
+ */
+router.delete('/:id/comments/:commentId', authMiddleware.authenticateToken, commentController.deleteComment);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/checklists:
+ *   post:
+ *     summary: Add a checklist to a task
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [title]
+ *             properties:
+ *               title:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Checklists with progress
+ */
+router.post('/:id/checklists', authMiddleware.authenticateToken, checklistController.addChecklist);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/checklists/{checklistId}:
+ *   patch:
+ *     summary: Rename or reorder a checklist
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: checklistId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               position:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Checklists with progress
+ */
+router.patch('/:id/checklists/:checklistId', authMiddleware.authenticateToken, checklistController.updateChecklist);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/checklists/{checklistId}:
+ *   delete:
+ *     summary: Delete a checklist
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: checklistId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Checklists with progress
+ */
+router.delete('/:id/checklists/:checklistId', authMiddleware.authenticateToken, checklistController.deleteChecklist);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/checklists/{checklistId}/items:
+ *   post:
+ *     summary: Add an item to a checklist
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: checklistId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [text]
+ *             properties:
+ *               text:
+ *                 type: string
+ *               assignedTo:
+ *                 type: string
+ *               dueDate:
+ *                 type: string
+ *                 format: date-time
+ *               position:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Checklists with progress
+ */
+router.post('/:id/checklists/:checklistId/items', authMiddleware.authenticateToken, checklistController.addChecklistItem);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/checklists/{checklistId}/items/{itemId}:
+ *   patch:
+ *     summary: Update or check off a checklist item
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: checklistId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: itemId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               text:
+ *                 type: string
+ *               completed:
+ *                 type: boolean
+ *               assignedTo:
+ *                 type: string
+ *               dueDate:
+ *                 type: string
+ *                 format: date-time
+ *               position:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: >
+ *           Checklists with progress; taskCompleted is true if the task was auto-completed.
+ *           wipLimitExceeded is set when the done column is over its WIP limit; boards that reject
+ *           over-limit moves then leave the task open.
+ */
+router.patch('/:id/checklists/:checklistId/items/:itemId', authMiddleware.authenticateToken, checklistController.updateChecklistItem);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/checklists/{checklistId}/items/{itemId}:
+ *   delete:
+ *     summary: Remove a checklist item
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: checklistId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: itemId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Checklists with progress
+ */
+router.delete('/:id/checklists/:checklistId/items/:itemId', authMiddleware.authenticateToken, checklistController.deleteChecklistItem);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/labels:
+ *   post:
+ *     summary: Attach a board label to a task
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [labelId]
+ *             properties:
+ *               labelId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The task's labels
+ */
+router.post('/:id/labels', authMiddleware.authenticateToken, labelController.addTaskLabel);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/labels/{labelId}:
+ *   delete:
+ *     summary: Remove a label from a task
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: labelId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: The task's labels
+ */
+router.delete('/:id/labels/:labelId', authMiddleware.authenticateToken, labelController.removeTaskLabel);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/attachments:
+ *   get:
+ *     summary: List a task's attachments
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Attachments, newest first
+ */
+router.get('/:id/attachments', authMiddleware.authenticateToken, attachmentController.getTaskAttachments);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/attachments:
+ *   post:
+ *     summary: Upload an attachment to a task
+ *     description: Size and type limits are set by ATTACHMENT_MAX_SIZE_MB and ATTACHMENT_ALLOWED_TYPES. Images get a thumbnail.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: Attachment uploaded
+ *       400:
+ *         description: Missing file, file too large or type not allowed
+ */
+router.post(
+  '/:id/attachments',
+  authMiddleware.authenticateToken,
+  attachmentController.authorizeAttachmentUpload,
+  uploadAttachment,
+  attachmentController.uploadTaskAttachment
+);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/attachments/{attachmentId}/download:
+ *   get:
+ *     summary: Download an attachment or its thumbnail
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: attachmentId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: query
+ *         name: thumbnail
+ *         schema:
+ *           type: boolean
+ *         description: Return the PNG thumbnail instead of the original file
+ *     responses:
+ *       200:
+ *         description: The file contents
+ *       404:
+ *         description: Attachment or thumbnail not found
+ */
+router.get('/:id/attachments/:attachmentId/download', authMiddleware.authenticateToken, attachmentController.downloadTaskAttachment);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/attachments/{attachmentId}:
+ *   delete:
+ *     summary: Delete an attachment
+ *     description: Allowed for the uploader or a board admin
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: attachmentId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Attachment deleted
+ */
+router.delete('/:id/attachments/:attachmentId', authMiddleware.authenticateToken, attachmentController.deleteTaskAttachment);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/dependencies:
+ *   get:
+ *     summary: Get the tasks blocking this task and the tasks it blocks
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: blockedBy, blocks and openBlockers
+ */
+router.get('/:id/dependencies', authMiddleware.authenticateToken, dependencyController.getTaskDependencies);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/dependencies:
+ *   post:
+ *     summary: Link this task to another task in the same team
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [taskId]
+ *             properties:
+ *               taskId:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [blocked_by, blocks]
+ *                 default: blocked_by
+ *     responses:
+ *       201:
+ *         description: Dependency added
+ *       409:
+ *         description: The dependency would create a cycle
+ */
+router.post('/:id/dependencies', authMiddleware.authenticateToken, dependencyController.addDependency);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/dependencies/{taskId}:
+ *   delete:
+ *     summary: Remove the dependency between two tasks
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: taskId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Dependency removed
+ */
+router.delete('/:id/dependencies/:taskId', authMiddleware.authenticateToken, dependencyController.removeDependency);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/assignees:
+ *   post:
+ *     summary: Add an assignee to a task
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               userId:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               username:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Task with its assignees
+ */
+router.post('/:id/assignees', authMiddleware.authenticateToken, taskController.assignTask);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/assignees/{userId}:
+ *   delete:
+ *     summary: Remove an assignee from a task
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Task with its remaining assignees
+ */
+router.delete('/:id/assignees/:userId', authMiddleware.authenticateToken, taskController.unassignTask);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/watchers:
+ *   post:
+ *     summary: Watch a task
+ *     description: Watches the task as the current user unless userId is given (needs member access)
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               userId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The task's watchers
+ */
+router.post('/:id/watchers', authMiddleware.authenticateToken, watcherController.addWatcher);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/watchers/{userId}:
+ *   delete:
+ *     summary: Stop watching a task
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: The task's watchers
+ */
+router.delete('/:id/watchers/:userId', authMiddleware.authenticateToken, watcherController.removeWatcher);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/recurrence:
+ *   get:
+ *     summary: Get a task's recurrence rule and the occurrences in its series
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Recurrence rule, series occurrences and the next due date
+ */
+router.get('/:id/recurrence', authMiddleware.authenticateToken, recurrenceController.getRecurrence);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/recurrence:
+ *   put:
+ *     summary: Make a task recurring or edit its series
+ *     description: Completing an occurrence creates the next one in the series column with a shifted due date. Changes apply to every open occurrence in the series.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [frequency]
+ *             properties:
+ *               frequency:
+ *                 type: string
+ *                 enum: [daily, weekly, monthly, after_completion]
+ *               interval:
+ *                 type: integer
+ *                 default: 1
+ *                 description: Every N days, weeks or months; for after_completion, N days after completion
+ *               weekdays:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                   minimum: 0
+ *                   maximum: 6
+ *                 description: Weekly only, 0 is Sunday
+ *               monthDay:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 31
+ *                 description: Monthly only
+ *               until:
+ *                 type: string
+ *                 format: date-time
+ *               column:
+ *                 type: string
+ *                 description: Column new occurrences are created in (defaults to the task's column)
+ *     responses:
+ *       200:
+ *         description: Recurrence updated
+ */
+router.put('/:id/recurrence', authMiddleware.authenticateToken, recurrenceController.updateRecurrence);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/recurrence:
+ *   delete:
+ *     summary: Stop a recurring series
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Recurrence stopped
+ */
+router.delete('/:id/recurrence', authMiddleware.authenticateToken, recurrenceController.stopRecurrence);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/timer/start:
+ *   post:
+ *     summary: Start a timer on a task
+ *     description: Users have at most one running timer; one already running on another task is stopped first
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Timer started; stoppedTimer is the timer that was stopped, if any
+ */
+router.post('/:id/timer/start', authMiddleware.authenticateToken, timeTrackingController.startTimer);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/timer/stop:
+ *   post:
+ *     summary: Stop your timer on a task
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Timer stopped
+ *       404:
+ *         description: No running timer on this task
+ */
+router.post('/:id/timer/stop', authMiddleware.authenticateToken, timeTrackingController.stopTimer);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/time-entries:
+ *   get:
+ *     summary: List time tracked on a task with per-user totals
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Time entries and totals
+ */
+router.get('/:id/time-entries', authMiddleware.authenticateToken, timeTrackingController.getTaskTimeEntries);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/time-entries:
+ *   post:
+ *     summary: Log time on a task manually
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               durationMinutes:
+ *                 type: number
+ *               startedAt:
+ *                 type: string
+ *                 format: date-time
+ *               endedAt:
+ *                 type: string
+ *                 format: date-time
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Time entry added
+ */
+router.post('/:id/time-entries', authMiddleware.authenticateToken, timeTrackingController.addTimeEntry);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/time-entries/{entryId}:
+ *   patch:
+ *     summary: Edit a time entry
+ *     description: Allowed for the person who tracked the time or a board admin
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: entryId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Time entry updated
+ */
+router.patch('/:id/time-entries/:entryId', authMiddleware.authenticateToken, timeTrackingController.updateTimeEntry);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/time-entries/{entryId}:
+ *   delete:
+ *     summary: Delete a time entry
+ *     description: Allowed for the person who tracked the time or a board admin
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: entryId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Time entry deleted
+ */
+router.delete('/:id/time-entries/:entryId', authMiddleware.authenticateToken, timeTrackingController.deleteTimeEntry);
 
 module.exports = router;
\ No newline at end of file
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const authMiddleware = require('../middleware/authMiddleware');
 const teamController = require('../controllers/teamController');
+const reportController = require('../controllers/reportController');
 
 /**
  * @swagger
@@ -251,4 +252,41 @@ router.post('/:id/members', authMiddleware.authenticateToken, teamController.add
  */
 router.delete('/:id/members/:userId', authMiddleware.authenticateToken, teamController.removeMember);
 
-module.exports = router;
\ No newline at end of file
+/**
+ * @swagger
+ * /api/teams/{id}/reports/velocity:
+ *   get:
+ *     summary: Weekly throughput and velocity for a team, with a per-board breakdown
+ *     tags: [Teams]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: query
+ *         name: weeks
+ *         schema:
+ *           type: integer
+ *           default: 8
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Weekly buckets, totals and averages for the team and each board
+ *       403:
+ *         description: Not a member of the team
+ */
+router.get('/:id/reports/velocity', authMiddleware.authenticateToken, reportController.getTeamVelocity);
+
+module.exports = router;
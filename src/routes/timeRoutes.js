@@ -0,0 +1,91 @@
+const express = require('express');
+const router = express.Router();
+const timeTrackingController = require('../controllers/timeTrackingController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Time
+ *   description: Timers and time tracking reports
+ */
+
+/**
+ * @swagger
+ * /api/time/timer:
+ *   get:
+ *     summary: Get the current user's running timer
+ *     tags: [Time]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The running timer, or null
+ */
+router.get('/timer', authMiddleware.authenticateToken, timeTrackingController.getActiveTimer);
+
+/**
+ * @swagger
+ * /api/time/timer/stop:
+ *   post:
+ *     summary: Stop the current user's running timer on whichever task it is
+ *     tags: [Time]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Timer stopped
+ *       404:
+ *         description: No running timer
+ */
+router.post('/timer/stop', authMiddleware.authenticateToken, timeTrackingController.stopActiveTimer);
+
+/**
+ * @swagger
+ * /api/time/report:
+ *   get:
+ *     summary: Total tracked time grouped by task, user, board or team
+ *     description: Only boards the requester can read are included. Running timers count up to now.
+ *     tags: [Time]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           enum: [task, user, board, team]
+ *           default: user
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: boardId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: teamId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: taskId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Totals per group and overall
+ */
+router.get('/report', authMiddleware.authenticateToken, timeTrackingController.getTimeReport);
+
+module.exports = router;
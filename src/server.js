@@ -4,6 +4,9 @@ const socketIO = require('socket.io');
 const mongoose = require('mongoose');
 const dotenv = require('dotenv');
 const app = require('./app');
+const { startReminderScheduler } = require('./services/reminderService');
+const { startBoardPurgeScheduler } = require('./services/boardArchiveService');
+const { startTrashPurgeScheduler } = require('./services/trashService');
 
 dotenv.config();
 
@@ -116,6 +119,11 @@ const startServer = async () => {
     
     server.listen(PORT, () => {
       console.log(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
+      
+      // Start due date reminders once the server is accepting connections
+      startReminderScheduler(io);
+      startBoardPurgeScheduler();
+      startTrashPurgeScheduler();
     });
   } catch (error) {
     console.error('Server startup error:', error);
@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const path = require('path');
+const Jimp = require('jimp');
+const Attachment = require('../models/Attachment');
+const { getStorage } = require('./storage');
+
+const THUMBNAIL_SIZE = 256;
+
+// Image types jimp can decode; other images are stored without a thumbnail
+const THUMBNAIL_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/bmp'];
+
+const buildStorageKey = (task, originalName, suffix = '') => {
+  const ext = path.extname(originalName).toLowerCase().replace(/[^.a-z0-9]/g, '');
+  const id = crypto.randomBytes(16).toString('hex');
+  return `tasks/${task._id}/${id}${suffix}${ext}`;
+};
+
+/**
+ * Scale an image down to fit a THUMBNAIL_SIZE square. Resolves to null
+ * when the file is not an image or cannot be decoded.
+ */
+const generateThumbnail = async (buffer, mimeType) => {
+  if (!THUMBNAIL_TYPES.includes(mimeType)) return null;
+
+  try {
+    const image = await Jimp.read(buffer);
+    image.scaleToFit(THUMBNAIL_SIZE, THUMBNAIL_SIZE);
+    return await image.getBufferAsync(Jimp.MIME_PNG);
+  } catch (error) {
+    console.error('Thumbnail generation error:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Store an uploaded file (and its thumbnail, for images) and record the attachment
+ */
+const storeAttachment = async (task, file, userId) => {
+  const storage = getStorage();
+  const storageKey = buildStorageKey(task, file.originalname);
+
+  await storage.put(storageKey, file.buffer, file.mimetype);
+
+  let thumbnailKey = null;
+  const thumbnail = await generateThumbnail(file.buffer, file.mimetype);
+  if (thumbnail) {
+    thumbnailKey = buildStorageKey(task, 'thumbnail.png', '_thumb');
+    await storage.put(thumbnailKey, thumbnail, 'image/png');
+  }
+
+  try {
+    return await Attachment.create({
+      task: task._id,
+      board: task.board,
+      uploadedBy: userId,
+      originalName: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size,
+      driver: storage.name,
+      storageKey,
+      thumbnailKey
+    });
+  } catch (error) {
+    // Don't leave orphaned files behind when the record can't be saved
+    await removeAttachmentFiles({ driver: storage.name, storageKey, thumbnailKey });
+    throw error;
+  }
+};
+
+/**
+ * Delete an attachment's file and thumbnail from storage.
+ * Failures are logged rather than thrown so one missing file never blocks a cleanup.
+ */
+const removeAttachmentFiles = async (attachment) => {
+  const storage = getStorage(attachment.driver);
+  const keys = [attachment.storageKey, attachment.thumbnailKey].filter(Boolean);
+
+  for (const key of keys) {
+    try {
+      await storage.remove(key);
+    } catch (error) {
+      console.error(`Error removing stored file ${key}:`, error.message);
+    }
+  }
+};
+
+/**
+ * Delete every attachment on the given tasks, both records and stored files
+ */
+const removeTaskAttachments = async (taskIds) => {
+  const ids = Array.isArray(taskIds) ? taskIds : [taskIds];
+  if (ids.length === 0) return 0;
+
+  const attachments = await Attachment.find({ task: { $in: ids } });
+
+  for (const attachment of attachments) {
+    await removeAttachmentFiles(attachment);
+  }
+
+  await Attachment.deleteMany({ task: { $in: ids } });
+
+  return attachments.length;
+};
+
+module.exports = {
+  generateThumbnail,
+  storeAttachment,
+  removeAttachmentFiles,
+  removeTaskAttachments
+};
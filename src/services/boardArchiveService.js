@@ -0,0 +1,127 @@
+const Board = require('../models/Board');
+const Column = require('../models/Column');
+const Task = require('../models/Task');
+const Label = require('../models/Label');
+const CustomField = require('../models/CustomField');
+const Sprint = require('../models/Sprint');
+const Swimlane = require('../models/Swimlane');
+const Activity = require('../models/Activity');
+const ShareLink = require('../models/ShareLink');
+const { isMongoConnected } = require('../config/db');
+const {
+  BOARD_ARCHIVE_PURGE_DAYS,
+  BOARD_PURGE_SCAN_INTERVAL_MINUTES
+} = require('../config/default');
+const { withTrashed, destroyTasks } = require('./trashService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let timer = null;
+let scanning = false;
+
+/**
+ * Date an archived board will be purged, or null when purging is disabled
+ */
+const getPurgeDate = (board) => {
+  if (!board.archived || !board.archivedAt || BOARD_ARCHIVE_PURGE_DAYS <= 0) return null;
+  return new Date(new Date(board.archivedAt).getTime() + BOARD_ARCHIVE_PURGE_DAYS * DAY_MS);
+};
+
+/**
+ * Hide boards that are archived unless `includeArchived` is set.
+ * Extends and returns `filter`.
+ */
+const applyArchivedFilter = (filter, includeArchived) => {
+  if (includeArchived !== true && includeArchived !== 'true') {
+    filter.archived = { $ne: true };
+  }
+  return filter;
+};
+
+/**
+ * Permanently delete a board along with its columns and tasks (trashed ones
+ * included, with their comments, attachments, dependency links and time
+ * entries), labels, custom fields, sprints, swimlanes, share links and
+ * activity history
+ */
+const purgeBoard = async (boardId) => {
+  const taskIds = await Task.find(withTrashed({ board: boardId })).distinct('_id');
+  await destroyTasks(taskIds);
+
+  await Promise.all([
+    Column.deleteMany({ board: boardId }),
+    Label.deleteMany({ board: boardId }),
+    CustomField.deleteMany({ board: boardId }),
+    Sprint.deleteMany({ board: boardId }),
+    Swimlane.deleteMany({ board: boardId }),
+    ShareLink.deleteMany({ board: boardId }),
+    Activity.deleteMany({ boardId })
+  ]);
+
+  await Board.deleteOne({ _id: boardId });
+
+  return { taskCount: taskIds.length };
+};
+
+/**
+ * Purge boards that have been archived for longer than the purge window
+ */
+const runBoardPurge = async (now = new Date()) => {
+  if (scanning || !isMongoConnected() || BOARD_ARCHIVE_PURGE_DAYS <= 0) return { purged: 0 };
+
+  scanning = true;
+  let purged = 0;
+
+  try {
+    const cutoff = new Date(now.getTime() - BOARD_ARCHIVE_PURGE_DAYS * DAY_MS);
+    const boards = await Board.find({ archived: true, archivedAt: { $lte: cutoff } })
+      .select('_id title');
+
+    for (const board of boards) {
+      try {
+        const { taskCount } = await purgeBoard(board._id);
+        purged++;
+        console.log(`Purged archived board "${board.title}" (${board._id}) with ${taskCount} tasks`);
+      } catch (error) {
+        console.error(`Board purge error for board ${board._id}:`, error);
+      }
+    }
+  } catch (error) {
+    console.error('Board purge scan error:', error);
+  } finally {
+    scanning = false;
+  }
+
+  return { purged };
+};
+
+/**
+ * Start purging expired archived boards on an interval
+ */
+const startBoardPurgeScheduler = () => {
+  if (BOARD_ARCHIVE_PURGE_DAYS <= 0 || timer) return;
+
+  const intervalMs = BOARD_PURGE_SCAN_INTERVAL_MINUTES * 60 * 1000;
+
+  timer = setInterval(() => runBoardPurge(), intervalMs);
+  timer.unref();
+
+  runBoardPurge();
+  console.log(`Archived boards are purged after ${BOARD_ARCHIVE_PURGE_DAYS} days (checked every ${BOARD_PURGE_SCAN_INTERVAL_MINUTES} minutes)`);
+};
+
+const stopBoardPurgeScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  getPurgeDate,
+  applyArchivedFilter,
+  purgeBoard,
+  runBoardPurge,
+  startBoardPurgeScheduler,
+  stopBoardPurgeScheduler
+};
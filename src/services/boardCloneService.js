@@ -0,0 +1,208 @@
+const mongoose = require('mongoose');
+const Board = require('../models/Board');
+const Column = require('../models/Column');
+const Label = require('../models/Label');
+const CustomField = require('../models/CustomField');
+const Swimlane = require('../models/Swimlane');
+const Task = require('../models/Task');
+const { getBoardRole } = require('./boardPermissionService');
+
+/**
+ * Map each source document's ID to the ID of its copy
+ */
+const mapIds = (sources, copies) => new Map(sources.map((source, index) => [source._id.toString(), copies[index]._id]));
+
+const remap = (ids, value) => (value ? ids.get((value._id || value).toString()) || null : null);
+
+/**
+ * Copy the board's columns (in position order), labels, custom fields and
+ * swimlanes onto `target`. Resolves to ID maps from the source documents to their copies.
+ */
+const copyBoardStructure = async (source, target, userId) => {
+  const [columns, labels, customFields, swimlanes] = await Promise.all([
+    Column.find({ board: source._id }).sort({ position: 1, createdAt: 1 }),
+    Label.find({ board: source._id }),
+    CustomField.find({ board: source._id }).sort({ position: 1, createdAt: 1 }),
+    Swimlane.find({ board: source._id }).sort({ position: 1, createdAt: 1 })
+  ]);
+
+  const columnCopies = await Column.insertMany(columns.map((column, index) => ({
+    title: column.title,
+    position: index,
+    statusCategory: column.statusCategory || null,
+    wipLimit: column.wipLimit || null,
+    board: target._id
+  })));
+
+  const labelCopies = await Label.insertMany(labels.map(label => ({
+    name: label.name,
+    color: label.color,
+    board: target._id,
+    createdBy: userId
+  })));
+
+  const fieldCopies = await CustomField.insertMany(customFields.map(field => ({
+    name: field.name,
+    type: field.type,
+    options: field.options,
+    required: field.required,
+    position: field.position,
+    board: target._id,
+    createdBy: userId
+  })));
+
+  const laneCopies = await Swimlane.insertMany(swimlanes.map(lane => ({
+    name: lane.name,
+    color: lane.color,
+    position: lane.position,
+    board: target._id,
+    createdBy: userId
+  })));
+
+  return {
+    columns: mapIds(columns, columnCopies),
+    columnCopies,
+    labels: mapIds(labels, labelCopies),
+    customFields: mapIds(customFields, fieldCopies),
+    fieldTypes: new Map(customFields.map(field => [field._id.toString(), field.type])),
+    swimlanes: mapIds(swimlanes, laneCopies)
+  };
+};
+
+/**
+ * Copy the tasks in the source board's columns onto `target`, keeping their
+ * order. Dependencies between copied tasks are kept; comments, attachments,
+ * time entries, sprints and recurrence are not copied.
+ *
+ * Options: keepAssignees (assignees and user custom fields, for users who can
+ * see the new board), keepDueDates, keepCompletion (done status and checked
+ * checklist items; otherwise tasks reopen in their column's status).
+ */
+const copyBoardTasks = async (source, target, ids, userId, { keepAssignees, keepDueDates, keepCompletion }) => {
+  const tasks = await Task.find({ board: source._id, column: { $in: [...ids.columns.keys()] } })
+    .sort({ order: 1 });
+
+  const taskIds = new Map(tasks.map(task => [task._id.toString(), new mongoose.Types.ObjectId()]));
+  const categories = new Map(ids.columnCopies.map(column => [column._id.toString(), column.statusCategory]));
+
+  // Users keep their assignments only when they can reach the copy
+  const allowedUsers = new Set();
+  if (keepAssignees) {
+    const userIds = new Set(tasks.flatMap(task => task.getAssigneeIds()));
+    for (const id of userIds) {
+      if (await getBoardRole(target, id)) allowedUsers.add(id);
+    }
+  }
+
+  const copies = tasks.map(task => {
+    const column = remap(ids.columns, task.column);
+    const category = categories.get(column.toString());
+    const done = keepCompletion && task.status === 'done';
+
+    // Stripped completions reopen in the column's status, or todo when it has none
+    let status = task.status === 'done' ? 'todo' : task.status;
+    if (category && category !== 'done') status = category;
+    if (done) status = 'done';
+
+    const customFields = {};
+    (task.customFields || new Map()).forEach((value, fieldId) => {
+      const copyId = ids.customFields.get(fieldId);
+      if (!copyId) return;
+      if (ids.fieldTypes.get(fieldId) === 'user' && !allowedUsers.has(value.toString())) return;
+      customFields[copyId.toString()] = value;
+    });
+
+    const assignees = task.getAssigneeIds().filter(id => allowedUsers.has(id));
+
+    return {
+      _id: taskIds.get(task._id.toString()),
+      title: task.title,
+      description: task.description,
+      priority: task.priority,
+      status,
+      completedBy: done ? task.completedBy : null,
+      completedAt: done ? task.completedAt : null,
+      dueDate: keepDueDates ? task.dueDate : null,
+      storyPoints: task.storyPoints,
+      estimatedHours: task.estimatedHours,
+      customFields,
+      labels: task.labels.map(label => remap(ids.labels, label)).filter(Boolean),
+      swimlane: remap(ids.swimlanes, task.swimlane),
+      assignees,
+      assignedTo: assignees[0] || null,
+      watchers: [userId, ...assignees.filter(id => id !== userId.toString())],
+      checklists: task.checklists.map(checklist => ({
+        title: checklist.title,
+        items: checklist.items.map(item => ({
+          text: item.text,
+          ...(keepCompletion && item.completed && {
+            completed: true,
+            completedBy: item.completedBy,
+            completedAt: item.completedAt
+          })
+        }))
+      })),
+      autoCompleteChecklist: task.autoCompleteChecklist,
+      blockedBy: task.blockedBy.map(id => remap(taskIds, id)).filter(Boolean),
+      board: target._id,
+      column,
+      order: task.order,
+      team: target.team,
+      createdBy: userId
+    };
+  });
+
+  if (copies.length > 0) {
+    await Task.insertMany(copies);
+  }
+  return copies.length;
+};
+
+/**
+ * Deep-copy `source` into a new board titled `title` in team `teamId`, owned
+ * by `userId`. Board members are copied when the copy stays in the same team,
+ * or stays without a team: such boards are only shared through their members,
+ * so the copy is shared with the same people.
+ * Resolves to { board, taskCount }.
+ */
+const duplicateBoard = async (source, userId, { title, teamId, includeTasks = true, ...taskOptions }) => {
+  const sameTeam = String(source.team || '') === String(teamId || '');
+  const members = sameTeam
+    ? source.members.filter(member => member.user.toString() !== userId.toString())
+      .map(member => ({ user: member.user, role: member.role, addedBy: userId }))
+    : [];
+
+  const board = await Board.create({
+    title,
+    description: source.description,
+    team: teamId || null,
+    createdBy: userId,
+    backgroundColor: source.backgroundColor,
+    colorScheme: source.colorScheme,
+    image: source.image,
+    estimation: source.estimation,
+    wipLimitMode: source.wipLimitMode,
+    members: [{ user: userId, role: 'admin', addedBy: userId }, ...members]
+  });
+
+  const ids = await copyBoardStructure(source, board, userId);
+
+  const groupBy = (source.swimlanes && source.swimlanes.groupBy) || 'none';
+  if (groupBy !== 'none') {
+    const laneField = remap(ids.customFields, source.swimlanes.customField);
+    board.swimlanes = groupBy === 'customField' && !laneField
+      ? { groupBy: 'none' }
+      : { groupBy, customField: laneField };
+    await board.save();
+  }
+
+  const taskCount = includeTasks
+    ? await copyBoardTasks(source, board, ids, userId, taskOptions)
+    : 0;
+
+  return { board, taskCount };
+};
+
+module.exports = {
+  duplicateBoard
+};
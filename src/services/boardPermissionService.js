@@ -0,0 +1,254 @@
+const mongoose = require('mongoose');
+const Team = require('../models/Team');
+const Board = require('../models/Board');
+const Task = require('../models/Task');
+const Sprint = require('../models/Sprint');
+
+// Ordered from least to most privileged
+const BOARD_ROLES = ['viewer', 'member', 'admin', 'owner'];
+
+const roleRank = (role) => BOARD_ROLES.indexOf(role);
+
+const higherRole = (a, b) => (roleRank(a) >= roleRank(b) ? a : b);
+
+const toId = (value) => {
+  if (!value) return null;
+  return (value._id || value).toString();
+};
+
+/**
+ * Resolve the role a user holds in a team: owner, admin, member, viewer or null
+ */
+const getTeamRole = (team, userId) => {
+  if (!team || !userId) return null;
+
+  if (toId(team.owner) === userId) return 'owner';
+
+  let role = null;
+
+  if (team.admins && team.admins.some(admin => toId(admin) === userId)) {
+    role = 'admin';
+  }
+
+  const membership = team.members && team.members.find(m => toId(m.user || m) === userId);
+  if (membership) {
+    role = role ? higherRole(role, membership.role || 'viewer') : (membership.role || 'viewer');
+  }
+
+  return role;
+};
+
+/**
+ * Resolve a user's effective role on a board.
+ *
+ * The board creator is always the owner. Team roles carry over to every board
+ * in the team, and an explicit board membership can raise (never lower) that role.
+ * Returns null when the user has no access to the board at all.
+ */
+const getBoardRole = async (board, userId, team) => {
+  if (!board || !userId) return null;
+
+  userId = userId.toString();
+  let role = null;
+
+  if (toId(board.createdBy) === userId) return 'owner';
+
+  const boardMember = board.members && board.members.find(m => m.user && toId(m.user) === userId);
+  if (boardMember) {
+    role = boardMember.role || 'viewer';
+  }
+
+  if (board.team) {
+    const boardTeam = team || (board.team.members ? board.team : await Team.findById(toId(board.team)));
+    const teamRole = getTeamRole(boardTeam, userId);
+    if (teamRole) {
+      role = role ? higherRole(role, teamRole) : teamRole;
+    }
+  }
+
+  return role;
+};
+
+/**
+ * Check whether a user holds at least `requiredRole` on a board.
+ * Resolves to { allowed, role, archived } so callers can tell "no access" from
+ * "not enough access".
+ *
+ * Archived boards are read-only: checks for a change (`write`, which defaults
+ * to any role above viewer) fail with `archived` set. Pass `write: false` for
+ * the few actions that work on archived boards, such as restoring them, and
+ * `write: true` for changes viewers may make themselves.
+ */
+const checkBoardPermission = async (board, userId, requiredRole = 'viewer', { write = requiredRole !== 'viewer' } = {}) => {
+  const role = await getBoardRole(board, userId);
+  const hasRole = role !== null && roleRank(role) >= roleRank(requiredRole);
+  const archived = hasRole && write && !!board.archived;
+
+  return {
+    role,
+    allowed: hasRole && !archived,
+    archived
+  };
+};
+
+/**
+ * Send the response for a failed permission check.
+ * Users with no access to the board get a 404 so board IDs are not leaked;
+ * changes to an archived board get a 409; users with a role that is too low get a 403.
+ */
+const sendPermissionDenied = (res, access, message) => {
+  if (!access.role) {
+    return res.status(404).json({
+      success: false,
+      message: 'Board not found'
+    });
+  }
+
+  if (access.archived) {
+    return res.status(409).json({
+      success: false,
+      message: 'This board is archived. Restore it before making changes'
+    });
+  }
+
+  return res.status(403).json({
+    success: false,
+    message: message || 'You do not have permission to perform this action on this board'
+  });
+};
+
+/**
+ * Load the board in `req.params.id` (or `boardId`) and check the user holds `requiredRole` on it.
+ * `options` are passed on to checkBoardPermission.
+ * Sends the error response itself and resolves to null when the request should stop.
+ */
+const loadBoardWithAccess = async (req, res, requiredRole, message, boardId = req.params.id, options) => {
+  if (!mongoose.Types.ObjectId.isValid(boardId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid board ID format'
+    });
+    return null;
+  }
+
+  const board = await Board.findById(boardId);
+  if (!board) {
+    res.status(404).json({
+      success: false,
+      message: 'Board not found'
+    });
+    return null;
+  }
+
+  const access = await checkBoardPermission(board, req.user.id, requiredRole, options);
+  if (!access.allowed) {
+    sendPermissionDenied(res, access, message);
+    return null;
+  }
+
+  return board;
+};
+
+/**
+ * Load the task in `req.params.id` and check the user holds `requiredRole` on its board.
+ * `options` are passed on to checkBoardPermission.
+ * Sends the error response itself and resolves to null when the request should stop.
+ */
+const loadTaskWithAccess = async (req, res, requiredRole, message, options) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid task ID format'
+    });
+    return null;
+  }
+
+  const task = await Task.findById(id);
+  if (!task) {
+    res.status(404).json({
+      success: false,
+      message: 'Task not found'
+    });
+    return null;
+  }
+
+  const board = await Board.findById(task.board);
+  const access = await checkBoardPermission(board, req.user.id, requiredRole, options);
+  if (!access.allowed) {
+    sendPermissionDenied(res, access, message);
+    return null;
+  }
+
+  return task;
+};
+
+/**
+ * Load the sprint in `req.params.id` and check the user holds `requiredRole` on its board.
+ * Sends the error response itself and resolves to null when the request should stop.
+ */
+const loadSprintWithAccess = async (req, res, requiredRole, message) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid sprint ID format'
+    });
+    return null;
+  }
+
+  const sprint = await Sprint.findById(id);
+  if (!sprint) {
+    res.status(404).json({
+      success: false,
+      message: 'Sprint not found'
+    });
+    return null;
+  }
+
+  const board = await Board.findById(sprint.board);
+  const access = await checkBoardPermission(board, req.user.id, requiredRole);
+  if (!access.allowed) {
+    sendPermissionDenied(res, access, message);
+    return null;
+  }
+
+  // Kept so callers can reach the board's team without another query
+  sprint.$locals.board = board;
+  return sprint;
+};
+
+/**
+ * Build a Board query filter matching every board the user can read
+ */
+const getAccessibleBoardsFilter = async (userId) => {
+  const teams = await Team.find({
+    $or: [
+      { owner: userId },
+      { admins: userId },
+      { 'members.user': userId }
+    ]
+  }).select('_id');
+
+  return {
+    $or: [
+      { createdBy: userId },
+      { 'members.user': userId },
+      { team: { $in: teams.map(team => team._id) } }
+    ]
+  };
+};
+
+module.exports = {
+  BOARD_ROLES,
+  getTeamRole,
+  getBoardRole,
+  checkBoardPermission,
+  sendPermissionDenied,
+  loadBoardWithAccess,
+  loadTaskWithAccess,
+  loadSprintWithAccess,
+  getAccessibleBoardsFilter
+};
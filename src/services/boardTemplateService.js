@@ -0,0 +1,397 @@
+const mongoose = require('mongoose');
+const BoardTemplate = require('../models/BoardTemplate');
+const Team = require('../models/Team');
+const Column = require('../models/Column');
+const Label = require('../models/Label');
+const CustomField = require('../models/CustomField');
+const Swimlane = require('../models/Swimlane');
+const Task = require('../models/Task');
+const { getTeamRole } = require('./boardPermissionService');
+
+const MAX_TEMPLATE_TASKS = 200;
+const TEAM_TEMPLATE_MANAGERS = ['owner', 'admin'];
+
+/**
+ * Templates that ship with the app. They are addressed by key instead of an
+ * ObjectId and cannot be changed or deleted.
+ */
+const BUILT_IN_TEMPLATES = [
+  {
+    key: 'simple-kanban',
+    name: 'Simple Kanban',
+    description: 'To do, doing, done',
+    settings: { wipLimitMode: 'flag' },
+    columns: [
+      { title: 'To Do', statusCategory: 'todo' },
+      { title: 'In Progress', statusCategory: 'in_progress', wipLimit: 5 },
+      { title: 'Done', statusCategory: 'done' }
+    ],
+    labels: [],
+    customFields: [],
+    swimlanes: [],
+    tasks: []
+  },
+  {
+    key: 'scrum',
+    name: 'Scrum',
+    description: 'Sprint board with story points, review and a backlog column',
+    settings: {
+      estimation: { scale: 'fibonacci', hoursEnabled: false },
+      wipLimitMode: 'flag'
+    },
+    columns: [
+      { title: 'Backlog', statusCategory: 'todo' },
+      { title: 'To Do', statusCategory: 'todo' },
+      { title: 'In Progress', statusCategory: 'in_progress', wipLimit: 5 },
+      { title: 'In Review', statusCategory: 'in_progress', wipLimit: 3 },
+      { title: 'Done', statusCategory: 'done' }
+    ],
+    labels: [
+      { name: 'Story', color: '#2e5bff' },
+      { name: 'Bug', color: '#e5484d' },
+      { name: 'Tech debt', color: '#f5a623' },
+      { name: 'Spike', color: '#8e4ec6' }
+    ],
+    customFields: [],
+    swimlanes: [],
+    tasks: [
+      {
+        title: 'Write the definition of done',
+        column: 1,
+        labels: ['Story'],
+        checklists: [{ title: 'Agree on', items: ['Code reviewed', 'Tests pass', 'Deployed to staging'] }]
+      },
+      { title: 'Groom the backlog for the first sprint', column: 0, labels: ['Story'] }
+    ]
+  },
+  {
+    key: 'bug-triage',
+    name: 'Bug triage',
+    description: 'Incoming bugs triaged by severity and grouped by priority',
+    settings: {
+      wipLimitMode: 'flag',
+      swimlanes: { groupBy: 'priority' }
+    },
+    columns: [
+      { title: 'New', statusCategory: 'todo' },
+      { title: 'Triaged', statusCategory: 'todo' },
+      { title: 'Fixing', statusCategory: 'in_progress' },
+      { title: 'Verifying', statusCategory: 'in_progress' },
+      { title: 'Closed', statusCategory: 'done' }
+    ],
+    labels: [
+      { name: 'Regression', color: '#e5484d' },
+      { name: 'Needs repro', color: '#f5a623' },
+      { name: "Won't fix", color: '#8b8d98' }
+    ],
+    customFields: [
+      { name: 'Severity', type: 'select', options: ['S1', 'S2', 'S3', 'S4'] },
+      { name: 'Affected version', type: 'text' }
+    ],
+    swimlanes: [],
+    tasks: [
+      {
+        title: 'Example bug report',
+        description: 'Copy this card for new bugs.',
+        column: 0,
+        labels: ['Needs repro'],
+        checklists: [{ title: 'Report', items: ['Steps to reproduce', 'Expected result', 'Actual result'] }]
+      }
+    ]
+  }
+];
+
+const getBuiltInTemplate = (key) => BUILT_IN_TEMPLATES.find(template => template.key === key) || null;
+
+/**
+ * Summary of a template for listings, with built-ins in the same shape as saved ones
+ */
+const summarizeTemplate = (template) => {
+  const builtIn = !template._id;
+  return {
+    _id: builtIn ? template.key : template._id,
+    name: template.name,
+    description: template.description || '',
+    scope: builtIn ? 'built_in' : template.scope,
+    team: builtIn ? null : template.team,
+    createdBy: builtIn ? null : template.createdBy,
+    builtIn,
+    columns: template.columns.map(column => column.title),
+    labelCount: template.labels.length,
+    taskCount: template.tasks.length,
+    createdAt: builtIn ? null : template.createdAt,
+    updatedAt: builtIn ? null : template.updatedAt
+  };
+};
+
+/**
+ * Every template the user can use: built-ins, their personal templates and
+ * those of their teams (only `teamId`'s when given)
+ */
+const listTemplatesForUser = async (userId, teamId = null) => {
+  const teams = await Team.find({
+    $or: [
+      { owner: userId },
+      { admins: userId },
+      { 'members.user': userId }
+    ]
+  }).select('_id');
+  const teamIds = teams
+    .map(team => team._id)
+    .filter(id => !teamId || id.toString() === teamId.toString());
+
+  const saved = await BoardTemplate.find({
+    $or: [
+      { scope: 'personal', createdBy: userId },
+      { scope: 'team', team: { $in: teamIds } }
+    ]
+  })
+    .populate('team', 'name')
+    .populate('createdBy', 'name username avatar')
+    .sort({ scope: 1, name: 1 });
+
+  return [...BUILT_IN_TEMPLATES, ...saved];
+};
+
+/**
+ * Whether `userId` may use (`manage` false) or edit and delete (`manage` true)
+ * a saved template. Team templates are used by anyone in the team and managed
+ * by their creator or the team's owner and admins.
+ */
+const canAccessTemplate = async (template, userId, manage = false) => {
+  const isCreator = (template.createdBy._id || template.createdBy).toString() === userId.toString();
+  if (template.scope === 'personal') return isCreator;
+
+  const team = await Team.findById(template.team._id || template.team);
+  const role = getTeamRole(team, userId.toString());
+  if (!role) return false;
+  return !manage || isCreator || TEAM_TEMPLATE_MANAGERS.includes(role);
+};
+
+/**
+ * Find a template by built-in key or ID that the user can use (or manage).
+ * Resolves to { template } or { error, status }.
+ */
+const findTemplateForUser = async (templateId, userId, { manage = false } = {}) => {
+  const builtIn = getBuiltInTemplate(templateId);
+  if (builtIn) {
+    return manage
+      ? { error: 'Built-in templates cannot be changed', status: 403 }
+      : { template: builtIn };
+  }
+
+  const template = mongoose.Types.ObjectId.isValid(templateId)
+    ? await BoardTemplate.findById(templateId)
+    : null;
+
+  // Templates the user cannot see are reported as missing
+  if (!template || !(await canAccessTemplate(template, userId))) {
+    return { error: 'Board template not found', status: 404 };
+  }
+  if (manage && !(await canAccessTemplate(template, userId, true))) {
+    return { error: 'Only the template creator or team admins can change this template', status: 403 };
+  }
+
+  return { template };
+};
+
+/**
+ * Check where a template is to be saved: `personal`, or `team` for a team the
+ * user can manage templates in. Resolves to { value: { scope, team } } or { error, status }.
+ */
+const resolveTemplateScope = async (userId, scope, teamId) => {
+  if (scope === 'personal') return { value: { scope, team: null } };
+  if (scope !== 'team') return { error: 'Template scope must be team or personal', status: 400 };
+
+  const team = teamId && mongoose.Types.ObjectId.isValid(teamId) ? await Team.findById(teamId) : null;
+  const role = getTeamRole(team, userId.toString());
+  if (!role) return { error: 'Team not found', status: 404 };
+  if (!TEAM_TEMPLATE_MANAGERS.includes(role)) {
+    return { error: 'Only team owners and admins can save team templates', status: 403 };
+  }
+
+  return { value: { scope, team: team._id } };
+};
+
+/**
+ * Capture a board's columns, labels, custom fields, swimlanes and settings,
+ * plus its open tasks as starter tasks when `includeTasks` is set. Completed
+ * tasks are history rather than defaults and are left out.
+ */
+const captureBoardTemplate = async (board, { includeTasks = true } = {}) => {
+  const [columns, labels, customFields, swimlanes] = await Promise.all([
+    Column.find({ board: board._id }).sort({ position: 1, createdAt: 1 }),
+    Label.find({ board: board._id }).sort({ name: 1 }),
+    CustomField.find({ board: board._id }).sort({ position: 1, createdAt: 1 }),
+    Swimlane.find({ board: board._id }).sort({ position: 1, createdAt: 1 })
+  ]);
+
+  const columnIndex = new Map(columns.map((column, index) => [column._id.toString(), index]));
+  const labelNames = new Map(labels.map(label => [label._id.toString(), label.name]));
+  const laneNames = new Map(swimlanes.map(lane => [lane._id.toString(), lane.name]));
+  const laneField = board.swimlanes && board.swimlanes.customField
+    && customFields.find(field => field._id.toString() === board.swimlanes.customField.toString());
+
+  let tasks = [];
+  if (includeTasks) {
+    tasks = (await Task.find({ board: board._id, column: { $in: columns.map(column => column._id) }, status: { $ne: 'done' } })
+      .sort({ order: 1 })
+      .limit(MAX_TEMPLATE_TASKS))
+      .map(task => ({
+        title: task.title,
+        description: task.description || '',
+        priority: task.priority,
+        column: columnIndex.get(task.column.toString()),
+        labels: task.labels.map(id => labelNames.get(id.toString())).filter(Boolean),
+        swimlane: task.swimlane ? laneNames.get(task.swimlane.toString()) || null : null,
+        storyPoints: task.storyPoints,
+        estimatedHours: task.estimatedHours,
+        checklists: task.checklists.map(checklist => ({
+          title: checklist.title,
+          items: checklist.items.map(item => item.text)
+        }))
+      }));
+  }
+
+  return {
+    settings: {
+      description: board.description || '',
+      backgroundColor: board.backgroundColor,
+      colorScheme: board.colorScheme,
+      estimation: board.estimation ? board.estimation.toObject() : undefined,
+      wipLimitMode: board.wipLimitMode,
+      swimlanes: {
+        groupBy: (board.swimlanes && board.swimlanes.groupBy) || 'none',
+        customField: laneField ? laneField.name : null
+      }
+    },
+    columns: columns.map(column => ({
+      title: column.title,
+      statusCategory: column.statusCategory || null,
+      wipLimit: column.wipLimit || null
+    })),
+    labels: labels.map(label => ({ name: label.name, color: label.color })),
+    customFields: customFields.map(field => ({
+      name: field.name,
+      type: field.type,
+      options: field.options,
+      required: field.required
+    })),
+    swimlanes: swimlanes.map(lane => ({ name: lane.name, color: lane.color })),
+    tasks
+  };
+};
+
+/**
+ * Board fields taken from a template's settings when a board is created from it
+ */
+const getTemplateBoardSettings = (template) => {
+  const settings = template.settings || {};
+  return {
+    ...(settings.backgroundColor && { backgroundColor: settings.backgroundColor }),
+    ...(settings.colorScheme && { colorScheme: settings.colorScheme }),
+    ...(settings.estimation && { estimation: settings.estimation }),
+    ...(settings.wipLimitMode && { wipLimitMode: settings.wipLimitMode })
+  };
+};
+
+/**
+ * Create a template's columns, labels, custom fields, swimlanes and starter
+ * tasks on a new, empty board, then point its swimlane grouping at them.
+ * Resolves to the created columns.
+ */
+const applyBoardTemplate = async (board, template, userId) => {
+  const columns = await Column.insertMany(template.columns.map((column, index) => ({
+    title: column.title,
+    statusCategory: column.statusCategory || null,
+    wipLimit: column.wipLimit || null,
+    board: board._id,
+    position: index
+  })));
+
+  const labels = await Label.insertMany(template.labels.map(label => ({
+    name: label.name,
+    ...(label.color && { color: label.color }),
+    board: board._id,
+    createdBy: userId
+  })));
+
+  const customFields = await CustomField.insertMany(template.customFields.map((field, index) => ({
+    name: field.name,
+    type: field.type,
+    options: field.type === 'select' ? field.options : undefined,
+    required: !!field.required,
+    position: index,
+    board: board._id,
+    createdBy: userId
+  })));
+
+  const swimlanes = await Swimlane.insertMany(template.swimlanes.map((lane, index) => ({
+    name: lane.name,
+    color: lane.color || null,
+    position: index,
+    board: board._id,
+    createdBy: userId
+  })));
+
+  const laneSettings = (template.settings && template.settings.swimlanes) || {};
+  if (laneSettings.groupBy && laneSettings.groupBy !== 'none') {
+    const laneField = customFields.find(field => field.name === laneSettings.customField);
+    board.swimlanes = laneSettings.groupBy === 'customField'
+      ? (laneField ? { groupBy: 'customField', customField: laneField._id } : { groupBy: 'none' })
+      : { groupBy: laneSettings.groupBy };
+    await board.save();
+  }
+
+  const labelIds = new Map(labels.map(label => [label.name, label._id]));
+  const laneIds = new Map(swimlanes.map(lane => [lane.name, lane._id]));
+  const nextOrder = new Map();
+
+  const tasks = template.tasks
+    .filter(task => columns[task.column])
+    .map(task => {
+      const column = columns[task.column];
+      const order = nextOrder.get(task.column) || 0;
+      nextOrder.set(task.column, order + 1);
+      const done = column.statusCategory === 'done';
+
+      return {
+        title: task.title,
+        description: task.description || '',
+        priority: task.priority || 'medium',
+        status: column.statusCategory || 'todo',
+        ...(done && { completedBy: userId, completedAt: new Date() }),
+        labels: (task.labels || []).map(name => labelIds.get(name)).filter(Boolean),
+        swimlane: (task.swimlane && laneIds.get(task.swimlane)) || null,
+        storyPoints: task.storyPoints === undefined ? null : task.storyPoints,
+        estimatedHours: task.estimatedHours === undefined ? null : task.estimatedHours,
+        checklists: (task.checklists || []).map(checklist => ({
+          title: checklist.title,
+          items: checklist.items.map(text => ({ text }))
+        })),
+        watchers: [userId],
+        createdBy: userId,
+        board: board._id,
+        column: column._id,
+        order,
+        team: board.team
+      };
+    });
+
+  if (tasks.length > 0) {
+    await Task.insertMany(tasks);
+  }
+
+  return columns;
+};
+
+module.exports = {
+  BUILT_IN_TEMPLATES,
+  summarizeTemplate,
+  listTemplatesForUser,
+  findTemplateForUser,
+  resolveTemplateScope,
+  captureBoardTemplate,
+  getTemplateBoardSettings,
+  applyBoardTemplate
+};
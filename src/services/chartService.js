@@ -0,0 +1,207 @@
+const Activity = require('../models/Activity');
+const Column = require('../models/Column');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_CHART_DAYS = 30;
+const MAX_CHART_DAYS = 366;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Resolve the days a chart covers from `?from=`/`?to=` or `?days=N` (default 30,
+ * ending today). `defaults` supplies the range when the query leaves it out,
+ * e.g. a sprint's dates. Days are UTC. Resolves to { from, to } or { error }.
+ */
+const parseChartRange = ({ from, to, days }, defaults = {}, now = new Date()) => {
+  const end = to ? new Date(to) : (defaults.to || now);
+  if (Number.isNaN(end.getTime())) return { error: 'Invalid "to" date' };
+
+  let start;
+  if (from) {
+    start = new Date(from);
+    if (Number.isNaN(start.getTime())) return { error: 'Invalid "from" date' };
+  } else if (days === undefined && defaults.from) {
+    start = defaults.from;
+  } else {
+    const dayCount = days === undefined ? DEFAULT_CHART_DAYS : parseInt(days, 10);
+    if (!Number.isInteger(dayCount) || dayCount < 1 || dayCount > MAX_CHART_DAYS) {
+      return { error: `days must be between 1 and ${MAX_CHART_DAYS}` };
+    }
+    start = new Date(startOfDay(end).getTime() - (dayCount - 1) * DAY_MS);
+  }
+
+  if (start > end) return { error: '"from" must be before "to"' };
+  if ((startOfDay(end) - startOfDay(start)) / DAY_MS >= MAX_CHART_DAYS) {
+    return { error: `Charts can cover at most ${MAX_CHART_DAYS} days` };
+  }
+
+  return { from: startOfDay(start), to: startOfDay(end) };
+};
+
+/**
+ * End-of-day cut-offs for every day in the range; days still to come are
+ * marked so their values can be left empty.
+ */
+const listDays = ({ from, to }, now = new Date()) => {
+  const days = [];
+  for (let day = from.getTime(); day <= to.getTime(); day += DAY_MS) {
+    days.push({
+      date: formatDay(new Date(day)),
+      cutoff: new Date(Math.min(day + DAY_MS - 1, now.getTime())),
+      future: day > now.getTime()
+    });
+  }
+  return days;
+};
+
+const groupByTask = (activities) => {
+  const byTask = new Map();
+  activities.forEach(activity => {
+    const key = activity.taskId.toString();
+    if (!byTask.has(key)) byTask.set(key, []);
+    byTask.get(key).push(activity);
+  });
+  return byTask;
+};
+
+/**
+ * Whether `task` was done at `cutoff`. Completed/reopened activity is the
+ * history; tasks without any fall back to their current completion timestamp.
+ */
+const wasCompletedAt = (task, events, cutoff) => {
+  let completed = null;
+  for (const event of events) {
+    if (event.timestamp > cutoff) break;
+    completed = event.action === 'completed_task';
+  }
+  if (completed !== null) return completed;
+
+  const completedAt = task.completedAt || (task.status === 'done' ? task.updatedAt : null);
+  return !!completedAt && completedAt <= cutoff;
+};
+
+/**
+ * Daily remaining tasks and points for `tasks`.
+ *
+ * `enteredAt` maps task IDs to when they joined the scope (defaults to
+ * createdAt). `ideal` ({ tasks, points }) adds a straight guideline from
+ * that scope on the first day down to zero on the last.
+ */
+const buildBurndown = async (tasks, range, { enteredAt = new Map(), ideal = null } = {}, now = new Date()) => {
+  const events = groupByTask(await Activity.find({
+    taskId: { $in: tasks.map(task => task._id) },
+    action: { $in: ['completed_task', 'reopened_task'] }
+  })
+    .select('taskId action timestamp')
+    .sort({ timestamp: 1 })
+    .lean());
+
+  const days = listDays(range, now);
+
+  return days.map((day, index) => {
+    const point = { date: day.date };
+
+    if (ideal) {
+      const progress = days.length > 1 ? index / (days.length - 1) : 1;
+      point.idealTasks = Math.round(ideal.tasks * (1 - progress) * 100) / 100;
+      point.idealPoints = Math.round(ideal.points * (1 - progress) * 100) / 100;
+    }
+
+    if (day.future) {
+      return { ...point, remainingTasks: null, remainingPoints: null, completedTasks: null, completedPoints: null };
+    }
+
+    let remainingTasks = 0;
+    let remainingPoints = 0;
+    let completedTasks = 0;
+    let completedPoints = 0;
+
+    tasks.forEach(task => {
+      const key = task._id.toString();
+      if ((enteredAt.get(key) || task.createdAt) > day.cutoff) return;
+
+      if (wasCompletedAt(task, events.get(key) || [], day.cutoff)) {
+        completedTasks++;
+        completedPoints += task.storyPoints || 0;
+      } else {
+        remainingTasks++;
+        remainingPoints += task.storyPoints || 0;
+      }
+    });
+
+    return { ...point, remainingTasks, remainingPoints, completedTasks, completedPoints };
+  });
+};
+
+/**
+ * Daily task count per column, replayed from `moved_task` activity
+ * (`fromColumn`/`toColumn`). A task with no recorded moves has always been
+ * in its current column; one that has starts in the first move's `fromColumn`.
+ */
+const buildCumulativeFlow = async (boardId, tasks, range, now = new Date()) => {
+  const moves = groupByTask(await Activity.find({
+    taskId: { $in: tasks.map(task => task._id) },
+    action: 'moved_task'
+  })
+    .select('taskId metadata.fromColumn metadata.toColumn timestamp')
+    .sort({ timestamp: 1 })
+    .lean());
+
+  const columnAt = (task, cutoff) => {
+    const taskMoves = moves.get(task._id.toString()) || [];
+    if (taskMoves.length === 0) return task.column.toString();
+
+    let column = taskMoves[0].metadata.fromColumn || task.column;
+    for (const move of taskMoves) {
+      if (move.timestamp > cutoff) break;
+      column = move.metadata.toColumn || column;
+    }
+    return column.toString();
+  };
+
+  const days = listDays(range, now);
+  const series = days.map(day => {
+    const counts = {};
+    if (!day.future) {
+      tasks.forEach(task => {
+        if (task.createdAt > day.cutoff) return;
+        const column = columnAt(task, day.cutoff);
+        counts[column] = (counts[column] || 0) + 1;
+      });
+    }
+    return { date: day.date, columns: day.future ? null : counts };
+  });
+
+  // Current columns in board order, then any deleted column that still shows up in the history
+  const columns = await Column.find({ board: boardId }).select('title position').sort({ position: 1 });
+  const known = new Set(columns.map(column => column._id.toString()));
+  const historical = new Set();
+  series.forEach(day => Object.keys(day.columns || {}).forEach(id => {
+    if (!known.has(id)) historical.add(id);
+  }));
+
+  return {
+    columns: [
+      ...columns.map(column => ({ _id: column._id, title: column.title })),
+      ...[...historical].map(id => ({ _id: id, title: null, deleted: true }))
+    ],
+    series: series.map(day => ({
+      date: day.date,
+      columns: day.columns && Object.fromEntries(
+        [...known, ...historical].map(id => [id, day.columns[id] || 0])
+      )
+    }))
+  };
+};
+
+module.exports = {
+  parseChartRange,
+  buildBurndown,
+  buildCumulativeFlow
+};
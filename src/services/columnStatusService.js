@@ -0,0 +1,126 @@
+const Column = require('../models/Column');
+const Task = require('../models/Task');
+const Activity = require('../models/Activity');
+
+const STATUS_CATEGORIES = ['todo', 'in_progress', 'done'];
+
+/**
+ * Validate a column status category from a request body; null or '' removes
+ * the mapping. Resolves to { value } or { error }.
+ */
+const parseStatusCategory = (input) => {
+  if (input === null || input === '') return { value: null };
+
+  if (!STATUS_CATEGORIES.includes(input)) {
+    return { error: `Status category must be one of: ${STATUS_CATEGORIES.join(', ')}` };
+  }
+  return { value: input };
+};
+
+/**
+ * The column completed tasks are moved to: the board's first column mapped to "done"
+ */
+const getDoneColumn = (boardId) => Column.findOne({ board: boardId, statusCategory: 'done' })
+  .sort({ position: 1, createdAt: 1 });
+
+const getNextOrder = async (columnId) => {
+  const lastTask = await Task.findOne({ column: columnId }).sort({ order: -1 }).limit(1);
+  return lastTask ? lastTask.order + 1 : 0;
+};
+
+/**
+ * Record a column change made on the user's behalf, in the same shape as
+ * moveTask so flow charts can replay it
+ */
+const logColumnMove = async (userId, task, fromColumn, reason) => {
+  try {
+    await Activity.create({
+      user: userId,
+      action: 'moved_task',
+      taskId: task._id,
+      boardId: task.board,
+      columnId: task.column,
+      teamId: task.team,
+      description: `Moved task "${task.title}"`,
+      metadata: {
+        taskTitle: task.title,
+        fromColumn,
+        toColumn: task.column,
+        reason
+      }
+    });
+  } catch (activityError) {
+    console.error('Activity logging error:', activityError);
+  }
+};
+
+/**
+ * The column a task being completed moves to: the board's done column, or
+ * null when the task already sits in a column mapped to "done" or the board
+ * maps none. Lets callers check the column's WIP limit before completing.
+ */
+const getCompletionColumn = async (task) => {
+  const currentColumn = await Column.findById(task.column).select('statusCategory');
+  if (currentColumn && currentColumn.statusCategory === 'done') return null;
+
+  return getDoneColumn(task.board);
+};
+
+/**
+ * Put a task that is being completed into the board's done column, unless it
+ * already sits in a column mapped to "done". Remembers the column it came
+ * from so reopening can send it back. Changes the task without saving it;
+ * resolves to the column it left, or null when it stays put.
+ */
+const moveToDoneColumn = async (task) => {
+  const doneColumn = await getCompletionColumn(task);
+  if (!doneColumn) return null;
+
+  const fromColumn = task.column;
+  task.columnBeforeDone = fromColumn;
+  task.column = doneColumn._id;
+  task.order = await getNextOrder(doneColumn._id);
+  return fromColumn;
+};
+
+/**
+ * Where a reopened task goes: back to the column it was completed from, or
+ * else the board's first "todo" (then first not-done) column. Resolves to
+ * null when the task is not in a "done" column, so it stays where it is.
+ */
+const getReopenColumn = async (task) => {
+  const currentColumn = await Column.findById(task.column).select('statusCategory');
+  if (!currentColumn || currentColumn.statusCategory !== 'done') return null;
+
+  if (task.columnBeforeDone) {
+    const previous = await Column.findOne({ _id: task.columnBeforeDone, board: task.board });
+    if (previous && previous.statusCategory !== 'done') return previous;
+  }
+
+  const todoColumn = await Column.findOne({ board: task.board, statusCategory: 'todo' })
+    .sort({ position: 1, createdAt: 1 });
+  if (todoColumn) return todoColumn;
+
+  return Column.findOne({ board: task.board, statusCategory: { $ne: 'done' } })
+    .sort({ position: 1, createdAt: 1 });
+};
+
+/**
+ * Status an open task should have in `column`: the column's category when it
+ * has one, otherwise the task's current status (or todo when it was done)
+ */
+const getOpenStatusForColumn = (task, column) => {
+  if (column && column.statusCategory && column.statusCategory !== 'done') return column.statusCategory;
+  return task.status === 'done' ? 'todo' : task.status;
+};
+
+module.exports = {
+  STATUS_CATEGORIES,
+  parseStatusCategory,
+  getDoneColumn,
+  logColumnMove,
+  getCompletionColumn,
+  moveToDoneColumn,
+  getReopenColumn,
+  getOpenStatusForColumn
+};
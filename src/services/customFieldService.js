@@ -0,0 +1,287 @@
+const mongoose = require('mongoose');
+const CustomField = require('../models/CustomField');
+const User = require('../models/User');
+const { getBoardRole } = require('./boardPermissionService');
+
+const CUSTOM_FIELD_TYPES = ['text', 'number', 'date', 'select', 'user'];
+const MAX_TEXT_LENGTH = 500;
+const RANGE_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const isEmpty = (value) => value === null || value === undefined || value === '';
+
+/**
+ * Validate a custom field definition from a request body. `current` is the
+ * field being edited, if any. Resolves to { value } or { error }.
+ */
+const parseCustomFieldDefinition = (input, current = null) => {
+  const value = {
+    name: input.name !== undefined ? input.name : current && current.name,
+    type: input.type !== undefined ? input.type : current && current.type,
+    required: input.required !== undefined ? !!input.required : !!(current && current.required)
+  };
+
+  if (!value.name || typeof value.name !== 'string' || !value.name.trim()) {
+    return { error: 'Custom field name is required' };
+  }
+
+  if (!CUSTOM_FIELD_TYPES.includes(value.type)) {
+    return { error: `Field type must be one of: ${CUSTOM_FIELD_TYPES.join(', ')}` };
+  }
+
+  if (input.position !== undefined) {
+    const position = Number(input.position);
+    if (!Number.isInteger(position) || position < 0) {
+      return { error: 'Position must be a non-negative integer' };
+    }
+    value.position = position;
+  }
+
+  if (value.type === 'select') {
+    const options = input.options !== undefined
+      ? input.options
+      : (current && current.type === 'select' ? current.options : undefined);
+
+    if (!Array.isArray(options) || options.length === 0) {
+      return { error: 'Select fields need a list of options' };
+    }
+
+    const trimmed = options.map(option => String(option).trim()).filter(Boolean);
+    if (trimmed.length !== options.length || new Set(trimmed).size !== trimmed.length) {
+      return { error: 'Select options must be unique and not empty' };
+    }
+    value.options = trimmed;
+  } else if (input.options !== undefined && input.options !== null) {
+    return { error: 'Only select fields take options' };
+  } else {
+    value.options = undefined;
+  }
+
+  return { value };
+};
+
+/**
+ * Convert a raw request value to what is stored for `field`.
+ * Resolves to { value } or { error }.
+ */
+const coerceFieldValue = async (field, raw, board) => {
+  switch (field.type) {
+    case 'text': {
+      if (typeof raw !== 'string' && typeof raw !== 'number') {
+        return { error: 'must be text' };
+      }
+      const text = String(raw).trim();
+      if (text.length > MAX_TEXT_LENGTH) {
+        return { error: `cannot be more than ${MAX_TEXT_LENGTH} characters` };
+      }
+      return { value: text };
+    }
+
+    case 'number': {
+      const number = typeof raw === 'string' ? Number(raw) : raw;
+      if (typeof number !== 'number' || !Number.isFinite(number)) {
+        return { error: 'must be a number' };
+      }
+      return { value: number };
+    }
+
+    case 'date': {
+      const date = typeof raw === 'string' || typeof raw === 'number' ? new Date(raw) : null;
+      if (!date || Number.isNaN(date.getTime())) {
+        return { error: 'must be a valid date' };
+      }
+      return { value: date };
+    }
+
+    case 'select': {
+      if (!field.options.includes(raw)) {
+        return { error: `must be one of: ${field.options.join(', ')}` };
+      }
+      return { value: raw };
+    }
+
+    case 'user': {
+      if (!mongoose.Types.ObjectId.isValid(raw)) {
+        return { error: 'must be a user ID' };
+      }
+      const user = await User.findById(raw).select('_id');
+      if (!user || !(await getBoardRole(board, user._id))) {
+        return { error: 'must be a user with access to this board' };
+      }
+      return { value: user._id };
+    }
+
+    default:
+      return { error: 'has an unknown type' };
+  }
+};
+
+/**
+ * Validate task custom field values against the board's definitions.
+ *
+ * `input` is an object keyed by field ID (or field name); `null` or an empty
+ * string clears a value. On create every required field must be filled in.
+ * On update (`current` given) values are merged into the task's existing ones
+ * and only the fields in `input` are checked, so adding a required field to a
+ * board does not block edits to older tasks.
+ * Resolves to { value } with the full set of values, or { error }.
+ */
+const resolveCustomFieldValues = async (board, input, current = null) => {
+  if (input !== undefined && (input === null || typeof input !== 'object' || Array.isArray(input))) {
+    return { error: 'customFields must be an object keyed by field ID' };
+  }
+
+  const fields = await CustomField.find({ board: board._id });
+  const byId = new Map(fields.map(field => [field._id.toString(), field]));
+  const byName = new Map(fields.map(field => [field.name.toLowerCase(), field]));
+
+  // Drop values whose field has since been deleted
+  const values = new Map(current ? [...current].filter(([id]) => byId.has(id)) : []);
+  const touched = [];
+
+  for (const [key, raw] of Object.entries(input || {})) {
+    const field = byId.get(key) || byName.get(key.toLowerCase());
+    if (!field) {
+      return { error: `Unknown custom field "${key}"` };
+    }
+
+    const id = field._id.toString();
+    touched.push(field);
+
+    if (isEmpty(raw)) {
+      values.delete(id);
+      continue;
+    }
+
+    const result = await coerceFieldValue(field, raw, board);
+    if (result.error) {
+      return { error: `${field.name} ${result.error}` };
+    }
+    values.set(id, result.value);
+  }
+
+  const missing = (current ? touched : fields)
+    .filter(field => field.required && !values.has(field._id.toString()));
+  if (missing.length > 0) {
+    return { error: `Required custom fields missing: ${missing.map(field => field.name).join(', ')}` };
+  }
+
+  return { value: Object.fromEntries(values) };
+};
+
+/**
+ * Build the Mongo condition for one `?customFields[<id>]=...` filter
+ */
+const buildValueCondition = (field, raw) => {
+  if (raw && typeof raw === 'object' && !Array.isArray(raw)) {
+    if (!['number', 'date'].includes(field.type)) {
+      return { error: 'Range filters only work on number and date fields' };
+    }
+
+    const condition = {};
+    for (const [operator, bound] of Object.entries(raw)) {
+      if (!RANGE_OPERATORS.includes(operator)) {
+        return { error: `Unknown filter operator "${operator}"` };
+      }
+      const value = field.type === 'number' ? Number(bound) : new Date(bound);
+      if (Number.isNaN(field.type === 'number' ? value : value.getTime())) {
+        return { error: `Invalid ${field.type} for ${field.name}` };
+      }
+      condition[`$${operator}`] = value;
+    }
+    return { value: condition };
+  }
+
+  if (field.type === 'text') {
+    const text = String(raw).trim();
+    return { value: text ? { $regex: escapeRegex(text), $options: 'i' } : { $exists: false } };
+  }
+
+  const values = (Array.isArray(raw) ? raw : String(raw).split(','))
+    .map(value => String(value).trim())
+    .filter(Boolean);
+
+  if (values.length === 0) {
+    return { value: { $exists: false } };
+  }
+
+  switch (field.type) {
+    case 'number': {
+      const numbers = values.map(Number);
+      if (numbers.some(Number.isNaN)) return { error: `Invalid number for ${field.name}` };
+      return { value: { $in: numbers } };
+    }
+
+    case 'date': {
+      // A bare date matches the whole (UTC) day
+      const day = new Date(values[0]);
+      if (Number.isNaN(day.getTime())) return { error: `Invalid date for ${field.name}` };
+      day.setUTCHours(0, 0, 0, 0);
+      return { value: { $gte: day, $lt: new Date(day.getTime() + 24 * 60 * 60 * 1000) } };
+    }
+
+    case 'user': {
+      const ids = values.filter(id => mongoose.Types.ObjectId.isValid(id));
+      return { value: { $in: ids.map(id => mongoose.Types.ObjectId(id)) } };
+    }
+
+    default:
+      return { value: { $in: values } };
+  }
+};
+
+/**
+ * Turn custom field query parameters into a task filter and sort.
+ *
+ * Filters use `?customFields[<fieldId>]=value` (comma-separated values match
+ * any; text matches a substring; an empty value matches tasks without one)
+ * and `?customFields[<fieldId>][gte]=...` ranges for number and date fields.
+ * `?sort=customFields.<fieldId>` sorts ascending, `-customFields.<fieldId>`
+ * descending, with `defaultSort` as the tie-breaker.
+ * Resolves to { filter, sort } or { error }.
+ */
+const parseCustomFieldQuery = async (query, defaultSort) => {
+  const filter = {};
+  let sort = defaultSort;
+
+  const requested = query.customFields;
+  if (requested !== undefined) {
+    if (!requested || typeof requested !== 'object' || Array.isArray(requested)) {
+      return { error: 'Filter custom fields with customFields[<fieldId>]=value' };
+    }
+
+    const ids = Object.keys(requested);
+    if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return { error: 'Invalid custom field ID in filter' };
+    }
+
+    const fields = await CustomField.find({ _id: { $in: ids } });
+    if (fields.length !== ids.length) {
+      return { error: 'Unknown custom field in filter' };
+    }
+
+    for (const field of fields) {
+      const condition = buildValueCondition(field, requested[field._id.toString()]);
+      if (condition.error) return { error: condition.error };
+      filter[`customFields.${field._id}`] = condition.value;
+    }
+  }
+
+  if (query.sort) {
+    const match = /^(-?)customFields\.([0-9a-f]{24})$/i.exec(String(query.sort));
+    if (!match) {
+      return { error: 'Sort by a custom field with sort=customFields.<fieldId> or sort=-customFields.<fieldId>' };
+    }
+    sort = { [`customFields.${match[2]}`]: match[1] ? -1 : 1, ...defaultSort };
+  }
+
+  return { filter, sort };
+};
+
+module.exports = {
+  CUSTOM_FIELD_TYPES,
+  parseCustomFieldDefinition,
+  resolveCustomFieldValues,
+  parseCustomFieldQuery
+};
@@ -0,0 +1,164 @@
+const Task = require('../models/Task');
+
+const toId = (value) => (value._id || value).toString();
+
+/**
+ * Dependencies may only link tasks in the same team, or on the same board
+ * when the tasks have no team
+ */
+const canLinkTasks = (task, other) => {
+  if (task.team || other.team) {
+    return !!task.team && !!other.team && toId(task.team) === toId(other.team);
+  }
+  return toId(task.board) === toId(other.board);
+};
+
+/**
+ * Would making `taskId` blocked by `blockerId` close a loop? That is the case
+ * when the blocker is already (transitively) blocked by the task, counting
+ * links through tasks in the trash.
+ * Resolves to the cycle as a list of task IDs, or null.
+ */
+const findDependencyCycle = async (taskId, blockerId) => {
+  const target = taskId.toString();
+  const start = blockerId.toString();
+
+  if (target === start) return [target, target];
+
+  // Breadth-first walk up the blockedBy edges, remembering how we reached each task
+  const cameFrom = new Map([[start, null]]);
+  let frontier = [start];
+
+  while (frontier.length > 0) {
+    // Trashed tasks keep their links and can be restored, so they count too
+    const tasks = await Task.find({ _id: { $in: frontier }, deleted: { $in: [true, false, null] } })
+      .select('blockedBy')
+      .lean();
+    const next = [];
+
+    for (const current of tasks) {
+      for (const dependency of current.blockedBy || []) {
+        const id = dependency.toString();
+        if (cameFrom.has(id)) continue;
+
+        cameFrom.set(id, current._id.toString());
+
+        if (id === target) {
+          const path = [];
+          for (let step = id; step; step = cameFrom.get(step)) path.unshift(step);
+          return [target, ...path];
+        }
+
+        next.push(id);
+      }
+    }
+
+    frontier = next;
+  }
+
+  return null;
+};
+
+/**
+ * Blockers of a task that are not done yet
+ */
+const getOpenBlockers = async (task) => {
+  if (!task.blockedBy || task.blockedBy.length === 0) return [];
+
+  return Task.find({
+    _id: { $in: task.blockedBy },
+    status: { $ne: 'done' }
+  }).select('title status board column');
+};
+
+/**
+ * Drop every dependency link pointing at the given tasks, e.g. once they are deleted
+ */
+const removeDependencyLinks = async (taskIds) => {
+  const ids = Array.isArray(taskIds) ? taskIds : [taskIds];
+  if (ids.length === 0) return;
+
+  await Task.updateMany(
+    { blockedBy: { $in: ids } },
+    { $pull: { blockedBy: { $in: ids } } }
+  );
+};
+
+/**
+ * Build the dependency graph for a board. Tasks on other boards in the same
+ * team appear as nodes flagged `external` when they are linked to this board.
+ * Edges point from the blocker to the task it blocks.
+ */
+const getBoardDependencyGraph = async (board) => {
+  const boardTasks = await Task.find({ board: board._id })
+    .select('title status column blockedBy assignedTo assignees dueDate')
+    .lean();
+
+  const boardTaskIds = boardTasks.map(task => task._id);
+  const blockingOutside = await Task.find({
+    board: { $ne: board._id },
+    blockedBy: { $in: boardTaskIds }
+  })
+    .select('title status board column blockedBy')
+    .lean();
+
+  const known = new Set(boardTasks.map(task => task._id.toString()));
+  blockingOutside.forEach(task => known.add(task._id.toString()));
+
+  const missingBlockerIds = [...new Set(
+    boardTasks
+      .flatMap(task => task.blockedBy || [])
+      .map(id => id.toString())
+      .filter(id => !known.has(id))
+  )];
+  const outsideBlockers = await Task.find({ _id: { $in: missingBlockerIds } })
+    .select('title status board column')
+    .lean();
+
+  const statusById = new Map();
+  [...boardTasks, ...blockingOutside, ...outsideBlockers]
+    .forEach(task => statusById.set(task._id.toString(), task.status));
+
+  const edges = [];
+  [...boardTasks, ...blockingOutside].forEach(task => {
+    (task.blockedBy || []).forEach(blockerId => {
+      const from = blockerId.toString();
+      if (!statusById.has(from)) return;
+
+      // Only keep edges that touch this board
+      const to = task._id.toString();
+      if (!boardTaskIds.some(id => id.toString() === from || id.toString() === to)) return;
+
+      edges.push({ from, to, open: statusById.get(from) !== 'done' });
+    });
+  });
+
+  const blockedIds = new Set(edges.filter(edge => edge.open).map(edge => edge.to));
+
+  const toNode = (task, external) => ({
+    _id: task._id,
+    title: task.title,
+    status: task.status,
+    column: task.column,
+    ...(external && { board: task.board }),
+    external,
+    isBlocked: blockedIds.has(task._id.toString())
+  });
+
+  return {
+    nodes: [
+      ...boardTasks.map(task => toNode(task, false)),
+      ...blockingOutside.map(task => toNode(task, true)),
+      ...outsideBlockers.map(task => toNode(task, true))
+    ],
+    edges
+  };
+};
+
+module.exports = {
+  canLinkTasks,
+  findDependencyCycle,
+  getOpenBlockers,
+  removeDependencyLinks,
+  getBoardDependencyGraph
+};
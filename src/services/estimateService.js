@@ -0,0 +1,199 @@
+const Task = require('../models/Task');
+
+const POINT_SCALES = {
+  fibonacci: [0, 1, 2, 3, 5, 8, 13, 21],
+  linear: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10],
+  powers_of_two: [0, 1, 2, 4, 8, 16, 32]
+};
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_REPORT_WEEKS = 52;
+
+/**
+ * Story point values allowed on a board
+ */
+const getPointScale = (board) => {
+  const estimation = (board && board.estimation) || {};
+
+  if (estimation.scale === 'custom' && estimation.customScale && estimation.customScale.length) {
+    return [...estimation.customScale].sort((a, b) => a - b);
+  }
+
+  return POINT_SCALES[estimation.scale] || POINT_SCALES.fibonacci;
+};
+
+/**
+ * Validate board estimation settings from a request body.
+ * Resolves to { value } or { error }.
+ */
+const parseEstimationSettings = (input, current = {}) => {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Estimation settings must be an object' };
+  }
+
+  const value = {
+    scale: input.scale !== undefined ? input.scale : (current.scale || 'fibonacci'),
+    customScale: input.customScale !== undefined ? input.customScale : current.customScale,
+    hoursEnabled: input.hoursEnabled !== undefined ? !!input.hoursEnabled : current.hoursEnabled !== false
+  };
+
+  const scales = [...Object.keys(POINT_SCALES), 'custom'];
+  if (!scales.includes(value.scale)) {
+    return { error: `Estimation scale must be one of: ${scales.join(', ')}` };
+  }
+
+  if (value.scale === 'custom') {
+    const customScale = Array.isArray(value.customScale) ? value.customScale.map(Number) : [];
+    if (customScale.length === 0 || customScale.some(point => !Number.isFinite(point) || point < 0)) {
+      return { error: 'A custom scale needs a list of non-negative point values' };
+    }
+    value.customScale = [...new Set(customScale)].sort((a, b) => a - b);
+  } else {
+    value.customScale = undefined;
+  }
+
+  return { value };
+};
+
+/**
+ * Check task estimate fields against the board's settings.
+ * `null` clears an estimate. Resolves to an error message or null.
+ */
+const validateTaskEstimate = (board, { storyPoints, estimatedHours }) => {
+  if (storyPoints !== undefined && storyPoints !== null) {
+    const scale = getPointScale(board);
+    if (!scale.includes(Number(storyPoints))) {
+      return `Story points must be one of: ${scale.join(', ')}`;
+    }
+  }
+
+  if (estimatedHours !== undefined && estimatedHours !== null) {
+    if (board.estimation && board.estimation.hoursEnabled === false) {
+      return 'Hour estimates are disabled on this board';
+    }
+
+    const hours = Number(estimatedHours);
+    if (!Number.isFinite(hours) || hours < 0 || hours > 1000) {
+      return 'Estimated hours must be a number between 0 and 1000';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Monday 00:00 UTC of the week containing `date`
+ */
+const getWeekStart = (date) => {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const daysSinceMonday = (start.getUTCDay() + 6) % 7;
+  return new Date(start.getTime() - daysSinceMonday * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Resolve the weeks a report covers from `?weeks=N` (default 8, counting the
+ * current week) or `?from=`/`?to=`. Resolves to { from, to } or { error }.
+ */
+const parseReportRange = ({ weeks, from, to }, now = new Date()) => {
+  const end = to ? new Date(to) : now;
+  if (Number.isNaN(end.getTime())) return { error: 'Invalid "to" date' };
+
+  let start;
+  if (from) {
+    start = new Date(from);
+    if (Number.isNaN(start.getTime())) return { error: 'Invalid "from" date' };
+  } else {
+    const weekCount = weeks === undefined ? 8 : parseInt(weeks, 10);
+    if (!Number.isInteger(weekCount) || weekCount < 1 || weekCount > MAX_REPORT_WEEKS) {
+      return { error: `weeks must be between 1 and ${MAX_REPORT_WEEKS}` };
+    }
+    start = new Date(getWeekStart(end).getTime() - (weekCount - 1) * WEEK_MS);
+  }
+
+  if (start > end) return { error: '"from" must be before "to"' };
+  if ((end - start) / WEEK_MS > MAX_REPORT_WEEKS) {
+    return { error: `Reports can cover at most ${MAX_REPORT_WEEKS} weeks` };
+  }
+
+  return { from: getWeekStart(start), to: end };
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Bucket completed tasks into weeks. Every week in the range is listed, even
+ * with nothing completed, so averages are not inflated by quiet weeks.
+ */
+const summarizeWeeks = (tasks, { from, to }, now = new Date()) => {
+  const weeks = [];
+  for (let week = from.getTime(); week <= to.getTime(); week += WEEK_MS) {
+    weeks.push({ weekStart: new Date(week), tasksCompleted: 0, points: 0, hours: 0, unestimated: 0 });
+  }
+
+  const byStart = new Map(weeks.map(week => [week.weekStart.getTime(), week]));
+
+  tasks.forEach(task => {
+    const week = byStart.get(getWeekStart(task.completedAt).getTime());
+    if (!week) return;
+
+    week.tasksCompleted++;
+    week.points += task.storyPoints || 0;
+    week.hours += task.estimatedHours || 0;
+    if (task.storyPoints === null || task.storyPoints === undefined) week.unestimated++;
+  });
+
+  weeks.forEach(week => {
+    week.points = round(week.points);
+    week.hours = round(week.hours);
+  });
+
+  // The current week is still in progress, so leave it out of the averages
+  const currentWeek = getWeekStart(now).getTime();
+  const fullWeeks = weeks.filter(week => week.weekStart.getTime() < currentWeek);
+  const average = (key) => (fullWeeks.length
+    ? round(fullWeeks.reduce((sum, week) => sum + week[key], 0) / fullWeeks.length)
+    : 0);
+
+  return {
+    weeks,
+    totals: {
+      tasksCompleted: tasks.length,
+      points: round(tasks.reduce((sum, task) => sum + (task.storyPoints || 0), 0)),
+      hours: round(tasks.reduce((sum, task) => sum + (task.estimatedHours || 0), 0))
+    },
+    averages: {
+      weeksCounted: fullWeeks.length,
+      throughput: average('tasksCompleted'),
+      velocity: average('points'),
+      hours: average('hours')
+    }
+  };
+};
+
+/**
+ * Weekly throughput (tasks completed) and velocity (story points completed)
+ * for tasks matching `filter`. Tasks that were reopened have no completedAt
+ * and drop out until they are completed again.
+ */
+const getVelocityReport = async (filter, range) => {
+  const tasks = await Task.find({
+    ...filter,
+    status: 'done',
+    completedAt: { $gte: range.from, $lte: range.to }
+  })
+    .select('board storyPoints estimatedHours completedAt')
+    .lean();
+
+  return { tasks, ...summarizeWeeks(tasks, range) };
+};
+
+module.exports = {
+  POINT_SCALES,
+  getPointScale,
+  parseEstimationSettings,
+  validateTaskEstimate,
+  getWeekStart,
+  parseReportRange,
+  summarizeWeeks,
+  getVelocityReport
+};
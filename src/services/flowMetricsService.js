@@ -0,0 +1,178 @@
+const Task = require('../models/Task');
+const Activity = require('../models/Activity');
+const Column = require('../models/Column');
+const User = require('../models/User');
+const Label = require('../models/Label');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const PERCENTILES = [50, 85, 95];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Linear-interpolated percentile of an ascending list
+ */
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
+/**
+ * Count, average and p50/p85/p95 of durations given in milliseconds, reported in hours
+ */
+const summarizeDurations = (durations) => {
+  const hours = durations.map(ms => ms / HOUR_MS).sort((a, b) => a - b);
+  const summary = {
+    count: hours.length,
+    average: hours.length ? round(hours.reduce((sum, value) => sum + value, 0) / hours.length) : null
+  };
+  PERCENTILES.forEach(p => {
+    const value = percentile(hours, p);
+    summary[`p${p}`] = value === null ? null : round(value);
+  });
+  return summary;
+};
+
+/**
+ * Replay a completed task's `moved_task` history into lead time, cycle time
+ * and the time spent in each column.
+ *
+ * The first column is where the task started: the first move's `fromColumn`,
+ * or its current column when it never moved. Cycle time starts at the first
+ * move to a different column; tasks done without ever leaving the first
+ * column have no cycle time.
+ */
+const measureTask = (task, moves) => {
+  const doneAt = task.completedAt;
+  const columnMoves = moves.filter(move => move.timestamp <= doneAt
+    && move.metadata.toColumn
+    && String(move.metadata.toColumn) !== String(move.metadata.fromColumn));
+
+  const firstColumn = String(columnMoves.length ? columnMoves[0].metadata.fromColumn : task.column);
+  const startedAt = columnMoves.length ? columnMoves[0].timestamp : null;
+
+  const dwell = [];
+  let column = firstColumn;
+  let enteredAt = task.createdAt;
+  columnMoves.forEach(move => {
+    dwell.push({ column, ms: Math.max(0, move.timestamp - enteredAt) });
+    column = String(move.metadata.toColumn);
+    enteredAt = move.timestamp;
+  });
+  dwell.push({ column, ms: Math.max(0, doneAt - enteredAt) });
+
+  return {
+    leadTime: Math.max(0, doneAt - task.createdAt),
+    cycleTime: startedAt ? Math.max(0, doneAt - startedAt) : null,
+    dwell
+  };
+};
+
+const addToGroup = (groups, key, measurement) => {
+  if (!groups.has(key)) groups.set(key, { leadTimes: [], cycleTimes: [] });
+  const group = groups.get(key);
+  group.leadTimes.push(measurement.leadTime);
+  if (measurement.cycleTime !== null) group.cycleTimes.push(measurement.cycleTime);
+};
+
+const summarizeGroup = (group) => ({
+  leadTime: summarizeDurations(group.leadTimes),
+  cycleTime: summarizeDurations(group.cycleTimes)
+});
+
+/**
+ * Lead and cycle time percentiles for tasks on a board completed on the
+ * days in `range` (as from parseChartRange), overall and per assignee and
+ * label, plus how long tasks spent in each column before they were done
+ * (longest average dwell first).
+ */
+const getFlowMetrics = async (board, { from, to }) => {
+  const tasks = await Task.find({
+    board: board._id,
+    status: 'done',
+    completedAt: { $gte: from, $lt: new Date(to.getTime() + DAY_MS) }
+  })
+    .select('column assignees assignedTo labels createdAt completedAt');
+
+  const moves = await Activity.find({
+    taskId: { $in: tasks.map(task => task._id) },
+    action: 'moved_task'
+  })
+    .select('taskId metadata.fromColumn metadata.toColumn timestamp')
+    .sort({ timestamp: 1 })
+    .lean();
+
+  const movesByTask = new Map();
+  moves.forEach(move => {
+    const key = move.taskId.toString();
+    if (!movesByTask.has(key)) movesByTask.set(key, []);
+    movesByTask.get(key).push(move);
+  });
+
+  const overall = { leadTimes: [], cycleTimes: [] };
+  const byAssignee = new Map();
+  const byLabel = new Map();
+  const dwellByColumn = new Map();
+
+  tasks.forEach(task => {
+    const measurement = measureTask(task, movesByTask.get(task._id.toString()) || []);
+
+    overall.leadTimes.push(measurement.leadTime);
+    if (measurement.cycleTime !== null) overall.cycleTimes.push(measurement.cycleTime);
+
+    const assigneeIds = task.getAssigneeIds();
+    (assigneeIds.length ? assigneeIds : ['unassigned']).forEach(id => addToGroup(byAssignee, id, measurement));
+    task.labels.forEach(labelId => addToGroup(byLabel, labelId.toString(), measurement));
+
+    // Several visits to the same column count as one stay per task
+    const perColumn = new Map();
+    measurement.dwell.forEach(({ column, ms }) => perColumn.set(column, (perColumn.get(column) || 0) + ms));
+    perColumn.forEach((ms, column) => {
+      if (!dwellByColumn.has(column)) dwellByColumn.set(column, []);
+      dwellByColumn.get(column).push(ms);
+    });
+  });
+
+  const [users, labels, columns] = await Promise.all([
+    User.find({ _id: { $in: [...byAssignee.keys()].filter(id => id !== 'unassigned') } }).select('name username avatar'),
+    Label.find({ _id: { $in: [...byLabel.keys()] } }).select('name color'),
+    Column.find({ _id: { $in: [...dwellByColumn.keys()] } }).select('title position')
+  ]);
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+  const labelsById = new Map(labels.map(label => [label._id.toString(), label]));
+  const columnsById = new Map(columns.map(column => [column._id.toString(), column]));
+
+  return {
+    taskCount: tasks.length,
+    ...summarizeGroup(overall),
+    byAssignee: [...byAssignee].map(([id, group]) => ({
+      user: id === 'unassigned' ? null : (usersById.get(id) || { _id: id }),
+      ...summarizeGroup(group)
+    })),
+    byLabel: [...byLabel].map(([id, group]) => ({
+      label: labelsById.get(id) || { _id: id },
+      ...summarizeGroup(group)
+    })),
+    columnDwell: [...dwellByColumn]
+      .map(([id, durations]) => {
+        const column = columnsById.get(id);
+        return {
+          column: column ? { _id: column._id, title: column.title } : { _id: id, title: null, deleted: true },
+          ...summarizeDurations(durations),
+          totalHours: round(durations.reduce((sum, ms) => sum + ms, 0) / HOUR_MS)
+        };
+      })
+      .sort((a, b) => b.average - a.average)
+  };
+};
+
+module.exports = {
+  percentile,
+  summarizeDurations,
+  measureTask,
+  getFlowMetrics
+};
@@ -0,0 +1,111 @@
+const Team = require('../models/Team');
+const Board = require('../models/Board');
+const User = require('../models/User');
+const { FRONTEND_URL } = require('../config/default');
+const { notifyUsers } = require('./notificationService');
+
+// @username, not preceded by a word character so emails are not picked up
+const MENTION_PATTERN = /(^|[^\w@])@([A-Za-z0-9_][A-Za-z0-9_.-]*)/g;
+
+/**
+ * Extract the distinct usernames mentioned in a piece of text (lowercased)
+ */
+const extractMentions = (text) => {
+  if (!text) return [];
+
+  const usernames = new Set();
+  let match;
+
+  MENTION_PATTERN.lastIndex = 0;
+  while ((match = MENTION_PATTERN.exec(text)) !== null) {
+    // Trailing punctuation such as "@sam." is not part of the username
+    usernames.add(match[2].replace(/[.-]+$/, '').toLowerCase());
+  }
+
+  return [...usernames];
+};
+
+/**
+ * Resolve the users mentioned in `text` against the people who can see the
+ * task: members of the task's team plus the board's creator and members.
+ * Unknown usernames and outsiders are ignored.
+ */
+const findMentionedUsers = async (text, task) => {
+  const usernames = extractMentions(text);
+  if (usernames.length === 0) return [];
+
+  const candidateIds = new Set();
+
+  const board = await Board.findById(task.board).select('createdBy members team');
+  if (board) {
+    candidateIds.add(board.createdBy.toString());
+    (board.members || []).forEach(member => candidateIds.add(member.user.toString()));
+  }
+
+  const teamId = task.team || (board && board.team);
+  const team = teamId ? await Team.findById(teamId) : null;
+  if (team) {
+    candidateIds.add(team.owner.toString());
+    (team.admins || []).forEach(adminId => candidateIds.add(adminId.toString()));
+    (team.members || []).forEach(member => candidateIds.add(member.user.toString()));
+  }
+
+  const users = await User.find({ _id: { $in: [...candidateIds] } }).select('username name');
+
+  return users.filter(user => user.username && usernames.includes(user.username.toLowerCase()));
+};
+
+/**
+ * Link to a task in the frontend
+ */
+const getTaskLink = (task) => `${FRONTEND_URL}/boards/${task.board}/tasks/${task._id}`;
+
+/**
+ * Send `mention` notifications to newly mentioned users
+ */
+const notifyMentions = async (io, users, { task, initiator, context = 'task' }) => {
+  if (!users || users.length === 0) return [];
+
+  const where = context === 'comment' ? 'a comment on task' : 'task';
+
+  return notifyUsers(io, users, {
+    initiator,
+    type: 'mention',
+    relatedTask: task._id,
+    relatedBoard: task.board,
+    relatedTeam: task.team,
+    link: getTaskLink(task),
+    message: `You were mentioned in ${where} "${task.title}"`
+  });
+};
+
+/**
+ * Notify users newly mentioned in `text` and remember them on `doc` (a Task or
+ * Comment with a `mentions` array). Users already in `doc.mentions` were notified
+ * before, so editing the text never re-notifies them.
+ */
+const recordMentions = async (io, doc, text, { task, initiator, context }) => {
+  const alreadyMentioned = new Set((doc.mentions || []).map(id => id.toString()));
+  const users = await findMentionedUsers(text, task);
+  const newMentions = users.filter(user => !alreadyMentioned.has(user._id.toString()));
+
+  if (newMentions.length === 0) return [];
+
+  const newIds = newMentions.map(user => user._id);
+  await doc.constructor.updateOne(
+    { _id: doc._id },
+    { $addToSet: { mentions: { $each: newIds } } }
+  );
+  doc.mentions = [...(doc.mentions || []), ...newIds];
+
+  await notifyMentions(io, newMentions, { task, initiator, context });
+
+  return newMentions;
+};
+
+module.exports = {
+  extractMentions,
+  findMentionedUsers,
+  notifyMentions,
+  recordMentions
+};
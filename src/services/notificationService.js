@@ -0,0 +1,42 @@
+const Notification = require('../models/Notification');
+
+/**
+ * Create the same notification for several users and push each one to the
+ * recipient's `user:<id>` socket room. The initiator is never notified about
+ * their own action, and duplicate recipients only get one notification.
+ */
+const notifyUsers = async (io, recipients, { initiator, ...notification }) => {
+  const initiatorId = initiator ? initiator.toString() : null;
+  const recipientIds = [...new Set(
+    recipients
+      .filter(Boolean)
+      .map(recipient => (recipient._id || recipient).toString())
+  )].filter(id => id !== initiatorId);
+
+  const created = [];
+
+  for (const recipientId of recipientIds) {
+    try {
+      const doc = await Notification.create({
+        ...notification,
+        recipient: recipientId,
+        initiator: initiatorId,
+        read: false
+      });
+
+      if (io) {
+        io.to(`user:${recipientId}`).emit('notification:new', doc);
+      }
+
+      created.push(doc);
+    } catch (error) {
+      console.error(`Error creating ${notification.type} notification:`, error);
+    }
+  }
+
+  return created;
+};
+
+module.exports = {
+  notifyUsers
+};
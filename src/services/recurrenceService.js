@@ -0,0 +1,245 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const Column = require('../models/Column');
+const Activity = require('../models/Activity');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly', 'after_completion'];
+
+// Guards against rules that can never produce a date (e.g. a bad weekday list)
+const MAX_STEPS = 1000;
+
+const isInteger = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+/**
+ * Validate and normalise a recurrence rule from a request body.
+ * Resolves to { value } or { error } with a message for the client.
+ */
+const parseRecurrence = (input) => {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Recurrence must be an object' };
+  }
+
+  const { frequency, until, column } = input;
+  const interval = input.interval === undefined ? 1 : Number(input.interval);
+
+  if (!RECURRENCE_FREQUENCIES.includes(frequency)) {
+    return { error: `Recurrence frequency must be one of: ${RECURRENCE_FREQUENCIES.join(', ')}` };
+  }
+
+  if (!isInteger(interval, 1, 365)) {
+    return { error: 'Recurrence interval must be a whole number between 1 and 365' };
+  }
+
+  const value = { frequency, interval, weekdays: [], monthDay: null, until: null };
+
+  if (frequency === 'weekly' && input.weekdays !== undefined) {
+    const weekdays = Array.isArray(input.weekdays) ? input.weekdays.map(Number) : [];
+    if (weekdays.length === 0 || !weekdays.every(day => isInteger(day, 0, 6))) {
+      return { error: 'Recurrence weekdays must be a non-empty list of days from 0 (Sunday) to 6 (Saturday)' };
+    }
+    value.weekdays = [...new Set(weekdays)].sort((a, b) => a - b);
+  }
+
+  if (frequency === 'monthly' && input.monthDay !== undefined && input.monthDay !== null) {
+    const monthDay = Number(input.monthDay);
+    if (!isInteger(monthDay, 1, 31)) {
+      return { error: 'Recurrence monthDay must be between 1 and 31' };
+    }
+    value.monthDay = monthDay;
+  }
+
+  if (until) {
+    const untilDate = new Date(until);
+    if (Number.isNaN(untilDate.getTime())) {
+      return { error: 'Recurrence until must be a valid date' };
+    }
+    value.until = untilDate;
+  }
+
+  if (column) {
+    if (!mongoose.Types.ObjectId.isValid(column)) {
+      return { error: 'Invalid recurrence column ID' };
+    }
+    value.column = column;
+  }
+
+  return { value };
+};
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+const startOfWeek = (date) => {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  return addDays(start, -start.getUTCDay());
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+/**
+ * Next matching weekday after `date`, counting weeks from `date`'s own week
+ * so "every 2 weeks on Mon and Wed" visits both days before skipping a week
+ */
+const nextWeekly = (date, { interval, weekdays }) => {
+  const days = weekdays && weekdays.length ? weekdays : [date.getUTCDay()];
+  const anchorWeek = startOfWeek(date).getTime();
+
+  for (let offset = 1; offset <= 7 * (interval + 1); offset++) {
+    const candidate = addDays(date, offset);
+    const weekIndex = Math.round((startOfWeek(candidate).getTime() - anchorWeek) / (7 * DAY_MS));
+
+    if (weekIndex % interval === 0 && days.includes(candidate.getUTCDay())) {
+      return candidate;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Next occurrence of the rule's day of the month after `date`,
+ * clamped to the end of shorter months. Only rules saved without a due date
+ * lack a monthDay; those follow `date`'s own day.
+ */
+const nextMonthly = (date, { interval, monthDay }) => {
+  const day = monthDay || date.getUTCDate();
+  const build = (year, month) => new Date(Date.UTC(
+    year,
+    month,
+    Math.min(day, daysInMonth(year, month)),
+    date.getUTCHours(),
+    date.getUTCMinutes(),
+    date.getUTCSeconds()
+  ));
+
+  const sameMonth = build(date.getUTCFullYear(), date.getUTCMonth());
+  if (sameMonth > date) return sameMonth;
+
+  const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + interval, 1));
+  return build(target.getUTCFullYear(), target.getUTCMonth());
+};
+
+const nextFixedDate = (date, rule) => {
+  switch (rule.frequency) {
+    case 'daily':
+      return addDays(date, rule.interval);
+    case 'weekly':
+      return nextWeekly(date, rule);
+    case 'monthly':
+      return nextMonthly(date, rule);
+    default:
+      return null;
+  }
+};
+
+/**
+ * Due date for the occurrence after a task completed at `completedAt`.
+ * Fixed schedules step from the task's due date (or the completion date when it
+ * has none) and skip any dates already in the past, so finishing late never
+ * produces an occurrence that is overdue on creation.
+ */
+const getNextDueDate = (rule, { dueDate, completedAt = new Date() }) => {
+  if (rule.frequency === 'after_completion') {
+    return addDays(completedAt, rule.interval);
+  }
+
+  let next = new Date(dueDate || completedAt);
+  for (let step = 0; step < MAX_STEPS; step++) {
+    next = nextFixedDate(next, rule);
+    if (!next || next > completedAt) return next;
+  }
+
+  return null;
+};
+
+const resetChecklists = (checklists) => (checklists || []).map(checklist => ({
+  title: checklist.title,
+  items: checklist.items.map(item => ({
+    text: item.text,
+    assignedTo: item.assignedTo
+  }))
+}));
+
+/**
+ * Create the next occurrence of a recurring task that has just been completed.
+ * Resolves to the new task, or null when the task doesn't recur, the series has
+ * ended, or the next occurrence was already created (e.g. completed, reopened
+ * and completed again).
+ */
+const createNextOccurrence = async (task, userId) => {
+  const rule = task.recurrence;
+  if (!rule || task.nextOccurrence) return null;
+
+  const dueDate = getNextDueDate(rule, { dueDate: task.dueDate, completedAt: task.completedAt || new Date() });
+  if (!dueDate || (rule.until && dueDate > rule.until)) return null;
+
+  // New occurrences go back to the series' column, if it still exists on the board
+  const seriesColumn = rule.column && await Column.findOne({ _id: rule.column, board: task.board });
+  const columnId = seriesColumn ? seriesColumn._id : task.column;
+
+  // Claim the slot first so concurrent completions only create one occurrence
+  const nextId = new mongoose.Types.ObjectId();
+  const claim = await Task.updateOne(
+    { _id: task._id, nextOccurrence: null },
+    { $set: { nextOccurrence: nextId } }
+  );
+  if ((claim.nModified || claim.modifiedCount) !== 1) return null;
+  task.nextOccurrence = nextId;
+
+  const lastTask = await Task.findOne({ column: columnId }).sort({ order: -1 }).select('order');
+
+  const next = await Task.create({
+    _id: nextId,
+    title: task.title,
+    description: task.description,
+    priority: task.priority,
+    dueDate,
+    storyPoints: task.storyPoints,
+    estimatedHours: task.estimatedHours,
+    customFields: task.customFields,
+    swimlane: task.swimlane,
+    order: lastTask ? lastTask.order + 1 : 0,
+    board: task.board,
+    column: columnId,
+    team: task.team,
+    assignees: task.getAssigneeIds(),
+    watchers: task.watchers,
+    labels: task.labels,
+    checklists: resetChecklists(task.checklists),
+    autoCompleteChecklist: task.autoCompleteChecklist,
+    createdBy: task.createdBy,
+    recurrence: rule.toObject ? rule.toObject() : rule,
+    seriesId: task.seriesId || task._id,
+    previousOccurrence: task._id
+  });
+
+  try {
+    await Activity.create({
+      user: userId,
+      action: 'created_task',
+      taskId: next._id,
+      boardId: next.board,
+      columnId: next.column,
+      teamId: next.team,
+      description: `Created next occurrence of recurring task "${next.title}"`,
+      metadata: {
+        taskTitle: next.title,
+        seriesId: next.seriesId,
+        previousOccurrence: task._id,
+        dueDate
+      }
+    });
+  } catch (activityError) {
+    console.error('Activity logging error:', activityError);
+  }
+
+  return next;
+};
+
+module.exports = {
+  RECURRENCE_FREQUENCIES,
+  parseRecurrence,
+  getNextDueDate,
+  createNextOccurrence
+};
@@ -0,0 +1,168 @@
+const Task = require('../models/Task');
+const Board = require('../models/Board');
+const { isMongoConnected } = require('../config/db');
+const {
+  REMINDERS_ENABLED,
+  REMINDER_SCAN_INTERVAL_MINUTES,
+  REMINDER_WINDOWS_HOURS,
+  REMINDER_OVERDUE_LOOKBACK_DAYS
+} = require('../config/default');
+const { notifyUsers } = require('./notificationService');
+const { sendTaskReminderEmail } = require('../utils/mailer');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let timer = null;
+let scanning = false;
+
+/**
+ * Pick the reminder kind for a task: the tightest "due soon" window it falls in,
+ * or "overdue" once the due date has passed.
+ */
+const getReminderKind = (dueDate, now, windows) => {
+  const msLeft = new Date(dueDate).getTime() - now.getTime();
+
+  if (msLeft <= 0) return 'overdue';
+
+  const window = windows.find(hours => msLeft <= hours * HOUR_MS);
+  return window ? `due_soon_${window}h` : null;
+};
+
+/**
+ * Atomically mark a reminder as sent. Only the caller that flips the flag
+ * sends the reminder, so restarts and concurrent scans never double-notify.
+ */
+const claimReminder = async (task, kind) => {
+  const result = await Task.updateOne(
+    {
+      _id: task._id,
+      dueDate: task.dueDate,
+      remindersSent: { $not: { $elemMatch: { kind, dueDate: task.dueDate } } }
+    },
+    { $push: { remindersSent: { kind, dueDate: task.dueDate, sentAt: new Date() } } }
+  );
+
+  return (result.nModified || result.modifiedCount) === 1;
+};
+
+/**
+ * Populated assignees of a task, including a legacy `assignedTo` not yet in `assignees`
+ */
+const getAssignees = (task) => {
+  const assignees = [...(task.assignees || [])];
+  if (task.assignedTo && !assignees.some(user => user._id.toString() === task.assignedTo._id.toString())) {
+    assignees.unshift(task.assignedTo);
+  }
+  return assignees;
+};
+
+const sendReminder = async (io, task, kind) => {
+  const overdue = kind === 'overdue';
+  const assignees = getAssignees(task);
+
+  await notifyUsers(io, assignees, {
+    type: overdue ? 'task_overdue' : 'task_due_soon',
+    relatedTask: task._id,
+    relatedBoard: task.board,
+    relatedTeam: task.team,
+    message: overdue
+      ? `Task "${task.title}" is overdue`
+      : `Task "${task.title}" is due ${new Date(task.dueDate).toUTCString()}`
+  });
+
+  for (const assignee of assignees) {
+    if (assignee.email) {
+      await sendTaskReminderEmail(assignee, task, { overdue });
+    }
+  }
+};
+
+/**
+ * Scan open tasks on boards that are not archived with a due date inside the
+ * largest reminder window (or recently overdue) and send their assignees at
+ * most one reminder per kind and due date.
+ */
+const runReminderScan = async (io, now = new Date()) => {
+  if (scanning || !isMongoConnected()) return { sent: 0 };
+
+  scanning = true;
+  let sent = 0;
+
+  try {
+    const windows = [...REMINDER_WINDOWS_HOURS].sort((a, b) => a - b);
+    const maxWindow = windows.length ? windows[windows.length - 1] : 0;
+
+    // Archived boards are on their way out; nobody needs nudging about them
+    const archivedBoardIds = await Board.find({ archived: true }).distinct('_id');
+
+    const tasks = await Task.find({
+      status: { $ne: 'done' },
+      board: { $nin: archivedBoardIds },
+      $or: [
+        { assignedTo: { $ne: null } },
+        { 'assignees.0': { $exists: true } }
+      ],
+      dueDate: {
+        $gte: new Date(now.getTime() - REMINDER_OVERDUE_LOOKBACK_DAYS * 24 * HOUR_MS),
+        $lte: new Date(now.getTime() + maxWindow * HOUR_MS)
+      }
+    })
+      .populate('assignedTo', 'name username email')
+      .populate('assignees', 'name username email');
+
+    for (const task of tasks) {
+      if (getAssignees(task).length === 0) continue;
+
+      const kind = getReminderKind(task.dueDate, now, windows);
+      if (!kind) continue;
+
+      try {
+        if (await claimReminder(task, kind)) {
+          await sendReminder(io, task, kind);
+          sent++;
+        }
+      } catch (error) {
+        console.error(`Error sending ${kind} reminder for task ${task._id}:`, error);
+      }
+    }
+
+    if (sent > 0) {
+      console.log(`Due date reminders sent: ${sent}`);
+    }
+  } catch (error) {
+    console.error('Due date reminder scan failed:', error);
+  } finally {
+    scanning = false;
+  }
+
+  return { sent };
+};
+
+/**
+ * Start scanning for due and overdue tasks on an interval
+ */
+const startReminderScheduler = (io) => {
+  if (!REMINDERS_ENABLED || timer) return;
+
+  const intervalMs = REMINDER_SCAN_INTERVAL_MINUTES * 60 * 1000;
+
+  timer = setInterval(() => runReminderScan(io), intervalMs);
+  timer.unref();
+
+  runReminderScan(io);
+  console.log(`Due date reminders scheduled every ${REMINDER_SCAN_INTERVAL_MINUTES} minutes (windows: ${REMINDER_WINDOWS_HOURS.join(', ')}h)`);
+};
+
+const stopReminderScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  getReminderKind,
+  runReminderScan,
+  startReminderScheduler,
+  stopReminderScheduler
+};
@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const ShareLink = require('../models/ShareLink');
+const Column = require('../models/Column');
+const Task = require('../models/Task');
+const Label = require('../models/Label');
+const { FRONTEND_URL } = require('../config/default');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TOKEN_PREFIX_LENGTH = 8;
+
+const hashShareToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const getShareUrl = (token) => `${FRONTEND_URL}/shared/boards/${token}`;
+
+/**
+ * Create a share link for `board`. The raw token is only ever returned here.
+ * Resolves to { link, token, url }.
+ */
+const createShareLink = async (board, userId, { label, expiresAt }) => {
+  const token = crypto.randomBytes(24).toString('hex');
+
+  const link = await ShareLink.create({
+    board: board._id,
+    tokenHash: hashShareToken(token),
+    tokenPrefix: token.slice(0, TOKEN_PREFIX_LENGTH),
+    label: label || '',
+    createdBy: userId,
+    expiresAt
+  });
+
+  return { link, token, url: getShareUrl(token) };
+};
+
+/**
+ * Validate the expiry of a new share link from `expiresInDays` or an
+ * `expiresAt` date; neither means the link never expires.
+ * Resolves to { value } or { error }.
+ */
+const parseShareExpiry = ({ expiresInDays, expiresAt }, now = new Date()) => {
+  if (expiresInDays !== undefined && expiresInDays !== null && expiresInDays !== '') {
+    const days = Number(expiresInDays);
+    if (!Number.isFinite(days) || days <= 0) {
+      return { error: 'expiresInDays must be a positive number' };
+    }
+    return { value: new Date(now.getTime() + days * DAY_MS) };
+  }
+
+  if (expiresAt !== undefined && expiresAt !== null && expiresAt !== '') {
+    const date = new Date(expiresAt);
+    if (Number.isNaN(date.getTime()) || date <= now) {
+      return { error: 'expiresAt must be a valid date in the future' };
+    }
+    return { value: date };
+  }
+
+  return { value: null };
+};
+
+/**
+ * Filter matching links that are neither revoked nor expired
+ */
+const activeLinkFilter = (now = new Date()) => ({
+  revokedAt: null,
+  $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+});
+
+/**
+ * Look up an active link by its raw token and count the visit in one update.
+ * Resolves to the link, or null when the token is unknown, revoked or expired.
+ */
+const resolveShareToken = async (token) => {
+  if (!token) return null;
+
+  const now = new Date();
+  return ShareLink.findOneAndUpdate(
+    { tokenHash: hashShareToken(token), ...activeLinkFilter(now) },
+    { $inc: { accessCount: 1 }, $set: { lastAccessedAt: now } },
+    { new: true }
+  );
+};
+
+/**
+ * Link details safe to show board admins; the token itself is never stored
+ */
+const summarizeShareLink = (link) => ({
+  _id: link._id,
+  board: link.board,
+  label: link.label,
+  tokenPrefix: link.tokenPrefix,
+  createdBy: link.createdBy,
+  createdAt: link.createdAt,
+  expiresAt: link.expiresAt,
+  revokedAt: link.revokedAt,
+  accessCount: link.accessCount,
+  lastAccessedAt: link.lastAccessedAt
+});
+
+/**
+ * Read-only view of a board for anonymous visitors: its columns, their tasks
+ * and its labels. Assignees are limited to name and avatar, so no member
+ * emails or account details leave the board.
+ */
+const buildBoardSnapshot = async (board) => {
+  const [columns, labels] = await Promise.all([
+    Column.find({ board: board._id }).sort({ position: 1, createdAt: 1 }),
+    Label.find({ board: board._id }).sort({ name: 1 })
+  ]);
+
+  const tasks = await Task.find({ board: board._id, column: { $in: columns.map(column => column._id) } })
+    .select('title description priority status dueDate storyPoints labels assignees column order checklists completedAt')
+    .populate('assignees', 'name avatar')
+    .populate('labels', 'name color')
+    .sort({ order: 1 });
+
+  return {
+    board: {
+      title: board.title,
+      description: board.description || '',
+      backgroundColor: board.backgroundColor,
+      colorScheme: board.colorScheme,
+      image: board.image,
+      archived: !!board.archived,
+      updatedAt: board.updatedAt
+    },
+    columns: columns.map(column => {
+      const columnTasks = tasks
+        .filter(task => task.column.toString() === column._id.toString())
+        .map(task => ({
+          id: task._id,
+          title: task.title,
+          description: task.description || '',
+          priority: task.priority,
+          status: task.status,
+          dueDate: task.dueDate,
+          completedAt: task.completedAt,
+          storyPoints: task.storyPoints,
+          labels: task.labels.filter(Boolean).map(label => ({ name: label.name, color: label.color })),
+          assignees: task.assignees.filter(Boolean).map(user => ({ name: user.name, avatar: user.avatar })),
+          checklistProgress: task.getChecklistProgress()
+        }));
+
+      return {
+        id: column._id,
+        title: column.title,
+        position: column.position || 0,
+        statusCategory: column.statusCategory || null,
+        tasks: columnTasks,
+        tasksCount: columnTasks.length
+      };
+    }),
+    labels: labels.map(label => ({ id: label._id, name: label.name, color: label.color }))
+  };
+};
+
+module.exports = {
+  hashShareToken,
+  createShareLink,
+  parseShareExpiry,
+  activeLinkFilter,
+  resolveShareToken,
+  summarizeShareLink,
+  buildBoardSnapshot
+};
@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+const Sprint = require('../models/Sprint');
+const Task = require('../models/Task');
+const Activity = require('../models/Activity');
+
+const sumPoints = (tasks) => tasks.reduce((sum, task) => sum + (task.storyPoints || 0), 0);
+
+/**
+ * Task counts and points for a set of sprint tasks
+ */
+const summarizeSprintTasks = (tasks) => {
+  const completed = tasks.filter(task => task.status === 'done');
+
+  return {
+    taskCount: tasks.length,
+    points: sumPoints(tasks),
+    completedCount: completed.length,
+    completedPoints: sumPoints(completed)
+  };
+};
+
+/**
+ * Write one activity per task moved in or out of a sprint
+ */
+const logSprintTaskActivity = async (userId, tasks, action, sprint, metadata = {}) => {
+  if (tasks.length === 0) return;
+
+  try {
+    await Activity.insertMany(tasks.map(task => ({
+      user: userId,
+      action,
+      taskId: task._id,
+      boardId: task.board,
+      columnId: task.column,
+      teamId: task.team,
+      description: action === 'added_to_sprint'
+        ? `Added task "${task.title}" to sprint "${sprint.name}"`
+        : `Removed task "${task.title}" from sprint "${sprint.name}"`,
+      metadata: {
+        taskTitle: task.title,
+        sprintId: sprint._id,
+        sprintName: sprint.name,
+        ...metadata
+      }
+    })));
+  } catch (activityError) {
+    console.error('Activity logging error:', activityError);
+  }
+};
+
+/**
+ * Sprint unfinished work goes to when `sprint` completes: the sprint named
+ * by `carryOverTo`, the backlog for 'backlog', or by default the board's
+ * next planned sprint (backlog when there is none).
+ * Resolves to { target } (null for the backlog) or { error }.
+ */
+const resolveCarryOverTarget = async (sprint, carryOverTo) => {
+  if (carryOverTo === 'backlog' || carryOverTo === null) {
+    return { target: null };
+  }
+
+  if (carryOverTo !== undefined) {
+    const target = mongoose.Types.ObjectId.isValid(carryOverTo)
+      ? await Sprint.findOne({ _id: carryOverTo, board: sprint.board, status: 'planned' })
+      : null;
+    if (!target) {
+      return { error: 'Unfinished tasks can only be moved to a planned sprint on the same board' };
+    }
+    return { target };
+  }
+
+  const next = await Sprint.findOne({ board: sprint.board, status: 'planned', _id: { $ne: sprint._id } })
+    .sort({ startDate: 1, createdAt: 1 });
+
+  return { target: next };
+};
+
+/**
+ * Close an active sprint: record which tasks were completed, move the rest
+ * to `target` (a planned sprint, or the backlog when null) and log the
+ * carry-over on each task.
+ */
+const closeSprint = async (sprint, userId, target) => {
+  const tasks = await Task.find({ sprint: sprint._id })
+    .select('title status storyPoints board column team');
+
+  const completed = tasks.filter(task => task.status === 'done');
+  const unfinished = tasks.filter(task => task.status !== 'done');
+
+  const scopeIds = new Set(((sprint.scope && sprint.scope.tasks) || []).map(id => id.toString()));
+  const currentIds = new Set(tasks.map(task => task._id.toString()));
+
+  if (unfinished.length > 0) {
+    await Task.updateMany(
+      { _id: { $in: unfinished.map(task => task._id) } },
+      { sprint: target ? target._id : null, updatedAt: new Date() }
+    );
+  }
+
+  sprint.status = 'completed';
+  sprint.completedAt = new Date();
+  sprint.completedBy = userId;
+  sprint.report = {
+    completedTasks: completed.map(task => task._id),
+    carriedOverTasks: unfinished.map(task => task._id),
+    completedPoints: sumPoints(completed),
+    carriedOverPoints: sumPoints(unfinished),
+    addedTasks: [...currentIds].filter(id => !scopeIds.has(id)).length,
+    removedTasks: [...scopeIds].filter(id => !currentIds.has(id)).length,
+    carriedOverTo: target ? target._id : null
+  };
+  await sprint.save();
+
+  if (target) {
+    await logSprintTaskActivity(userId, unfinished, 'added_to_sprint', target, {
+      carriedOverFrom: sprint._id,
+      carriedOverFromName: sprint.name
+    });
+  } else {
+    await logSprintTaskActivity(userId, unfinished, 'removed_from_sprint', sprint, { carriedOverToBacklog: true });
+  }
+
+  return sprint.report;
+};
+
+/**
+ * Tasks a sprint's charts cover and when each joined the sprint. A completed
+ * sprint uses the tasks recorded in its report, since carried-over work has
+ * moved on; tasks added after the start enter the chart on the day they were added.
+ */
+const getSprintChartScope = async (sprint) => {
+  const taskIds = sprint.status === 'completed' && sprint.report
+    ? [...sprint.report.completedTasks, ...sprint.report.carriedOverTasks]
+    : await Task.find({ sprint: sprint._id }).distinct('_id');
+
+  const tasks = await Task.find({ _id: { $in: taskIds } })
+    .select('title status storyPoints column createdAt updatedAt completedAt');
+
+  const committed = new Set(((sprint.scope && sprint.scope.tasks) || []).map(id => id.toString()));
+  const additions = await Activity.find({
+    action: 'added_to_sprint',
+    taskId: { $in: taskIds },
+    'metadata.sprintId': sprint._id
+  })
+    .select('taskId timestamp')
+    .sort({ timestamp: -1 })
+    .lean();
+
+  const enteredAt = new Map();
+  additions.forEach(addition => {
+    const key = addition.taskId.toString();
+    if (!committed.has(key) && !enteredAt.has(key)) enteredAt.set(key, addition.timestamp);
+  });
+
+  return { tasks, enteredAt };
+};
+
+module.exports = {
+  summarizeSprintTasks,
+  logSprintTaskActivity,
+  resolveCarryOverTarget,
+  closeSprint,
+  getSprintChartScope
+};
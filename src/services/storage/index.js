@@ -0,0 +1,49 @@
+const {
+  STORAGE_DRIVER,
+  UPLOAD_DIR,
+  S3_BUCKET,
+  S3_REGION,
+  S3_ENDPOINT,
+  S3_ACCESS_KEY_ID,
+  S3_SECRET_ACCESS_KEY
+} = require('../../config/default');
+const { createLocalDriver } = require('./localDriver');
+
+/**
+ * Storage drivers share one interface:
+ *   put(key, buffer, contentType) -> Promise<void>
+ *   getStream(key)                -> Promise<Readable|null>
+ *   remove(key)                   -> Promise<void>
+ */
+const drivers = {
+  local: () => createLocalDriver({ rootDir: UPLOAD_DIR }),
+  // Required lazily so the AWS SDK is only loaded when it is used
+  s3: () => require('./s3Driver').createS3Driver({
+    bucket: S3_BUCKET,
+    region: S3_REGION,
+    endpoint: S3_ENDPOINT,
+    accessKeyId: S3_ACCESS_KEY_ID,
+    secretAccessKey: S3_SECRET_ACCESS_KEY
+  })
+};
+
+const instances = {};
+
+/**
+ * Get a storage driver by name, defaulting to the configured STORAGE_DRIVER.
+ * Attachments remember which driver stored them, so files stay readable
+ * after the configured driver changes.
+ */
+const getStorage = (name = STORAGE_DRIVER) => {
+  if (!drivers[name]) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+
+  if (!instances[name]) {
+    instances[name] = drivers[name]();
+  }
+
+  return instances[name];
+};
+
+module.exports = { getStorage };
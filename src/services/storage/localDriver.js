@@ -0,0 +1,46 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Store attachment files on the local filesystem under `rootDir`
+ */
+const createLocalDriver = ({ rootDir }) => {
+  const root = path.resolve(rootDir);
+
+  // Keys are generated by the server, but never let one escape the upload directory
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  const put = async (key, buffer) => {
+    const filePath = resolveKey(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+  };
+
+  const getStream = async (key) => {
+    const filePath = resolveKey(key);
+    try {
+      await fs.promises.access(filePath, fs.constants.R_OK);
+    } catch (error) {
+      return null;
+    }
+    return fs.createReadStream(filePath);
+  };
+
+  const remove = async (key) => {
+    try {
+      await fs.promises.unlink(resolveKey(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  };
+
+  return { name: 'local', put, getStream, remove };
+};
+
+module.exports = { createLocalDriver };
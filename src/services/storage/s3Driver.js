@@ -0,0 +1,51 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+
+/**
+ * Store attachment files in an S3-compatible bucket. Passing `endpoint`
+ * points the client at a stand-in such as MinIO or LocalStack.
+ */
+const createS3Driver = ({ bucket, region, endpoint, accessKeyId, secretAccessKey }) => {
+  if (!bucket) {
+    throw new Error('S3_BUCKET must be set to use the s3 storage driver');
+  }
+
+  const client = new S3Client({
+    region,
+    ...(endpoint && { endpoint, forcePathStyle: true }),
+    ...(accessKeyId && secretAccessKey && { credentials: { accessKeyId, secretAccessKey } })
+  });
+
+  const put = async (key, buffer, contentType) => {
+    await client.send(new PutObjectCommand({
+      Bucket: bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: contentType
+    }));
+  };
+
+  const getStream = async (key) => {
+    try {
+      const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return result.Body;
+    } catch (error) {
+      if (error.name === 'NoSuchKey' || (error.$metadata && error.$metadata.httpStatusCode === 404)) {
+        return null;
+      }
+      throw error;
+    }
+  };
+
+  const remove = async (key) => {
+    await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+  };
+
+  return { name: 's3', put, getStream, remove };
+};
+
+module.exports = { createS3Driver };
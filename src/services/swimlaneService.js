@@ -0,0 +1,260 @@
+const mongoose = require('mongoose');
+const Board = require('../models/Board');
+const Swimlane = require('../models/Swimlane');
+const CustomField = require('../models/CustomField');
+const User = require('../models/User');
+const { getBoardRole } = require('./boardPermissionService');
+const { resolveCustomFieldValues } = require('./customFieldService');
+
+const SWIMLANE_GROUPINGS = ['none', 'custom', 'assignee', 'priority', 'customField'];
+const LANE_FIELD_TYPES = ['select', 'user'];
+// Highest priority on top
+const PRIORITY_LANES = ['critical', 'high', 'medium', 'low'];
+
+const getGrouping = (board) => (board.swimlanes && board.swimlanes.groupBy) || 'none';
+
+/**
+ * Validate a board's swimlane settings from a request body, e.g.
+ * { groupBy: 'customField', customField: '<id>' }. Lanes can only come from
+ * select or user fields. Resolves to { value } or { error }.
+ */
+const parseSwimlaneSettings = async (input, board) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'swimlanes must be an object with a groupBy setting' };
+  }
+
+  const groupBy = input.groupBy !== undefined ? input.groupBy : getGrouping(board);
+  if (!SWIMLANE_GROUPINGS.includes(groupBy)) {
+    return { error: `Swimlanes can be grouped by: ${SWIMLANE_GROUPINGS.join(', ')}` };
+  }
+
+  if (groupBy !== 'customField') {
+    return { value: { groupBy, customField: null } };
+  }
+
+  const fieldId = input.customField !== undefined
+    ? input.customField
+    : board.swimlanes && board.swimlanes.customField;
+  const field = fieldId && mongoose.Types.ObjectId.isValid(fieldId)
+    ? await CustomField.findOne({ _id: fieldId, board: board._id })
+    : null;
+
+  if (!field) {
+    return { error: 'Grouping by custom field needs a custom field from this board' };
+  }
+  if (!LANE_FIELD_TYPES.includes(field.type)) {
+    return { error: 'Swimlanes can only be grouped by a select or user custom field' };
+  }
+
+  return { value: { groupBy, customField: field._id } };
+};
+
+/**
+ * A custom swimlane of `board` by ID, or null when it is not one of the board's
+ */
+const findBoardSwimlane = async (board, laneId) => {
+  if (!mongoose.Types.ObjectId.isValid(laneId)) return null;
+  return Swimlane.findOne({ _id: laneId, board: board._id });
+};
+
+const loadLaneField = (board) => CustomField.findOne({
+  _id: board.swimlanes && board.swimlanes.customField,
+  board: board._id
+});
+
+/**
+ * Lanes for everyone who is a board member or assigned to one of `tasks`, by name
+ */
+const getUserLanes = async (board, userIds) => {
+  const memberIds = (board.members || [])
+    .filter(member => member.user)
+    .map(member => (member.user._id || member.user).toString());
+  const users = await User.find({ _id: { $in: [...new Set([...memberIds, ...userIds])] } })
+    .select('name username avatar')
+    .sort({ name: 1, username: 1 });
+
+  return users.map(user => ({ id: user._id.toString(), title: user.name || user.username, user }));
+};
+
+/**
+ * The lane `task` sits in on `board`, as a string ID; null is the catch-all
+ * lane (no lane, unassigned or no value). `field` is the board's lane field
+ * when it groups by custom field.
+ */
+const getTaskLaneId = (board, task, field = null) => {
+  switch (getGrouping(board)) {
+    case 'custom':
+      return task.swimlane ? (task.swimlane._id || task.swimlane).toString() : null;
+    case 'assignee':
+      return task.getAssigneeIds()[0] || null;
+    case 'priority':
+      return task.priority || null;
+    case 'customField': {
+      const value = field && task.customFields && task.customFields.get(field._id.toString());
+      return value === undefined || value === null ? null : value.toString();
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Rows of `board` in display order, each { id, title } plus the lane's
+ * swimlane, user or option. `tasks` adds users that are assigned but no
+ * longer members, so no task is left without its lane.
+ */
+const getBoardLanes = async (board, tasks = []) => {
+  const noLane = (title) => ({ id: null, title });
+
+  switch (getGrouping(board)) {
+    case 'custom': {
+      const swimlanes = await Swimlane.find({ board: board._id }).sort({ position: 1, createdAt: 1 });
+      return [
+        ...swimlanes.map(lane => ({ id: lane._id.toString(), title: lane.name, color: lane.color })),
+        noLane('No lane')
+      ];
+    }
+
+    case 'assignee': {
+      const assigneeIds = tasks.map(task => getTaskLaneId(board, task)).filter(Boolean);
+      return [...await getUserLanes(board, assigneeIds), noLane('Unassigned')];
+    }
+
+    case 'priority':
+      return PRIORITY_LANES.map(priority => ({ id: priority, title: priority }));
+
+    case 'customField': {
+      const field = await loadLaneField(board);
+      if (!field) return [noLane(null)];
+
+      const lanes = field.type === 'select'
+        ? field.options.map(option => ({ id: option, title: option }))
+        : await getUserLanes(board, tasks.map(task => getTaskLaneId(board, task, field)).filter(Boolean));
+      return [...lanes, noLane(`No ${field.name}`)];
+    }
+
+    default:
+      return [noLane(null)];
+  }
+};
+
+/**
+ * Group a board's tasks by lane × column. `columns` are in display order and
+ * `mapTask` shapes each task in the response. Tasks whose lane no longer
+ * exists fall into the catch-all lane.
+ */
+const groupTasksByLane = async (board, columns, tasks, mapTask = task => task) => {
+  const groupBy = getGrouping(board);
+  const field = groupBy === 'customField' ? await loadLaneField(board) : null;
+  const lanes = await getBoardLanes(board, tasks);
+  const knownLanes = new Set(lanes.map(lane => lane.id));
+
+  const cells = new Map();
+  tasks.forEach(task => {
+    const laneId = getTaskLaneId(board, task, field);
+    const key = `${knownLanes.has(laneId) ? laneId : null}:${(task.column._id || task.column).toString()}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(mapTask(task));
+  });
+
+  return {
+    groupBy,
+    customField: field ? field._id : null,
+    lanes: lanes.map(lane => {
+      const laneColumns = columns.map(column => {
+        const columnTasks = cells.get(`${lane.id}:${column._id.toString()}`) || [];
+        return { column: column._id, tasks: columnTasks, tasksCount: columnTasks.length };
+      });
+
+      return {
+        ...lane,
+        columns: laneColumns,
+        tasksCount: laneColumns.reduce((sum, cell) => sum + cell.tasksCount, 0)
+      };
+    })
+  };
+};
+
+/**
+ * Put `task` in lane `laneId` (null for the catch-all lane) by changing
+ * whatever the board's lanes are derived from: the custom swimlane, the lead
+ * assignee (other assignees are kept), the priority or the custom field value.
+ * Changes the task without saving it. Resolves to { from, to } or { error }.
+ */
+const moveTaskToLane = async (board, task, laneId) => {
+  const groupBy = getGrouping(board);
+  const field = groupBy === 'customField' ? await loadLaneField(board) : null;
+  const from = getTaskLaneId(board, task, field);
+  const to = laneId === null || laneId === undefined || laneId === '' ? null : String(laneId);
+
+  switch (groupBy) {
+    case 'custom': {
+      if (to === null) {
+        task.swimlane = null;
+        break;
+      }
+      const lane = await findBoardSwimlane(board, to);
+      if (!lane) return { error: 'Swimlane not found on this board' };
+      task.swimlane = lane._id;
+      break;
+    }
+
+    case 'assignee': {
+      const assigneeIds = task.getAssigneeIds();
+      if (to === null) {
+        task.assignees = [];
+        break;
+      }
+      const user = mongoose.Types.ObjectId.isValid(to) ? await User.findById(to).select('_id') : null;
+      if (!user || !(await getBoardRole(board, user._id))) {
+        return { error: 'Assignee lanes need a user with access to this board' };
+      }
+      task.assignees = [to, ...assigneeIds.filter(id => id !== from && id !== to)];
+      break;
+    }
+
+    case 'priority':
+      if (!PRIORITY_LANES.includes(to)) {
+        return { error: `Priority lanes are: ${PRIORITY_LANES.join(', ')}` };
+      }
+      task.priority = to;
+      break;
+
+    case 'customField': {
+      if (!field) return { error: 'The custom field this board groups by no longer exists' };
+      const values = await resolveCustomFieldValues(board, { [field._id.toString()]: to }, task.customFields);
+      if (values.error) return { error: values.error };
+      task.customFields = values.value;
+      break;
+    }
+
+    default:
+      return { error: 'This board does not use swimlanes' };
+  }
+
+  return { from, to };
+};
+
+/**
+ * Stop grouping a board's lanes by custom field `fieldId` once it is deleted
+ * or no longer a select or user field. Resolves to true when the board changed.
+ */
+const releaseLaneField = async (boardId, fieldId) => {
+  const result = await Board.updateOne(
+    { _id: boardId, 'swimlanes.customField': fieldId },
+    { swimlanes: { groupBy: 'none', customField: null } }
+  );
+  return result.nModified > 0;
+};
+
+module.exports = {
+  SWIMLANE_GROUPINGS,
+  LANE_FIELD_TYPES,
+  parseSwimlaneSettings,
+  findBoardSwimlane,
+  getTaskLaneId,
+  getBoardLanes,
+  groupTasksByLane,
+  moveTaskToLane,
+  releaseLaneField
+};
@@ -0,0 +1,137 @@
+const Activity = require('../models/Activity');
+const { notifyUsers } = require('./notificationService');
+const { createNextOccurrence } = require('./recurrenceService');
+const { moveToDoneColumn, logColumnMove } = require('./columnStatusService');
+
+/**
+ * Everyone following a task: its assignees and watchers
+ */
+const getTaskFollowerIds = (task) => {
+  const watchers = (task.watchers || []).map(user => (user._id || user).toString());
+  return [...new Set([...task.getAssigneeIds(), ...watchers])];
+};
+
+/**
+ * Send a task notification to all assignees and watchers, except the initiator
+ * and anyone listed in `exclude` (e.g. users who already got a more specific one)
+ */
+const notifyTaskFollowers = async (io, task, { exclude = [], ...notification }) => {
+  const excluded = exclude.filter(Boolean).map(id => (id._id || id).toString());
+  const recipients = getTaskFollowerIds(task).filter(id => !excluded.includes(id));
+
+  return notifyUsers(io, recipients, {
+    relatedTask: task._id,
+    relatedBoard: task.board,
+    relatedTeam: task.team,
+    ...notification
+  });
+};
+
+/**
+ * Mark a task as done, move it to the board's done column when the board maps
+ * one, log the completion, notify its assignees and watchers and,
+ * for recurring tasks, create the next occurrence.
+ * Every path that completes a task goes through here so side effects stay in one place.
+ * Resolves to { task, nextOccurrence }.
+ */
+const markTaskCompleted = async (task, userId, { reason, io } = {}) => {
+  task.status = 'done';
+  task.completedBy = userId;
+  task.completedAt = new Date();
+  task.updatedAt = new Date();
+
+  const fromColumn = await moveToDoneColumn(task);
+
+  await task.save();
+
+  if (fromColumn) {
+    await logColumnMove(userId, task, fromColumn, 'completed');
+  }
+
+  try {
+    await Activity.create({
+      user: userId,
+      action: 'completed_task',
+      taskId: task._id,
+      boardId: task.board,
+      columnId: task.column,
+      teamId: task.team,
+      description: `Completed task "${task.title}"`,
+      metadata: {
+        taskTitle: task.title,
+        completedBy: userId,
+        reason: reason || null
+      }
+    });
+  } catch (logError) {
+    console.error('Activity logging error:', logError);
+  }
+
+  await notifyTaskFollowers(io, task, {
+    type: 'task_completed',
+    initiator: userId,
+    message: `Task "${task.title}" has been completed`
+  });
+
+  let nextOccurrence = null;
+  try {
+    nextOccurrence = await createNextOccurrence(task, userId);
+  } catch (recurrenceError) {
+    console.error(`Error creating next occurrence of task ${task._id}:`, recurrenceError);
+  }
+
+  return { task, nextOccurrence };
+};
+
+/**
+ * Reopen a done task as `status`, log it and let its followers know.
+ * Used when a task leaves a "done" column; the reopen endpoint does its own bookkeeping.
+ */
+const markTaskReopened = async (task, userId, { status = 'todo', reason, io } = {}) => {
+  const previouslyCompletedBy = task.completedBy;
+  const previouslyCompletedAt = task.completedAt;
+
+  task.status = status;
+  task.completedBy = null;
+  task.completedAt = null;
+  task.columnBeforeDone = null;
+  task.updatedAt = new Date();
+
+  await task.save();
+
+  try {
+    await Activity.create({
+      user: userId,
+      action: 'reopened_task',
+      taskId: task._id,
+      boardId: task.board,
+      columnId: task.column,
+      teamId: task.team,
+      description: `Reopened task "${task.title}"`,
+      metadata: {
+        taskTitle: task.title,
+        reopenedBy: userId,
+        previouslyCompletedBy,
+        previouslyCompletedAt,
+        reason: reason || null
+      }
+    });
+  } catch (logError) {
+    console.error('Activity logging error:', logError);
+  }
+
+  await notifyTaskFollowers(io, task, {
+    type: 'task_reopened',
+    initiator: userId,
+    message: `Task "${task.title}" has been reopened`
+  });
+
+  return task;
+};
+
+module.exports = {
+  getTaskFollowerIds,
+  notifyTaskFollowers,
+  markTaskCompleted,
+  markTaskReopened
+};
@@ -0,0 +1,116 @@
+const TimeEntry = require('../models/TimeEntry');
+
+// Report groupings and how to label each group
+const TIME_GROUPS = {
+  task: { model: 'Task', select: 'title status board' },
+  user: { model: 'User', select: 'name username avatar' },
+  board: { model: 'Board', select: 'title' },
+  team: { model: 'Team', select: 'name' }
+};
+
+const toHours = (seconds) => Math.round((seconds / 3600) * 100) / 100;
+
+/**
+ * Stop a running timer entry and record its duration
+ */
+const stopTimerEntry = async (entry, { now = new Date(), note } = {}) => {
+  entry.endedAt = now;
+  entry.durationSeconds = entry.getElapsedSeconds(now);
+  entry.running = false;
+  if (note !== undefined) entry.note = note;
+
+  await entry.save();
+  return entry;
+};
+
+/**
+ * Stop whatever timer the user has running, if any. Resolves to the stopped entry or null.
+ */
+const stopRunningTimer = async (userId, options) => {
+  const entry = await TimeEntry.findOne({ user: userId, running: true });
+  if (!entry) return null;
+
+  return stopTimerEntry(entry, options);
+};
+
+/**
+ * Broadcast a timer or time entry change to everyone viewing the task's board
+ */
+const emitTimeEvent = (io, event, entry) => {
+  if (!io) return;
+
+  io.to(`board:${entry.board}`).emit(event, {
+    taskId: entry.task,
+    entry: {
+      ...entry.toObject(),
+      elapsedSeconds: entry.getElapsedSeconds()
+    }
+  });
+};
+
+/**
+ * Total tracked time for entries matching `match`, grouped by task, user, board or team.
+ * Running timers count up to `now`.
+ */
+const getTimeTotals = async (match, groupBy, now = new Date()) => {
+  const group = TIME_GROUPS[groupBy];
+
+  const rows = await TimeEntry.aggregate([
+    { $match: match },
+    {
+      $project: {
+        key: `$${groupBy}`,
+        seconds: {
+          $cond: [
+            '$running',
+            { $divide: [{ $subtract: [now, '$startedAt'] }, 1000] },
+            '$durationSeconds'
+          ]
+        }
+      }
+    },
+    {
+      $group: {
+        _id: '$key',
+        totalSeconds: { $sum: '$seconds' },
+        entryCount: { $sum: 1 }
+      }
+    },
+    { $sort: { totalSeconds: -1 } }
+  ]);
+
+  await TimeEntry.populate(rows, { path: '_id', model: group.model, select: group.select });
+
+  const totalSeconds = rows.reduce((sum, row) => sum + row.totalSeconds, 0);
+
+  return {
+    groupBy,
+    totalSeconds: Math.round(totalSeconds),
+    totalHours: toHours(totalSeconds),
+    groups: rows.map(row => ({
+      [groupBy]: row._id,
+      totalSeconds: Math.round(row.totalSeconds),
+      totalHours: toHours(row.totalSeconds),
+      entryCount: row.entryCount
+    }))
+  };
+};
+
+/**
+ * Delete all time tracked against the given tasks
+ */
+const removeTaskTimeEntries = async (taskIds) => {
+  const ids = Array.isArray(taskIds) ? taskIds : [taskIds];
+  if (ids.length === 0) return;
+
+  await TimeEntry.deleteMany({ task: { $in: ids } });
+};
+
+module.exports = {
+  TIME_GROUPS,
+  stopTimerEntry,
+  stopRunningTimer,
+  emitTimeEvent,
+  getTimeTotals,
+  removeTaskTimeEntries
+};
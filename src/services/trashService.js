@@ -0,0 +1,261 @@
+const Column = require('../models/Column');
+const Task = require('../models/Task');
+const Comment = require('../models/Comment');
+const { isMongoConnected } = require('../config/db');
+const {
+  TRASH_RETENTION_DAYS,
+  TRASH_PURGE_SCAN_INTERVAL_MINUTES
+} = require('../config/default');
+const { removeTaskAttachments } = require('./attachmentService');
+const { removeDependencyLinks } = require('./dependencyService');
+const { removeTaskTimeEntries } = require('./timeTrackingService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let timer = null;
+let scanning = false;
+
+/**
+ * Extend a Task or Column filter so it also matches trashed documents,
+ * which reads otherwise leave out
+ */
+const withTrashed = (filter) => ({ ...filter, deleted: { $in: [true, false, null] } });
+
+/**
+ * Date a trashed task or column will be purged, or null when purging is disabled
+ */
+const getTrashExpiry = (item) => {
+  if (!item.deleted || !item.deletedAt || TRASH_RETENTION_DAYS <= 0) return null;
+  return new Date(new Date(item.deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+};
+
+const trashFields = (userId, now) => ({
+  deleted: true,
+  deletedAt: now,
+  deletedBy: userId
+});
+
+/**
+ * Move a task to its board's trash
+ */
+const trashTask = async (task, userId) => {
+  Object.assign(task, trashFields(userId, new Date()), { deletedWithColumn: false });
+  await task.save();
+  return task;
+};
+
+/**
+ * Move a column to its board's trash. Unless its tasks were moved elsewhere
+ * first, pass `withTasks` to trash them along with it. Resolves to the number
+ * of tasks trashed.
+ */
+const trashColumn = async (column, userId, { withTasks = false } = {}) => {
+  const now = new Date();
+  let taskCount = 0;
+
+  if (withTasks) {
+    const result = await Task.updateMany(
+      { column: column._id, deleted: { $ne: true } },
+      { ...trashFields(userId, now), deletedWithColumn: true }
+    );
+    taskCount = result.nModified || result.modifiedCount || 0;
+  }
+
+  Object.assign(column, trashFields(userId, now));
+  await column.save();
+
+  return taskCount;
+};
+
+const restoreFields = {
+  deleted: false,
+  deletedAt: null,
+  deletedBy: null
+};
+
+/**
+ * Take a column and the tasks trashed along with it out of the trash.
+ * Tasks deleted one by one before the column stay in the trash.
+ * Resolves to the number of tasks restored.
+ */
+const restoreColumn = async (column) => {
+  const result = await Task.updateMany(
+    { column: column._id, deleted: true, deletedWithColumn: true },
+    { ...restoreFields, deletedWithColumn: false }
+  );
+
+  Object.assign(column, restoreFields);
+  await column.save();
+
+  return result.nModified || result.modifiedCount || 0;
+};
+
+/**
+ * Take a task out of the trash. A trashed column it sat in is restored with
+ * it; if the column has been purged the task goes to the board's first column.
+ * Resolves to { value: { task, restoredColumn, movedTo } } or { error, status }.
+ */
+const restoreTask = async (task) => {
+  let restoredColumn = null;
+  let movedTo = null;
+
+  const column = await Column.findOne(withTrashed({ _id: task.column, board: task.board }));
+
+  if (column && column.deleted) {
+    Object.assign(column, restoreFields);
+    await column.save();
+    restoredColumn = column;
+  } else if (!column) {
+    const firstColumn = await Column.findOne({ board: task.board }).sort({ position: 1, createdAt: 1 });
+    if (!firstColumn) {
+      return { error: 'The board has no column to restore this task into', status: 409 };
+    }
+
+    task.column = firstColumn._id;
+    task.order = await Task.countDocuments({ column: firstColumn._id });
+    movedTo = firstColumn;
+  }
+
+  Object.assign(task, restoreFields, { deletedWithColumn: false });
+  await task.save();
+
+  return { value: { task, restoredColumn, movedTo } };
+};
+
+/**
+ * Trashed columns and tasks of a board, most recently deleted first
+ */
+const getBoardTrash = async (boardId) => {
+  const [columns, tasks] = await Promise.all([
+    Column.find({ board: boardId, deleted: true })
+      .populate('deletedBy', 'name username avatar')
+      .sort({ deletedAt: -1 }),
+    Task.find({ board: boardId, deleted: true })
+      .select('title priority status column deletedAt deletedBy deletedWithColumn')
+      .populate('deletedBy', 'name username avatar')
+      .sort({ deletedAt: -1 })
+  ]);
+
+  const taskCounts = new Map();
+  tasks.forEach(task => {
+    const columnId = task.column.toString();
+    taskCounts.set(columnId, (taskCounts.get(columnId) || 0) + 1);
+  });
+
+  return {
+    columns: columns.map(column => ({
+      _id: column._id,
+      title: column.title,
+      position: column.position,
+      statusCategory: column.statusCategory || null,
+      deletedAt: column.deletedAt,
+      deletedBy: column.deletedBy,
+      trashedTasks: taskCounts.get(column._id.toString()) || 0,
+      expiresAt: getTrashExpiry(column)
+    })),
+    tasks: tasks.map(task => ({
+      _id: task._id,
+      title: task.title,
+      priority: task.priority,
+      status: task.status,
+      column: task.column,
+      deletedAt: task.deletedAt,
+      deletedBy: task.deletedBy,
+      deletedWithColumn: task.deletedWithColumn,
+      expiresAt: getTrashExpiry(task)
+    }))
+  };
+};
+
+/**
+ * Permanently delete tasks along with their comments, attachments,
+ * time entries and the dependency links pointing at them
+ */
+const destroyTasks = async (taskIds) => {
+  if (taskIds.length === 0) return;
+
+  await removeTaskAttachments(taskIds);
+  await Comment.deleteMany({ task: { $in: taskIds } });
+  await removeTaskTimeEntries(taskIds);
+  await Task.deleteMany({ _id: { $in: taskIds } });
+  // Tasks elsewhere may still list these as blockers
+  await removeDependencyLinks(taskIds);
+};
+
+/**
+ * Permanently delete tasks and columns that have been in the trash for longer
+ * than TRASH_RETENTION_DAYS. Tasks still in a purged column go with it.
+ */
+const runTrashPurge = async (now = new Date()) => {
+  if (scanning || !isMongoConnected() || TRASH_RETENTION_DAYS <= 0) return { tasks: 0, columns: 0 };
+
+  scanning = true;
+  let tasks = 0;
+  let columns = 0;
+
+  try {
+    const cutoff = new Date(now.getTime() - TRASH_RETENTION_DAYS * DAY_MS);
+
+    const expiredColumnIds = await Column.find({ deleted: true, deletedAt: { $lte: cutoff } }).distinct('_id');
+    const expiredTaskIds = await Task.find(withTrashed({
+      $or: [
+        { deleted: true, deletedAt: { $lte: cutoff } },
+        { column: { $in: expiredColumnIds } }
+      ]
+    })).distinct('_id');
+
+    await destroyTasks(expiredTaskIds);
+    tasks = expiredTaskIds.length;
+
+    if (expiredColumnIds.length > 0) {
+      const result = await Column.deleteMany({ _id: { $in: expiredColumnIds } });
+      columns = result.deletedCount || 0;
+    }
+
+    if (tasks > 0 || columns > 0) {
+      console.log(`Trash purged: ${tasks} tasks, ${columns} columns`);
+    }
+  } catch (error) {
+    console.error('Trash purge failed:', error);
+  } finally {
+    scanning = false;
+  }
+
+  return { tasks, columns };
+};
+
+/**
+ * Start purging expired trash on an interval
+ */
+const startTrashPurgeScheduler = () => {
+  if (TRASH_RETENTION_DAYS <= 0 || timer) return;
+
+  const intervalMs = TRASH_PURGE_SCAN_INTERVAL_MINUTES * 60 * 1000;
+
+  timer = setInterval(() => runTrashPurge(), intervalMs);
+  timer.unref();
+
+  runTrashPurge();
+  console.log(`Trashed tasks and columns are purged after ${TRASH_RETENTION_DAYS} days (checked every ${TRASH_PURGE_SCAN_INTERVAL_MINUTES} minutes)`);
+};
+
+const stopTrashPurgeScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  withTrashed,
+  getTrashExpiry,
+  trashTask,
+  trashColumn,
+  restoreColumn,
+  restoreTask,
+  getBoardTrash,
+  destroyTasks,
+  runTrashPurge,
+  startTrashPurgeScheduler,
+  stopTrashPurgeScheduler
+};
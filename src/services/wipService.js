@@ -0,0 +1,63 @@
+const Task = require('../models/Task');
+
+/**
+ * Validate a WIP limit from a request body; null or '' removes the limit.
+ * Resolves to { value } or { error }.
+ */
+const parseWipLimit = (input) => {
+  if (input === null || input === '') return { value: null };
+
+  const limit = Number(input);
+  if (!Number.isInteger(limit) || limit < 1) {
+    return { error: 'WIP limit must be a whole number of at least 1, or null for no limit' };
+  }
+  return { value: limit };
+};
+
+/**
+ * Number of tasks in each of `columnIds`, as a Map keyed by column ID
+ */
+const countTasksByColumn = async (columnIds) => {
+  const counts = await Task.aggregate([
+    { $match: { column: { $in: columnIds } } },
+    { $group: { _id: '$column', count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(entry => [entry._id.toString(), entry.count]));
+};
+
+/**
+ * WIP fields added to column payloads
+ */
+const getWipStatus = (column, taskCount) => ({
+  taskCount,
+  wipLimit: column.wipLimit || null,
+  wipExceeded: !!column.wipLimit && taskCount > column.wipLimit,
+  atWipLimit: !!column.wipLimit && taskCount >= column.wipLimit
+});
+
+/**
+ * Check whether adding one task to `column` would take it past its WIP limit.
+ * Resolves to null when it fits, otherwise to the details of the breach and
+ * whether the board rejects or only flags it.
+ */
+const checkWipLimit = async (board, column) => {
+  if (!column.wipLimit) return null;
+
+  const count = await Task.countDocuments({ column: column._id });
+  if (count + 1 <= column.wipLimit) return null;
+
+  return {
+    columnId: column._id,
+    columnTitle: column.title || column.name,
+    wipLimit: column.wipLimit,
+    taskCount: count + 1,
+    mode: board.wipLimitMode || 'flag'
+  };
+};
+
+module.exports = {
+  parseWipLimit,
+  countTasksByColumn,
+  getWipStatus,
+  checkWipLimit
+};
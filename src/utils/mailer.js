@@ -290,10 +290,79 @@ const sendWelcomeEmail = async (user) => {
   }
 };
 
+// User-supplied text (task titles, names) must not be able to inject markup into emails
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const escapeHtml = (value) => String(value == null ? '' : value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+const sendTaskReminderEmail = async (user, task, { overdue = false } = {}) => {
+  try {
+    console.log(`Sending ${overdue ? 'overdue' : 'due soon'} reminder to: ${user.email}`);
+    
+    const transport = getTransporter();
+    if (!transport) {
+      console.error('Email transporter not configured');
+      return false;
+    }
+    
+    const taskUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/boards/${task.board}/tasks/${task._id}`;
+    const dueDate = new Date(task.dueDate).toUTCString();
+    const accent = overdue ? '#ff4d4f' : '#ff7849';
+    const title = escapeHtml(task.title);
+    const recipientName = escapeHtml(user.name || user.username);
+    
+    const mailOptions = {
+      from: `"TaskTrek Reminders" <${process.env.EMAIL_USER}>`,
+      to: user.email,
+      subject: overdue ? `Overdue: ${task.title}` : `Due soon: ${task.title}`,
+      html: `
+        <div style="background: #f9fafc; margin: 0; padding: 20px 0; font-family: 'SF Pro Display', 'Segoe UI', Helvetica, Arial, sans-serif; color: #1c2540;">
+          <div style="max-width: 600px; margin: 0 auto; background: #ffffff; border-radius: 16px; overflow: hidden; box-shadow: 0 8px 30px rgba(0,0,0,0.08);">
+            <!-- Header -->
+            <div style="background: linear-gradient(to right, #2e5bff, #4466f2); padding: 30px; text-align: center;">
+              <h1 style="margin: 0; color: #ffffff; font-weight: 600; font-size: 24px;">
+                <span style="font-weight: 800;">Task</span>Trek
+              </h1>
+              <p style="color: rgba(255, 255, 255, 0.85); margin: 5px 0 0 0; font-size: 15px;">Task Reminder</p>
+            </div>
+            
+            <!-- Content -->
+            <div style="padding: 40px 30px;">
+              <h2 style="color: #1c2540; font-size: 22px; font-weight: 600; margin-top: 0; margin-bottom: 15px;">Hello ${recipientName},</h2>
+              <p style="font-size: 16px; line-height: 1.6; color: #4e5d78; margin-bottom: 25px;">${overdue ? 'A task assigned to you is past its due date.' : 'A task assigned to you is due soon.'}</p>
+              
+              <div style="background-color: #f7faff; border-left: 4px solid ${accent}; padding: 18px; border-radius: 4px;">
+                <h3 style="color: #1c2540; font-size: 17px; margin: 0 0 8px 0; font-weight: 600;">${title}</h3>
+                <p style="font-size: 14px; color: ${accent}; margin: 0; font-weight: 500;">Due ${dueDate}</p>
+              </div>
+              
+              <div style="margin: 30px 0; text-align: center;">
+                <a href="${taskUrl}" style="display: inline-block; padding: 14px 36px; background: #2e5bff; color: #ffffff; text-decoration: none; border-radius: 8px; font-size: 16px; font-weight: 500;">View Task</a>
+              </div>
+            </div>
+            
+            <!-- Footer -->
+            <div style="background-color: #f5f7fa; padding: 25px 30px; text-align: center;">
+              <p style="color: #8492a6; font-size: 14px; margin: 0;">© ${new Date().getFullYear()} TaskTrek. All rights reserved.</p>
+            </div>
+          </div>
+        </div>
+      `
+    };
+    
+    const info = await transport.sendMail(mailOptions);
+    console.log(`Task reminder email sent: ${info.messageId}`);
+    return true;
+  } catch (error) {
+    console.error('Error sending task reminder email:', error);
+    return false;
+  }
+};
+
 const availableMailerFunctions = {
   sendPasswordResetEmail: typeof sendPasswordResetEmail,
   sendPasswordResetConfirmationEmail: typeof sendPasswordResetConfirmationEmail,
-  sendWelcomeEmail: typeof sendWelcomeEmail
+  sendWelcomeEmail: typeof sendWelcomeEmail,
+  sendTaskReminderEmail: typeof sendTaskReminderEmail
 };
 
 console.log('Available mailer functions:', availableMailerFunctions);
@@ -302,5 +371,6 @@ module.exports = {
   sendPasswordResetEmail,
   sendPasswordResetConfirmationEmail,
   sendWelcomeEmail,
+  sendTaskReminderEmail,
   getTransporter
 };
\ No newline at end of file